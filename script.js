@@ -31,6 +31,144 @@ function throttle(func, wait) {
     };
 }
 
+// Escape text before it goes into an innerHTML template
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Hex SHA-256 of a string; null where SubtleCrypto is unavailable (plain http)
+async function sha256Hex(text) {
+    if (!window.crypto || !window.crypto.subtle) return null;
+    
+    const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+// Save generated content (JSON export, .eml draft, receipt) as a file
+function downloadFile(content, filename, type) {
+    const url = URL.createObjectURL(new Blob([content], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ===== OFFLINE STORE (IndexedDB queues flushed by the service worker) =====
+// Keep the database name, version and stores in sync with sw.js
+const OfflineStore = {
+    dbName: 'consiliereonline',
+    version: 2,
+    stores: ['consentReceipts', 'pendingRegistrations'],
+    
+    isSupported() {
+        return 'indexedDB' in window;
+    },
+    
+    // Opening the database would create it, so check first where the browser lets us
+    async exists() {
+        if (!this.isSupported()) return false;
+        if (typeof indexedDB.databases !== 'function') return true;
+        
+        try {
+            const databases = await indexedDB.databases();
+            return databases.some(db => db.name === this.dbName);
+        } catch (e) {
+            return false;
+        }
+    },
+    
+    open() {
+        return new Promise((resolve, reject) => {
+            if (!this.isSupported()) {
+                reject(new Error('IndexedDB not available'));
+                return;
+            }
+            
+            const request = indexedDB.open(this.dbName, this.version);
+            
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                this.stores.forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, { keyPath: 'id' });
+                    }
+                });
+            };
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+    
+    async run(storeName, mode, operation) {
+        const db = await this.open();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            
+            transaction.oncomplete = () => {
+                db.close();
+                resolve(request.result);
+            };
+            transaction.onerror = () => {
+                db.close();
+                reject(transaction.error);
+            };
+        });
+    },
+    
+    add(storeName, record) {
+        return this.run(storeName, 'readwrite', store => store.put(record));
+    },
+    
+    getAll(storeName) {
+        return this.run(storeName, 'readonly', store => store.getAll());
+    },
+    
+    delete(storeName, id) {
+        return this.run(storeName, 'readwrite', store => store.delete(id));
+    },
+    
+    async requestSync(tag) {
+        // Background Sync where available, otherwise the page flushes on 'online'
+        if (!('serviceWorker' in navigator) || !('SyncManager' in window)) {
+            return false;
+        }
+        
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            await registration.sync.register(tag);
+            return true;
+        } catch (e) {
+            console.warn(`Could not register background sync for ${tag}`);
+            return false;
+        }
+    }
+};
+
+// Random identifier that isn't tied to the visitor's identity
+function generateId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+        const r = Math.random() * 16 | 0;
+        return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+}
+
 // ===== ENHANCED COOKIE CONSENT MANAGEMENT SYSTEM - FIXED FOR IMMEDIATE FORM ACTIVATION =====
 const CookieConsent = {
     banner: null,
@@ -41,9 +179,67 @@ const CookieConsent = {
         essential: true, // Always true
         analytics: false,
         marketing: false,
-        thirdParty: false
+        thirdParty: false,
+        vendors: {}
+    },
+    
+    // Vendor registry - every vendor rolls up into one consent category;
+    // what each one does is described under cookies.vendors.<id> in the dictionaries
+    vendors: [
+        {
+            id: 'googleAnalytics',
+            name: 'Google Analytics',
+            category: 'analytics'
+        },
+        {
+            id: 'googleAds',
+            name: 'Google Ads',
+            category: 'marketing'
+        },
+        {
+            id: 'metaPixel',
+            name: 'Facebook Pixel',
+            category: 'marketing'
+        },
+        {
+            id: 'linkedinInsight',
+            name: 'LinkedIn Insight Tag',
+            category: 'marketing'
+        },
+        {
+            id: 'formspree',
+            name: 'Formspree',
+            category: 'thirdParty'
+        }
+    ],
+    
+    // Settings modal category toggles
+    categoryToggleIds: {
+        analytics: 'analyticsCookies',
+        marketing: 'marketingCookies',
+        thirdParty: 'thirdPartyCookies'
     },
     
+    // Google tag (Ads conversions) - loaded up front, governed by Consent Mode v2
+    googleTagId: 'AW-17401674061',
+    consentModeState: null,
+    
+    // Consent is only valid for the policy version it was given for, and for a limited time
+    policyVersion: '2025-08',
+    maxConsentAgeMonths: 12,
+    consentRecord: null,
+    staleConsent: null,
+    
+    // Placeholder <script type="text/plain" data-consent> -> live clone
+    activeConsentScripts: new Map(),
+    
+    // Global Privacy Control / Do Not Track ('gpc', 'dnt' or null)
+    privacySignal: null,
+    signalNoticePending: false,
+    
+    // Anonymous consent receipts are POSTed here (disabled when empty)
+    consentLogEndpoint: null,
+    
     init() {
         this.banner = document.getElementById('cookieBanner');
         this.settingsModal = document.getElementById('cookieSettingsModal');
@@ -51,11 +247,28 @@ const CookieConsent = {
         
         if (!this.banner) return;
         
+        this.loadConsentConfig();
+        
         // Load saved preferences
         this.loadPreferences();
         
+        // An outdated decision is discarded and the visitor is asked again
+        this.checkConsentValidity();
+        
+        // Browser privacy signals deny analytics and marketing unless overridden by hand
+        this.privacySignal = this.getPrivacySignal();
+        if (this.privacySignal) {
+            this.applyPrivacySignal();
+        }
+        
+        // Consent Mode defaults must be queued before the Google tag loads
+        this.setupConsentMode();
+        
         // Check if user has already made a choice
-        if (!this.hasConsentDecision()) {
+        if (this.signalNoticePending) {
+            this.applyPreferences();
+            this.showSignalNotice();
+        } else if (!this.hasConsentDecision()) {
             this.showBanner();
             this.hideFloatingButton();
         } else {
@@ -65,25 +278,231 @@ const CookieConsent = {
         }
         
         this.setupEventListeners();
+        
+        // Activate whatever markup the saved preferences already allow
+        this.updateConsentElements();
+        
+        // Leftovers from earlier visits or other subdomains are removed at startup
+        CookieScanner.purge();
+        
+        // Receipts queued before a reload; with Background Sync the service worker sends them
+        if (this.consentLogEndpoint && !('SyncManager' in window) && navigator.onLine) {
+            this.flushConsentReceipts();
+        }
+    },
+    
+    loadConsentConfig() {
+        // The policy version lives next to the policy text, the max age on the banner
+        const privacyModal = document.getElementById('privacyModal');
+        if (privacyModal && privacyModal.dataset.policyVersion) {
+            this.policyVersion = privacyModal.dataset.policyVersion;
+        }
+        
+        const maxAge = parseInt(this.banner.dataset.consentMaxAgeMonths, 10);
+        if (maxAge > 0) {
+            this.maxConsentAgeMonths = maxAge;
+        }
+        
+        this.consentLogEndpoint = this.banner.dataset.consentLogEndpoint || null;
+        
+        // Without Background Sync, queued receipts go out when the page is back online
+        if (this.consentLogEndpoint) {
+            window.addEventListener('online', () => this.flushConsentReceipts());
+        }
     },
     
     loadPreferences() {
         try {
             const saved = localStorage.getItem('cookiePreferences');
             if (saved) {
-                const prefs = JSON.parse(saved);
+                const { policyVersion, timestamp, source, signalOverride, ...prefs } = JSON.parse(saved);
                 this.preferences = { ...this.preferences, ...prefs };
                 // Ensure essential is always true
                 this.preferences.essential = true;
+                this.normalizeVendorPreferences();
+                
+                // Decisions saved before versioning fall back to the legacy consent date
+                this.consentRecord = {
+                    policyVersion: policyVersion || null,
+                    timestamp: timestamp || localStorage.getItem('cookieConsentDate'),
+                    source: source || 'banner',
+                    signalOverride: signalOverride === true
+                };
             }
         } catch (e) {
             console.warn('Could not load cookie preferences');
         }
     },
     
-    savePreferences() {
+    checkConsentValidity() {
+        try {
+            if (localStorage.getItem('cookieConsent') === null) return;
+        } catch (e) {
+            return;
+        }
+        
+        const reason = this.getReconsentReason();
+        if (!reason) return;
+        
+        // Keep what was agreed to for the history entry, but stop honouring it
+        this.staleConsent = {
+            policyVersion: this.consentRecord ? this.consentRecord.policyVersion : null,
+            timestamp: this.consentRecord ? this.consentRecord.timestamp : null,
+            reason: reason
+        };
+        
+        this.preferences = this.buildPreferences(false);
+    },
+    
+    buildPreferences(granted) {
+        const vendors = {};
+        this.vendors.forEach(vendor => {
+            vendors[vendor.id] = granted;
+        });
+        
+        return {
+            essential: true,
+            analytics: granted,
+            marketing: granted,
+            thirdParty: granted,
+            vendors: vendors
+        };
+    },
+    
+    normalizeVendorPreferences() {
+        // Decisions saved before per-vendor consent inherit their category's choice
+        const saved = this.preferences.vendors || {};
+        const vendors = {};
+        
+        this.vendors.forEach(vendor => {
+            vendors[vendor.id] = typeof saved[vendor.id] === 'boolean'
+                ? saved[vendor.id]
+                : this.preferences[vendor.category] === true;
+        });
+        
+        this.preferences.vendors = vendors;
+        this.rollUpVendorCategories();
+    },
+    
+    rollUpVendorCategories() {
+        // A category is on as soon as one of its vendors is allowed
+        Object.keys(this.categoryToggleIds).forEach(category => {
+            const categoryVendors = this.getVendorsByCategory(category);
+            if (categoryVendors.length > 0) {
+                this.preferences[category] = categoryVendors.some(vendor => this.preferences.vendors[vendor.id]);
+            }
+        });
+    },
+    
+    getVendorsByCategory(category) {
+        return this.vendors.filter(vendor => vendor.category === category);
+    },
+    
+    getVendor(id) {
+        return this.vendors.find(vendor => vendor.id === id) || null;
+    },
+    
+    setCategoryConsent(category, granted) {
+        this.preferences[category] = granted;
+        this.getVendorsByCategory(category).forEach(vendor => {
+            this.preferences.vendors[vendor.id] = granted;
+        });
+    },
+    
+    setVendorConsent(id, granted) {
+        if (!this.getVendor(id)) return;
+        
+        this.preferences.vendors[id] = granted;
+        this.rollUpVendorCategories();
+    },
+    
+    getReconsentReason() {
+        const record = this.consentRecord;
+        
+        if (!record || record.policyVersion !== this.policyVersion) {
+            return 'policy_changed';
+        }
+        
+        const given = new Date(record.timestamp);
+        if (isNaN(given.getTime())) {
+            return 'expired';
+        }
+        
+        const expires = new Date(given);
+        expires.setMonth(expires.getMonth() + this.maxConsentAgeMonths);
+        if (Date.now() > expires.getTime()) {
+            return 'expired';
+        }
+        
+        return null;
+    },
+    
+    getPrivacySignal() {
+        if (navigator.globalPrivacyControl === true) {
+            return 'gpc';
+        }
+        
+        const dnt = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+        if (dnt === '1' || dnt === 'yes') {
+            return 'dnt';
+        }
+        
+        return null;
+    },
+    
+    applyPrivacySignal() {
+        const decided = this.hasConsentDecision();
+        
+        // An explicit opt-in from the settings modal wins over the signal
+        if (decided && this.consentRecord && this.consentRecord.signalOverride) return;
+        
+        // Nothing to change if the saved decision already respects the signal
+        if (decided && !this.preferences.analytics && !this.preferences.marketing) return;
+        
+        // Every registered vendor gets an explicit value, as in rejectAllCookies; the signal
+        // covers analytics and marketing, so a Formspree choice already made is kept
+        const previous = decided ? this.preferences.vendors : {};
+        this.preferences = this.buildPreferences(false);
+        this.getVendorsByCategory('thirdParty').forEach(vendor => {
+            this.preferences.vendors[vendor.id] = previous[vendor.id] === true;
+        });
+        this.rollUpVendorCategories();
+        this.savePreferences('browser_signal');
+        this.sendConsentReceipt('browser_signal');
+        
+        this.signalNoticePending = true;
+    },
+    
+    showSignalNotice() {
+        if (!this.banner) return;
+        
+        this.banner.classList.add('signal-mode');
+        this.showBanner();
+        this.hideFloatingButton();
+    },
+    
+    dismissSignalNotice() {
+        // The signal-based decision is already saved, only the notice goes away
+        this.hideBanner();
+    },
+    
+    savePreferences(source = 'banner') {
         try {
-            localStorage.setItem('cookiePreferences', JSON.stringify(this.preferences));
+            // Only a manual opt-in from the settings modal overrides a privacy signal
+            const signalOverride = source === 'settings' && this.privacySignal !== null &&
+                (this.preferences.analytics || this.preferences.marketing);
+            
+            this.consentRecord = {
+                policyVersion: this.policyVersion,
+                timestamp: new Date().toISOString(),
+                source: source,
+                signalOverride: signalOverride
+            };
+            
+            localStorage.setItem('cookiePreferences', JSON.stringify({
+                ...this.preferences,
+                ...this.consentRecord
+            }));
             localStorage.setItem('cookieConsent', 'custom');
             
             // Track consent changes for GDPR compliance
@@ -96,13 +515,15 @@ const CookieConsent = {
     hasConsentDecision() {
         try {
             const consent = localStorage.getItem('cookieConsent');
-            return consent !== null;
+            return consent !== null && !this.staleConsent;
         } catch (e) {
             return false;
         }
     },
     
     hasAccepted() {
+        if (this.staleConsent) return false;
+        
         try {
             const consent = localStorage.getItem('cookieConsent');
             return consent === 'accepted' || (consent === 'custom' && this.preferences.analytics);
@@ -115,6 +536,19 @@ const CookieConsent = {
         return this.preferences.thirdParty === true;
     },
     
+    isCategoryAllowed(category) {
+        return category === 'essential' || this.preferences[category] === true;
+    },
+    
+    hasVendorConsent(id) {
+        return this.preferences.vendors[id] === true;
+    },
+    
+    // data-consent accepts either a category or a vendor id
+    isConsentGranted(key) {
+        return this.getVendor(key) ? this.hasVendorConsent(key) : this.isCategoryAllowed(key);
+    },
+    
     showBanner() {
         if (this.isShown || !this.banner) return;
         
@@ -130,7 +564,8 @@ const CookieConsent = {
     hideBanner() {
         if (!this.banner) return;
         
-        this.banner.classList.remove('show');
+        this.banner.classList.remove('show', 'signal-mode');
+        this.signalNoticePending = false;
         this.isShown = false;
         
         // Remove focus trap
@@ -171,32 +606,46 @@ const CookieConsent = {
             settingsBtn.addEventListener('click', () => this.openSettings());
         }
         
-        // Setup settings modal toggles
-        const analyticsCookies = document.getElementById('analyticsCookies');
-        const marketingCookies = document.getElementById('marketingCookies');
-        const thirdPartyCookies = document.getElementById('thirdPartyCookies');
+        // Short notice shown instead of the full choice when a privacy signal is on
+        const signalAckBtn = document.getElementById('cookieSignalAck');
+        const signalSettingsBtn = document.getElementById('cookieSignalSettings');
         
-        if (analyticsCookies) {
-            analyticsCookies.checked = this.preferences.analytics;
-            analyticsCookies.addEventListener('change', (e) => {
-                this.preferences.analytics = e.target.checked;
-            });
+        if (signalAckBtn) {
+            signalAckBtn.addEventListener('click', () => this.dismissSignalNotice());
         }
         
-        if (marketingCookies) {
-            marketingCookies.checked = this.preferences.marketing;
-            marketingCookies.addEventListener('change', (e) => {
-                this.preferences.marketing = e.target.checked;
-            });
+        if (signalSettingsBtn) {
+            signalSettingsBtn.addEventListener('click', () => this.openSettings());
         }
         
-        if (thirdPartyCookies) {
-            thirdPartyCookies.checked = this.preferences.thirdParty;
-            thirdPartyCookies.addEventListener('change', (e) => {
-                this.preferences.thirdParty = e.target.checked;
+        // Setup settings modal toggles - a category toggle switches all of its vendors
+        this.renderVendorToggles();
+        
+        Object.entries(this.categoryToggleIds).forEach(([category, toggleId]) => {
+            const toggle = document.getElementById(toggleId);
+            if (!toggle) return;
+            
+            toggle.addEventListener('change', (e) => {
+                this.setCategoryConsent(category, e.target.checked);
+                this.syncSettingsToggles();
+            });
+        });
+        
+        if (this.settingsModal) {
+            this.settingsModal.addEventListener('change', (e) => {
+                const vendorId = e.target.dataset.vendor;
+                if (!vendorId) return;
+                
+                this.setVendorConsent(vendorId, e.target.checked);
+                this.syncSettingsToggles();
             });
         }
         
+        this.syncSettingsToggles();
+        
+        // Declaratively gated markup follows every consent change
+        window.addEventListener('cookieConsentChanged', () => this.updateConsentElements());
+        
         // Keyboard navigation
         document.addEventListener('keydown', (e) => {
             if (this.isShown && e.key === 'Escape') {
@@ -206,15 +655,10 @@ const CookieConsent = {
         });
     },
     
-    acceptAllCookies() {
-        this.preferences = {
-            essential: true,
-            analytics: true,
-            marketing: true,
-            thirdParty: true
-        };
+    acceptAllCookies(source = 'banner') {
+        this.preferences = this.buildPreferences(true);
         
-        this.savePreferences();
+        this.savePreferences(source);
         
         try {
             localStorage.setItem('cookieConsent', 'accepted');
@@ -234,15 +678,10 @@ const CookieConsent = {
         this.reinitializeForms();
     },
     
-    rejectAllCookies() {
-        this.preferences = {
-            essential: true,
-            analytics: false,
-            marketing: false,
-            thirdParty: false
-        };
+    rejectAllCookies(source = 'banner') {
+        this.preferences = this.buildPreferences(false);
         
-        this.savePreferences();
+        this.savePreferences(source);
         
         try {
             localStorage.setItem('cookieConsent', 'rejected');
@@ -263,7 +702,7 @@ const CookieConsent = {
     },
     
     saveCustomPreferences() {
-        this.savePreferences();
+        this.savePreferences('settings');
         this.applyPreferences();
         this.hideBanner();
         this.closeSettings();
@@ -276,6 +715,9 @@ const CookieConsent = {
     },
     
     applyPreferences() {
+        // Tell the Google tag about the current choice (cookieless pings until granted)
+        this.updateConsentMode();
+        
         // Apply analytics preference
         if (this.preferences.analytics) {
             this.loadAnalytics();
@@ -290,12 +732,15 @@ const CookieConsent = {
             this.removeMarketing();
         }
         
-        // Apply third-party preference
-        if (this.preferences.thirdParty) {
+        // Apply third-party preference (the event form only needs Formspree)
+        if (this.hasVendorConsent('formspree')) {
             this.enableThirdPartyServices();
         } else {
             this.disableThirdPartyServices();
         }
+        
+        // Drop anything the new choice no longer allows
+        CookieScanner.purge();
     },
     
     enableThirdPartyServices() {
@@ -321,15 +766,7 @@ const CookieConsent = {
             // Fix submit button text
             const submitBtn = eventForm.querySelector('button[type="submit"]');
             if (submitBtn) {
-                const originalText = submitBtn.getAttribute('data-original-text');
-                if (originalText) {
-                    submitBtn.innerHTML = originalText;
-                } else {
-                    submitBtn.innerHTML = `
-                        <span lang="en">Register for Event</span>
-                        <span lang="ro">Înregistrează-te la Eveniment</span>
-                    `;
-                }
+                GDPRFormHandler.updateSubmitLabel();
                 submitBtn.disabled = false;
                 submitBtn.style.cursor = 'pointer';
                 submitBtn.style.opacity = '1';
@@ -355,40 +792,8 @@ const CookieConsent = {
     disableThirdPartyServices() {
         console.log('Disabling third-party services...');
         
-        const eventForm = document.getElementById('eventRegistrationForm');
-        if (eventForm) {
-            // Show consent required notice
-            if (!eventForm.querySelector('.consent-notice')) {
-                const consentNotice = document.createElement('div');
-                consentNotice.className = 'consent-notice';
-                consentNotice.innerHTML = `
-                    <p>
-                        <span lang="ro">Pentru a utiliza acest formular, trebuie să acceptați cookie-urile terțe în </span>
-                        <span lang="en">To use this form, you need to accept third-party cookies in </span>
-                        <button onclick="openCookieSettings()" style="text-decoration: underline; border: none; background: none; color: #4169e1; cursor: pointer;">
-                            <span lang="ro">Setări Cookie</span>
-                            <span lang="en">Cookie Settings</span>
-                        </button>
-                    </p>
-                `;
-                eventForm.insertBefore(consentNotice, eventForm.firstChild);
-            }
-            
-            // Disable submit button
-            const submitBtn = eventForm.querySelector('button[type="submit"]');
-            if (submitBtn) {
-                const originalText = submitBtn.innerHTML;
-                submitBtn.setAttribute('data-original-text', originalText);
-                submitBtn.innerHTML = `
-                    <span lang="ro">Necesită Consimțământ pentru Cookie-uri</span>
-                    <span lang="en">Requires Cookie Consent</span>
-                `;
-                submitBtn.disabled = true;
-                submitBtn.style.cursor = 'not-allowed';
-                submitBtn.style.opacity = '0.6';
-            }
-        }
-        
+        // The event registration form switches itself to the email fallback
+        // (GDPRFormHandler.useEmailFallback) on the consent change event
         console.log('Third-party services disabled');
     },
     
@@ -396,12 +801,7 @@ const CookieConsent = {
         console.log('Reinitializing forms after cookie consent change...');
         
         // Dispatch a custom event that the form handler can listen to
-        window.dispatchEvent(new CustomEvent('cookieConsentChanged', {
-            detail: {
-                preferences: this.preferences,
-                hasThirdPartyConsent: this.hasThirdPartyConsent()
-            }
-        }));
+        this.dispatchConsentChange();
         
         // If form handler exists, reinitialize it
         if (window.GDPRFormHandler) {
@@ -409,7 +809,7 @@ const CookieConsent = {
             
             // Re-bind event handlers if needed
             const form = document.getElementById('eventRegistrationForm');
-            if (form && this.hasThirdPartyConsent()) {
+            if (form && this.hasVendorConsent('formspree')) {
                 // Make sure the form is fully functional
                 form.style.opacity = '1';
                 form.style.pointerEvents = 'auto';
@@ -423,25 +823,39 @@ const CookieConsent = {
         }
     },
     
+    dispatchConsentChange() {
+        window.dispatchEvent(new CustomEvent('cookieConsentChanged', {
+            detail: {
+                preferences: this.preferences,
+                vendors: { ...this.preferences.vendors },
+                hasThirdPartyConsent: this.hasThirdPartyConsent()
+            }
+        }));
+    },
+    
+    // Grant a single category or vendor from outside the settings modal (e.g. an embed placeholder)
+    grantConsent(key, source = 'placeholder') {
+        if (this.getVendor(key)) {
+            this.setVendorConsent(key, true);
+        } else if (this.categoryToggleIds[key]) {
+            this.setCategoryConsent(key, true);
+        } else {
+            return;
+        }
+        
+        this.savePreferences(source);
+        this.applyPreferences();
+        this.syncSettingsToggles();
+        this.sendConsentReceipt('custom');
+        this.dispatchConsentChange();
+    },
+    
     openSettings() {
         if (!this.settingsModal) return;
         
         // Update toggle states
-        const analyticsCookies = document.getElementById('analyticsCookies');
-        const marketingCookies = document.getElementById('marketingCookies');
-        const thirdPartyCookies = document.getElementById('thirdPartyCookies');
-        
-        if (analyticsCookies) {
-            analyticsCookies.checked = this.preferences.analytics;
-        }
-        
-        if (marketingCookies) {
-            marketingCookies.checked = this.preferences.marketing;
-        }
-        
-        if (thirdPartyCookies) {
-            thirdPartyCookies.checked = this.preferences.thirdParty;
-        }
+        this.syncSettingsToggles();
+        CookieScanner.renderInventory();
         
         requestAnimationFrame(() => {
             this.settingsModal.style.display = 'block';
@@ -458,6 +872,52 @@ const CookieConsent = {
         });
     },
     
+    renderVendorToggles() {
+        const fields = ['purpose', 'data', 'retention', 'location'];
+        
+        document.querySelectorAll('.cookie-vendors[data-vendor-category]').forEach(container => {
+            const vendors = this.getVendorsByCategory(container.dataset.vendorCategory);
+            
+            container.innerHTML = vendors.map(vendor => {
+                const details = fields.map(field => `
+                    <em>${LanguageManager.markup(`cookies.vendor_fields.${field}`)}:</em>
+                    ${LanguageManager.markup(`cookies.vendors.${vendor.id}.${field}`)}<br>
+                `).join('');
+                
+                return `
+                    <li class="cookie-vendor" data-vendor-id="${vendor.id}">
+                        <div class="cookie-vendor-info">
+                            <strong>${vendor.name}</strong><br>
+                            ${details}
+                        </div>
+                        <div class="cookie-toggle">
+                            <input type="checkbox" id="vendor-${vendor.id}" data-vendor="${vendor.id}">
+                            <label for="vendor-${vendor.id}" class="toggle-label" aria-label="${vendor.name}">
+                                <span class="toggle-switch"></span>
+                            </label>
+                        </div>
+                    </li>
+                `;
+            }).join('');
+        });
+    },
+    
+    syncSettingsToggles() {
+        Object.entries(this.categoryToggleIds).forEach(([category, toggleId]) => {
+            const toggle = document.getElementById(toggleId);
+            if (toggle) {
+                toggle.checked = this.preferences[category] === true;
+            }
+        });
+        
+        this.vendors.forEach(vendor => {
+            const toggle = document.getElementById(`vendor-${vendor.id}`);
+            if (toggle) {
+                toggle.checked = this.hasVendorConsent(vendor.id);
+            }
+        });
+    },
+    
     closeSettings() {
         if (!this.settingsModal) return;
         
@@ -469,80 +929,213 @@ const CookieConsent = {
         }, 300);
     },
     
-    loadAnalytics() {
-        // Only load if not already loaded
-        if (window.gtag) return;
+    setupConsentMode() {
+        window.dataLayer = window.dataLayer || [];
+        if (typeof window.gtag !== 'function') {
+            window.gtag = function gtag() { window.dataLayer.push(arguments); };
+        }
         
-        // Load Google Analytics 4 (GA4) dynamically
-        const script = document.createElement('script');
-        script.async = true;
-        script.src = 'https://www.googletagmanager.com/gtag/js?id=AW-17401674061';
-        script.id = 'google-analytics';
-        document.head.appendChild(script);
+        // Everything is denied until the visitor decides
+        window.gtag('consent', 'default', {
+            'ad_storage': 'denied',
+            'analytics_storage': 'denied',
+            'ad_user_data': 'denied',
+            'ad_personalization': 'denied',
+            'functionality_storage': 'denied',
+            'security_storage': 'granted',
+            'wait_for_update': 500
+        });
         
-        script.onload = () => {
-            window.dataLayer = window.dataLayer || [];
-            function gtag(){dataLayer.push(arguments);}
-            gtag('js', new Date());
-            
-            gtag('config', 'AW-17401674061', {
-                'anonymize_ip': true,
-                'cookie_flags': 'SameSite=None;Secure',
-                'allow_google_signals': false,
-                'allow_ad_personalization_signals': false
-            });
-            
-            // Custom event tracking for appointment bookings
-            window.gtag_report_appointment = function(url) {
-                gtag('event', 'appointment_booking', {
-                    'event_category': 'engagement',
-                    'event_label': 'phone_call',
-                    'value': 1
-                });
-                if (typeof(url) != 'undefined') {
-                    window.location = url;
-                }
-                return false;
-            };
-            
-            console.log('Google Analytics loaded with consent');
-        };
+        // Strip ad click identifiers from pings sent without ad_storage consent
+        window.gtag('set', 'ads_data_redaction', true);
         
-        script.onerror = () => {
-            console.warn('Failed to load Google Analytics');
+        this.loadGoogleTag();
+    },
+    
+    getConsentModeState() {
+        const toState = (granted) => granted ? 'granted' : 'denied';
+        const ads = this.hasVendorConsent('googleAds');
+        
+        return {
+            'analytics_storage': toState(this.hasVendorConsent('googleAnalytics')),
+            'ad_storage': toState(ads),
+            'ad_user_data': toState(ads),
+            'ad_personalization': toState(ads),
+            'functionality_storage': toState(this.preferences.thirdParty)
         };
     },
     
-    removeAnalytics() {
-        const script = document.getElementById('google-analytics');
-        if (script) {
-            script.remove();
+    updateConsentMode() {
+        if (typeof window.gtag !== 'function') return;
+        
+        const state = this.getConsentModeState();
+        
+        // Only send an update when one of the toggles actually changed
+        if (this.consentModeState && JSON.stringify(this.consentModeState) === JSON.stringify(state)) {
+            return;
         }
-        this.clearCookies(['_ga', '_gid', '_gat']);
+        
+        window.gtag('consent', 'update', state);
+        this.consentModeState = state;
+    },
+    
+    loadGoogleTag() {
+        // Only load once
+        if (document.getElementById('google-analytics')) return;
+        
+        const script = document.createElement('script');
+        script.async = true;
+        script.src = `https://www.googletagmanager.com/gtag/js?id=${this.googleTagId}`;
+        script.id = 'google-analytics';
+        document.head.appendChild(script);
+        
+        window.gtag('js', new Date());
+        window.gtag('config', this.googleTagId, {
+            'anonymize_ip': true,
+            'cookie_flags': 'SameSite=None;Secure',
+            'allow_google_signals': false,
+            'allow_ad_personalization_signals': false
+        });
+        
+        // Custom event tracking for appointment bookings
+        window.gtag_report_appointment = function(url) {
+            window.gtag('event', 'appointment_booking', {
+                'event_category': 'engagement',
+                'event_label': 'phone_call',
+                'value': 1
+            });
+            if (typeof(url) != 'undefined') {
+                window.location = url;
+            }
+            return false;
+        };
+        
+        script.onerror = () => {
+            console.warn('Failed to load Google tag');
+        };
+    },
+    
+    loadAnalytics() {
+        // The tag itself is always present; analytics_storage is granted via updateConsentMode()
+        this.loadGoogleTag();
+    },
+    
+    removeAnalytics() {
+        // Keep the tag for cookieless pings, only drop what analytics_storage allowed it to set
+        CookieScanner.purge('analytics');
     },
     
     loadMarketing() {
-        console.log('Marketing cookies enabled');
+        // Loads only the tags whose vendor is allowed
+        MarketingTags.sync();
     },
     
     removeMarketing() {
-        console.log('Marketing cookies disabled');
+        MarketingTags.sync();
     },
     
-    clearCookies(names) {
-        names.forEach(name => {
-            document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/;`;
-            document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/; domain=.${window.location.hostname}`;
+    // ===== DECLARATIVE CONSENT GATING =====
+    // <script type="text/plain" data-consent="analytics" [data-src] [data-type]>
+    // <iframe data-consent="thirdParty" data-src="...">
+    updateConsentElements(root = document) {
+        root.querySelectorAll('script[data-consent], iframe[data-consent]').forEach(el => {
+            const allowed = this.isConsentGranted(el.dataset.consent);
+            
+            if (el.tagName === 'SCRIPT') {
+                allowed ? this.activateConsentScript(el) : this.deactivateConsentScript(el);
+            } else {
+                allowed ? this.activateConsentFrame(el) : this.deactivateConsentFrame(el);
+            }
+        });
+    },
+    
+    activateConsentScript(placeholder) {
+        if (this.activeConsentScripts.has(placeholder)) return;
+        
+        // Browsers never run a script node twice, so a fresh clone is needed
+        const script = document.createElement('script');
+        Array.from(placeholder.attributes).forEach(attr => {
+            if (!['type', 'data-consent', 'data-src', 'data-type'].includes(attr.name)) {
+                script.setAttribute(attr.name, attr.value);
+            }
         });
+        
+        if (placeholder.dataset.type) {
+            script.type = placeholder.dataset.type;
+        }
+        
+        if (placeholder.dataset.src) {
+            script.src = placeholder.dataset.src;
+        } else {
+            script.text = placeholder.text;
+        }
+        
+        script.setAttribute('data-consent-source', placeholder.dataset.consent);
+        placeholder.after(script);
+        this.activeConsentScripts.set(placeholder, script);
+    },
+    
+    deactivateConsentScript(placeholder) {
+        const script = this.activeConsentScripts.get(placeholder);
+        if (!script) return;
+        
+        // Code that already ran can't be undone; removing the node stops reloads,
+        // the category's cookies are cleared by applyPreferences()
+        script.remove();
+        this.activeConsentScripts.delete(placeholder);
+    },
+    
+    activateConsentFrame(frame) {
+        const src = frame.dataset.src;
+        if (src && frame.getAttribute('src') !== src) {
+            frame.setAttribute('src', src);
+        }
+    },
+    
+    deactivateConsentFrame(frame) {
+        // "Load once" from a placeholder lasts for the current page view
+        if (frame.dataset.consentOnce === 'true') return;
+        
+        const src = frame.getAttribute('src');
+        if (src && src !== 'about:blank') {
+            frame.setAttribute('src', 'about:blank');
+        }
+    },
+    
+    clearCookies(names) {
+        names.forEach(name => CookieScanner.deleteCookie(name));
     },
     
     trackConsentChange() {
+        const record = this.consentRecord || {};
         const consentHistory = {
             timestamp: new Date().toISOString(),
             preferences: this.preferences,
+            policyVersion: this.policyVersion,
+            source: record.source || 'banner',
             action: 'preferences_updated'
         };
         
+        // Decisions taken for, or against, a browser privacy signal are logged as such
+        if (record.source === 'browser_signal') {
+            consentHistory.action = 'browser_signal';
+            consentHistory.signal = this.privacySignal;
+        } else if (record.signalOverride) {
+            consentHistory.action = 'signal_override';
+            consentHistory.signal = this.privacySignal;
+        }
+        
+        // First decision after a policy change or expiry is logged as a re-consent
+        if (this.staleConsent) {
+            if (consentHistory.action === 'preferences_updated') {
+                consentHistory.action = 'reconsent';
+            }
+            consentHistory.reason = this.staleConsent.reason;
+            consentHistory.previousPolicyVersion = this.staleConsent.policyVersion;
+            consentHistory.previousTimestamp = this.staleConsent.timestamp;
+            this.staleConsent = null;
+        }
+        
         try {
             const history = JSON.parse(localStorage.getItem('consentHistory') || '[]');
             history.push(consentHistory);
@@ -554,25 +1147,111 @@ const CookieConsent = {
     },
     
     trackConsentGiven(choice) {
-        if (navigator.sendBeacon) {
-            const data = JSON.stringify({
-                event: 'cookie_consent',
-                choice: choice,
-                preferences: this.preferences,
-                timestamp: new Date().toISOString(),
-                page: window.location.pathname
-            });
-        }
+        this.sendConsentReceipt(choice);
         
         this.trackConsentChange();
     },
     
+    getConsentId() {
+        // Random per-device ID so receipts can be matched without identifying anyone
+        try {
+            let consentId = localStorage.getItem('consentId');
+            if (!consentId) {
+                consentId = generateId();
+                localStorage.setItem('consentId', consentId);
+            }
+            return consentId;
+        } catch (e) {
+            return generateId();
+        }
+    },
+    
+    buildConsentReceipt(choice) {
+        const record = this.consentRecord || {};
+        
+        return {
+            id: generateId(),
+            event: 'cookie_consent',
+            consentId: this.getConsentId(),
+            policyVersion: this.policyVersion,
+            choice: choice,
+            source: record.source || 'banner',
+            signal: this.privacySignal,
+            preferences: {
+                analytics: this.preferences.analytics,
+                marketing: this.preferences.marketing,
+                thirdParty: this.preferences.thirdParty,
+                vendors: { ...this.preferences.vendors }
+            },
+            timestamp: record.timestamp || new Date().toISOString(),
+            page: window.location.pathname
+        };
+    },
+    
+    // The receipt (and the consentId it carries) is only created when a consent log is configured
+    async sendConsentReceipt(choice) {
+        if (!this.consentLogEndpoint) return;
+        
+        const endpoint = this.consentLogEndpoint;
+        const receipt = this.buildConsentReceipt(choice);
+        
+        if (navigator.onLine) {
+            try {
+                await this.postConsentReceipt(endpoint, receipt);
+                return;
+            } catch (e) {
+                console.warn('Consent receipt not delivered, queueing for retry');
+            }
+        }
+        
+        try {
+            await OfflineStore.add('consentReceipts', { ...receipt, endpoint: endpoint });
+            await OfflineStore.requestSync('consent-receipts');
+        } catch (e) {
+            console.warn('Could not queue consent receipt');
+        }
+    },
+    
+    async postConsentReceipt(endpoint, receipt) {
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(receipt),
+            keepalive: true
+        });
+        
+        // Client errors won't succeed on retry either
+        if (!response.ok && response.status >= 500) {
+            throw new Error(`Consent log responded with ${response.status}`);
+        }
+    },
+    
+    async flushConsentReceipts() {
+        let receipts;
+        try {
+            receipts = await OfflineStore.getAll('consentReceipts');
+        } catch (e) {
+            return;
+        }
+        
+        for (const { endpoint, ...receipt } of receipts) {
+            try {
+                await this.postConsentReceipt(endpoint, receipt);
+                await OfflineStore.delete('consentReceipts', receipt.id);
+            } catch (e) {
+                // Still offline - keep the rest queued
+                break;
+            }
+        }
+    },
+    
     trapFocus() {
         if (!this.banner) return;
         
-        const focusableElements = this.banner.querySelectorAll(
+        // Skip controls hidden by the current banner mode
+        const focusableElements = Array.from(this.banner.querySelectorAll(
             'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-        );
+        )).filter(el => el.offsetParent !== null);
         
         const firstFocusable = focusableElements[0];
         const lastFocusable = focusableElements[focusableElements.length - 1];
@@ -608,850 +1287,3527 @@ const CookieConsent = {
     }
 };
 
-// ===== ENHANCED GDPR FORM VALIDATION SYSTEM =====
-const GDPRFormHandler = {
-    form: null,
-    isInitialized: false,
+// ===== COOKIE & STORAGE INVENTORY SCANNER =====
+const CookieScanner = {
+    // First match wins; a vendor makes the entry follow that vendor's toggle
+    patterns: [
+        { category: 'essential', pattern: /^(language|cookieConsent|cookieConsentDate|cookiePreferences|consentHistory|consentId|formSubmissions|formSubmitAttempts|dsarRequests|bookingProgress|requestedSlots|tabId|formDraft:.+)$/ },
+        { category: 'analytics', vendor: 'googleAnalytics', pattern: /^(_ga|_ga_[A-Z0-9]+|_gid|_gat(_.+)?|_dc_gtm_.+)$/ },
+        { category: 'marketing', vendor: 'googleAds', pattern: /^(_gcl_.+|_gac_.+|__gads|__gpi|IDE|test_cookie)$/ },
+        { category: 'marketing', vendor: 'metaPixel', pattern: /^(_fbp|_fbc|fr)$/ },
+        { category: 'marketing', vendor: 'linkedinInsight', pattern: /^(li_sugr|li_fat_id|bcookie|bscookie|lidc|UserMatchHistory|AnalyticsSyncHistory)$/ }
+    ],
     
-    init() {
-        this.form = document.getElementById('eventRegistrationForm');
-        if (!this.form) return;
-        
-        this.isInitialized = true;
-        
-        // Check third-party cookies on init
-        this.checkThirdPartyCookies();
+    classify(name) {
+        const match = this.patterns.find(entry => entry.pattern.test(name));
+        return match
+            ? { category: match.category, vendor: match.vendor || null }
+            : { category: 'unknown', vendor: null };
+    },
+    
+    scan() {
+        const items = [];
         
-        // Add submit handler
-        this.form.addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.handleSubmit(this.form);
+        document.cookie.split(';').forEach(part => {
+            const name = part.split('=')[0].trim();
+            if (name) {
+                items.push({ name: name, store: 'cookie', ...this.classify(name) });
+            }
         });
         
-        // Add real-time validation for consent checkboxes
-        const consentCheckboxes = this.form.querySelectorAll('input[type="checkbox"][required]');
-        consentCheckboxes.forEach(checkbox => {
-            checkbox.addEventListener('change', () => {
-                this.validateConsentField(checkbox);
-            });
+        ['localStorage', 'sessionStorage'].forEach(storeName => {
+            try {
+                const storage = window[storeName];
+                for (let i = 0; i < storage.length; i++) {
+                    const name = storage.key(i);
+                    items.push({ name: name, store: storeName, ...this.classify(name) });
+                }
+            } catch (e) {
+                // Storage blocked by the browser
+            }
         });
         
-        // Listen for cookie consent changes
-        window.addEventListener('cookieConsentChanged', (event) => {
-            console.log('Cookie consent changed, updating form state...', event.detail);
-            this.handleCookieConsentChange(event.detail);
-        });
-    },
-    
-    handleCookieConsentChange(detail) {
-        if (detail.hasThirdPartyConsent) {
-            console.log('Third-party consent granted, enabling form...');
-            this.enableForm();
-        } else {
-            console.log('Third-party consent not granted, disabling form...');
-            this.disableForm();
-        }
+        return items;
     },
     
-    checkThirdPartyCookies() {
-        if (!this.form) return;
+    isAllowed(item) {
+        // Unclassified entries are left alone - we can't tell what they're for
+        if (item.category === 'unknown') return true;
         
-        if (!CookieConsent.hasThirdPartyConsent()) {
-            this.disableForm();
-        } else {
-            this.enableForm();
-        }
+        return item.vendor
+            ? CookieConsent.hasVendorConsent(item.vendor)
+            : CookieConsent.isCategoryAllowed(item.category);
     },
     
-    enableForm() {
-        if (!this.form) return;
-        
-        console.log('Enabling event registration form...');
-        
-        // Remove any consent notices
-        const consentNotices = this.form.querySelectorAll('.consent-notice');
-        consentNotices.forEach(notice => notice.remove());
-        
-        // Remove disabled class
-        this.form.classList.remove('consent-required');
-        this.form.style.opacity = '1';
-        this.form.style.pointerEvents = 'auto';
-        
-        // Enable all inputs
-        const inputs = this.form.querySelectorAll('input, textarea, select');
-        inputs.forEach(input => {
-            input.disabled = false;
-            input.removeAttribute('disabled');
-            input.style.cursor = 'auto';
-            input.style.opacity = '1';
-        });
+    purge(category = null) {
+        const removed = [];
         
-        // Fix the submit button
-        const submitBtn = this.form.querySelector('button[type="submit"]');
-        if (submitBtn) {
-            submitBtn.disabled = false;
-            submitBtn.style.cursor = 'pointer';
-            submitBtn.style.opacity = '1';
+        this.scan().forEach(item => {
+            if (category && item.category !== category) return;
+            if (this.isAllowed(item)) return;
             
-            // Restore original text
-            const originalText = submitBtn.getAttribute('data-original-text');
-            if (originalText) {
-                submitBtn.innerHTML = originalText;
-                submitBtn.removeAttribute('data-original-text');
+            if (item.store === 'cookie') {
+                this.deleteCookie(item.name);
             } else {
-                // Default text if no original saved
-                submitBtn.innerHTML = `
-                    <span lang="en">Register for Event</span>
-                    <span lang="ro">Înregistrează-te la Eveniment</span>
-                `;
+                try {
+                    window[item.store].removeItem(item.name);
+                } catch (e) {
+                    return;
+                }
             }
-        }
+            removed.push(item);
+        });
         
-        // Clear any error messages
-        const errorContainer = document.getElementById('formErrors');
-        if (errorContainer) {
-            errorContainer.style.display = 'none';
-            errorContainer.innerHTML = '';
+        return removed;
+    },
+    
+    deleteCookie(name) {
+        // Cookies may have been set host-only or on any parent domain, on / or the current path
+        const expired = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 UTC`;
+        const paths = Array.from(new Set(['/', window.location.pathname]));
+        const parts = window.location.hostname.split('.');
+        const domains = [];
+        
+        for (let i = 0; i < parts.length - 1; i++) {
+            domains.push(parts.slice(i).join('.'));
         }
         
-        // Add a visual indicator that the form is now active
-        this.form.style.transition = 'all 0.3s ease';
-        this.form.style.border = '2px solid #4CAF50';
-        setTimeout(() => {
-            this.form.style.border = '';
-        }, 2000);
-        
-        console.log('Form enabled successfully');
+        paths.forEach(path => {
+            document.cookie = `${expired}; path=${path}`;
+            domains.forEach(domain => {
+                document.cookie = `${expired}; path=${path}; domain=${domain}`;
+                document.cookie = `${expired}; path=${path}; domain=.${domain}`;
+            });
+        });
     },
     
-    disableForm() {
-        if (!this.form) return;
+    renderInventory() {
+        const list = document.getElementById('cookieInventoryList');
+        if (!list) return;
+        
+        const storeLabels = {
+            cookie: 'Cookie',
+            localStorage: 'Local Storage',
+            sessionStorage: 'Session Storage'
+        };
         
-        console.log('Disabling event registration form...');
+        const items = this.scan();
         
-        // Add consent notice if not already present
-        if (!this.form.querySelector('.consent-notice')) {
-            const consentNotice = document.createElement('div');
-            consentNotice.className = 'consent-notice';
-            consentNotice.innerHTML = `
-                <p>
-                    <span lang="ro">Pentru a utiliza acest formular, trebuie să acceptați cookie-urile terțe. </span>
-                    <span lang="en">To use this form, you need to accept third-party cookies. </span>
-                    <button onclick="openCookieSettings()" style="text-decoration: underline; border: none; background: none; color: #4169e1; cursor: pointer; font-weight: 600;">
-                        <span lang="ro">Deschide Setări Cookie</span>
-                        <span lang="en">Open Cookie Settings</span>
-                    </button>
-                </p>
+        if (items.length === 0) {
+            list.innerHTML = `
+                <li class="cookie-inventory-empty">${LanguageManager.markup('cookies.inventory.empty')}</li>
             `;
-            this.form.insertBefore(consentNotice, this.form.firstChild);
+            return;
         }
         
-        // Add disabled class
-        this.form.classList.add('consent-required');
-        
-        // Disable the submit button
-        const submitBtn = this.form.querySelector('button[type="submit"]');
-        if (submitBtn) {
-            // Save original text if not already saved
-            if (!submitBtn.hasAttribute('data-original-text')) {
-                submitBtn.setAttribute('data-original-text', submitBtn.innerHTML);
-            }
+        list.innerHTML = items.map(item => {
+            const allowed = this.isAllowed(item);
             
-            submitBtn.disabled = true;
-            submitBtn.style.cursor = 'not-allowed';
-            submitBtn.style.opacity = '0.6';
-            submitBtn.innerHTML = `
-                <span lang="ro">Necesită Consimțământ Cookie</span>
-                <span lang="en">Requires Cookie Consent</span>
+            return `
+                <li class="cookie-inventory-item${allowed ? '' : ' blocked'}">
+                    <code>${escapeHtml(item.name)}</code>
+                    <span class="cookie-inventory-meta">
+                        ${storeLabels[item.store]} ·
+                        ${LanguageManager.markup(`cookies.categories.${item.category}`)}
+                        ${allowed ? '' : `· ${LanguageManager.markup('cookies.inventory.will_be_removed')}`}
+                    </span>
+                </li>
             `;
-        }
-        
-        console.log('Form disabled - requires cookie consent');
+        }).join('');
+    }
+};
+
+// ===== MARKETING TAG LOADER =====
+// Tags load and tear down with their vendor's toggle. IDs come from <body data-*>,
+// a tag without an ID is never loaded.
+const MarketingTags = {
+    tags: [],
+    loaded: new Set(),
+    
+    register(tag) {
+        if (this.tags.some(existing => existing.id === tag.id)) return;
+        this.tags.push(tag);
     },
     
-    validateConsentField(checkbox) {
-        const errorId = `${checkbox.id}-error`;
-        let errorElement = document.getElementById(errorId);
-        
-        if (!checkbox.checked) {
-            if (!errorElement) {
-                errorElement = document.createElement('span');
-                errorElement.id = errorId;
-                errorElement.className = 'consent-error';
-                errorElement.innerHTML = `
-                    <span lang="ro">Acest câmp este obligatoriu pentru conformitate GDPR</span>
-                    <span lang="en">This field is required for GDPR compliance</span>
-                `;
-                checkbox.parentElement.appendChild(errorElement);
-            }
-            checkbox.setAttribute('aria-invalid', 'true');
-            return false;
-        } else {
-            if (errorElement) {
-                errorElement.remove();
-            }
-            checkbox.setAttribute('aria-invalid', 'false');
-            return true;
-        }
+    getConfig(tag) {
+        return document.body.dataset[tag.configKey] || null;
     },
     
-    validateAllConsents(form) {
-        const consentCheckboxes = form.querySelectorAll('input[type="checkbox"][required]');
-        let allValid = true;
-        
-        consentCheckboxes.forEach(checkbox => {
-            if (!this.validateConsentField(checkbox)) {
-                allValid = false;
+    sync() {
+        this.tags.forEach(tag => {
+            const allowed = CookieConsent.hasVendorConsent(tag.vendor);
+            const config = this.getConfig(tag);
+            
+            if (allowed && config && !this.loaded.has(tag.id)) {
+                try {
+                    tag.load(config);
+                    this.loaded.add(tag.id);
+                } catch (e) {
+                    console.warn(`Could not load marketing tag ${tag.id}`, e);
+                }
+            } else if (!allowed && this.loaded.has(tag.id)) {
+                tag.teardown();
+                this.loaded.delete(tag.id);
             }
         });
         
-        return allValid;
+        // Whatever the removed tags left behind goes as well
+        CookieScanner.purge('marketing');
     },
     
-    handleSubmit(form) {
-        // Clear previous errors
-        const errorContainer = document.getElementById('formErrors');
-        if (errorContainer) {
-            errorContainer.style.display = 'none';
-            errorContainer.innerHTML = '';
-        }
-        
-        // Check if third-party cookies are enabled
-        if (!CookieConsent.hasThirdPartyConsent()) {
-            this.showError('form', 'third_party_cookies_required');
-            return;
-        }
-        
-        // Validate all consent checkboxes
-        if (!this.validateAllConsents(form)) {
-            this.showError('form', 'missing_consents');
-            return;
-        }
-        
-        // Validate email
-        const emailInput = form.querySelector('input[type="email"]');
-        if (!emailInput || !emailInput.value) {
-            this.showError('email', 'required');
-            return;
-        }
-        
-        if (!this.isValidEmail(emailInput.value)) {
-            this.showError('email', 'invalid');
-            return;
-        }
-        
-        // All validations passed
-        this.submitForm(form);
+    injectScript(tagId, src) {
+        const script = document.createElement('script');
+        script.async = true;
+        script.src = src;
+        script.setAttribute('data-marketing-tag', tagId);
+        document.head.appendChild(script);
+        return script;
     },
     
-    isValidEmail(email) {
-        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+    removeScripts(tagId, srcPatterns = []) {
+        document.querySelectorAll(`script[data-marketing-tag="${tagId}"]`).forEach(el => el.remove());
+        
+        // Tags inject follow-up scripts of their own
+        srcPatterns.forEach(pattern => {
+            document.querySelectorAll(`script[src*="${pattern}"]`).forEach(el => el.remove());
+        });
     },
     
-    showError(field, type) {
-        const errorContainer = document.getElementById('formErrors');
-        if (!errorContainer) return;
-        
-        const errors = {
-            third_party_cookies_required: {
-                ro: 'Pentru a trimite formularul, trebuie să acceptați cookie-urile terțe în Setările Cookie.',
-                en: 'To submit the form, you need to accept third-party cookies in Cookie Settings.'
-            },
-            missing_consents: {
-                ro: 'Vă rugăm să bifați toate căsuțele de consimțământ obligatorii.',
-                en: 'Please check all required consent boxes.'
-            },
-            email_required: {
-                ro: 'Adresa de email este obligatorie.',
-                en: 'Email address is required.'
-            },
-            email_invalid: {
-                ro: 'Vă rugăm să introduceți o adresă de email validă.',
-                en: 'Please enter a valid email address.'
+    removeGlobals(names) {
+        names.forEach(name => {
+            try {
+                delete window[name];
+            } catch (e) {
+                window[name] = undefined;
             }
+        });
+    }
+};
+
+MarketingTags.register({
+    id: 'metaPixel',
+    vendor: 'metaPixel',
+    configKey: 'metaPixelId',
+    
+    load(pixelId) {
+        const fbq = window.fbq = function() {
+            fbq.callMethod ? fbq.callMethod.apply(fbq, arguments) : fbq.queue.push(arguments);
         };
+        if (!window._fbq) window._fbq = fbq;
+        fbq.push = fbq;
+        fbq.loaded = true;
+        fbq.version = '2.0';
+        fbq.queue = [];
         
-        const errorKey = `${field}_${type}`;
-        const error = errors[errorKey] || errors[type];
+        MarketingTags.injectScript(this.id, 'https://connect.facebook.net/en_US/fbevents.js');
         
-        if (error) {
-            errorContainer.innerHTML = `
-                <span lang="ro">${error.ro}</span>
-                <span lang="en">${error.en}</span>
-            `;
-            errorContainer.style.display = 'block';
-            
-            // Scroll to error
-            errorContainer.scrollIntoView({ behavior: 'smooth', block: 'center' });
-            
-            // Add shake animation
-            errorContainer.style.animation = 'shake 0.5s';
-            setTimeout(() => {
-                errorContainer.style.animation = '';
-            }, 500);
-        }
+        fbq('init', pixelId);
+        fbq('track', 'PageView');
     },
     
-    submitForm(form) {
-        const submitBtn = form.querySelector('button[type="submit"]');
-        const originalText = submitBtn.innerHTML;
-        
-        // Show loading state
-        submitBtn.disabled = true;
-        submitBtn.innerHTML = `
-            <span lang="ro">Se trimite...</span>
-            <span lang="en">Sending...</span>
-        `;
-        
-        // Add loading animation
-        submitBtn.style.position = 'relative';
-        submitBtn.style.overflow = 'hidden';
-        
-        const spinner = document.createElement('span');
-        spinner.style.cssText = `
-            position: absolute;
-            top: 50%;
-            left: 50%;
-            transform: translate(-50%, -50%);
-            width: 20px;
-            height: 20px;
-            border: 2px solid rgba(255, 255, 255, 0.3);
-            border-top-color: white;
-            border-radius: 50%;
-            animation: spin 1s linear infinite;
-        `;
-        submitBtn.appendChild(spinner);
-        
-        // Add spin animation style
-        if (!document.querySelector('style[data-spinner]')) {
-            const style = document.createElement('style');
-            style.setAttribute('data-spinner', 'true');
-            style.textContent = `
-                @keyframes spin {
-                    to { transform: translate(-50%, -50%) rotate(360deg); }
-                }
-                @keyframes shake {
-                    0%, 100% { transform: translateX(0); }
-                    10%, 30%, 50%, 70%, 90% { transform: translateX(-5px); }
-                    20%, 40%, 60%, 80% { transform: translateX(5px); }
-                }
-            `;
-            document.head.appendChild(style);
-        }
-        
-        // Track form submission for GDPR audit
-        this.trackFormSubmission(form);
+    teardown() {
+        MarketingTags.removeScripts(this.id, ['connect.facebook.net']);
+        MarketingTags.removeGlobals(['fbq', '_fbq']);
+    }
+});
+
+MarketingTags.register({
+    id: 'linkedinInsight',
+    vendor: 'linkedinInsight',
+    configKey: 'linkedinPartnerId',
+    
+    load(partnerId) {
+        window._linkedin_partner_id = partnerId;
+        window._linkedin_data_partner_ids = [partnerId];
+        window.lintrk = function(a, b) { window.lintrk.q.push([a, b]); };
+        window.lintrk.q = [];
         
-        // Actually submit the form
-        form.submit();
+        MarketingTags.injectScript(this.id, 'https://snap.licdn.com/li.lms-analytics/insight.min.js');
     },
     
-    trackFormSubmission(form) {
-        const submissionData = {
-            timestamp: new Date().toISOString(),
-            form: 'event_registration',
-            consents: {
-                dataProcessing: document.getElementById('dataProcessingConsent')?.checked || false,
-                internationalTransfer: document.getElementById('internationalTransferConsent')?.checked || false,
-                privacyPolicy: document.getElementById('privacyPolicyConsent')?.checked || false
-            }
-        };
-        
-        // Store submission data for audit trail
-        try {
-            const submissions = JSON.parse(localStorage.getItem('formSubmissions') || '[]');
-            submissions.push(submissionData);
-            if (submissions.length > 5) submissions.shift();
-            localStorage.setItem('formSubmissions', JSON.stringify(submissions));
-        } catch (e) {
-            console.warn('Could not save form submission data');
-        }
-        
-        // Track in analytics if enabled
-        if (typeof gtag !== 'undefined' && CookieConsent.hasAccepted()) {
-            gtag('event', 'form_submit', {
-                'event_category': 'GDPR_Compliant_Form',
-                'event_label': 'Event Registration',
-                'consents_given': true
-            });
-        }
+    teardown() {
+        MarketingTags.removeScripts(this.id, ['snap.licdn.com', 'px.ads.linkedin.com']);
+        MarketingTags.removeGlobals(['lintrk', '_linkedin_partner_id', '_linkedin_data_partner_ids', '_already_called_lintrk']);
     }
-};
+});
 
-// ===== LANGUAGE MANAGEMENT SYSTEM =====
-const LanguageManager = {
-    currentLang: 'ro',
+// ===== CLICK-TO-LOAD PLACEHOLDERS FOR THIRD-PARTY EMBEDS =====
+// <iframe data-consent="thirdParty|vendorId" data-src="..." data-placeholder-name="YouTube" width="560" height="315">
+const ConsentPlaceholder = {
+    placeholders: new Map(),
     
     init() {
-        // Check for saved language preference
-        const savedLang = this.getSavedLanguage();
-        const browserLang = navigator.language.toLowerCase();
-        
-        // Prioritize: saved preference > browser language > default (ro)
-        if (savedLang && ['ro', 'en'].includes(savedLang)) {
-            this.currentLang = savedLang;
-        } else if (browserLang.startsWith('en')) {
-            this.currentLang = 'en';
-        }
+        document.querySelectorAll('iframe[data-consent]').forEach(frame => this.attach(frame));
         
-        this.setLanguage(this.currentLang);
-        this.setupLanguageButtons();
+        window.addEventListener('cookieConsentChanged', () => this.refresh());
+        this.refresh();
     },
     
-    getSavedLanguage() {
-        try {
-            return localStorage.getItem('language');
-        } catch (e) {
-            return null;
+    attach(frame) {
+        if (this.placeholders.has(frame)) return;
+        
+        const key = frame.dataset.consent;
+        const vendor = CookieConsent.getVendor(key);
+        const name = frame.dataset.placeholderName || (vendor ? vendor.name : frame.title || key);
+        
+        const placeholder = document.createElement('div');
+        placeholder.className = 'consent-placeholder';
+        placeholder.setAttribute('role', 'region');
+        placeholder.setAttribute('aria-label', frame.title || name);
+        
+        // Keep the embed's footprint so the layout doesn't jump when it loads
+        const width = parseInt(frame.getAttribute('width'), 10);
+        const height = parseInt(frame.getAttribute('height'), 10);
+        if (width && height) {
+            placeholder.style.aspectRatio = `${width} / ${height}`;
         }
-    },
-    
-    setLanguage(lang) {
-        if (!['ro', 'en'].includes(lang)) return;
         
-        this.currentLang = lang;
+        placeholder.innerHTML = `
+            <div class="consent-placeholder-content">
+                <p>${LanguageManager.markupHtml('cookies.placeholder.notice', { name: name })}</p>
+                <div class="consent-placeholder-actions">
+                    <button type="button" class="cookie-btn cookie-btn-secondary" data-placeholder-action="once">
+                        ${LanguageManager.markup('cookies.placeholder.load_once')}
+                    </button>
+                    <button type="button" class="cookie-btn cookie-btn-primary" data-placeholder-action="always">
+                        ${LanguageManager.markup('cookies.placeholder.always_allow')}
+                    </button>
+                </div>
+                <button type="button" class="consent-placeholder-settings" onclick="openCookieSettings()">
+                    ${LanguageManager.markup('cookies.placeholder.settings')}
+                </button>
+            </div>
+        `;
         
-        // Batch DOM updates to prevent reflows
-        requestAnimationFrame(() => {
-            document.body.classList.toggle('lang-ro', lang === 'ro');
-            document.documentElement.lang = lang;
-            
-            // Update language buttons
-            document.querySelectorAll('.lang-btn').forEach(btn => {
-                btn.classList.toggle('active', btn.dataset.lang === lang);
-                btn.setAttribute('aria-pressed', btn.dataset.lang === lang);
-            });
+        placeholder.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-placeholder-action]');
+            if (!action) return;
             
-            // Update navigation links
-            document.querySelectorAll('.nav-link').forEach(link => {
-                const text = lang === 'ro' ? link.dataset.ro : link.dataset.en;
-                if (text) link.textContent = text;
-            });
+            if (action.dataset.placeholderAction === 'once') {
+                this.loadOnce(frame);
+            } else {
+                CookieConsent.grantConsent(key);
+            }
         });
         
-        // Save preference (this is functional, not tracking)
-        try {
-            localStorage.setItem('language', lang);
-        } catch (e) {
-            console.warn('localStorage not available');
-        }
-        
-        // Update page meta for SEO
-        this.updatePageMeta(lang);
-        
-        // Trigger custom event for language change
-        window.dispatchEvent(new CustomEvent('languageChanged', { detail: { language: lang } }));
+        frame.before(placeholder);
+        this.placeholders.set(frame, placeholder);
     },
     
-    setupLanguageButtons() {
-        document.querySelectorAll('.lang-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                e.preventDefault();
-                this.setLanguage(btn.dataset.lang);
-            });
+    loadOnce(frame) {
+        frame.dataset.consentOnce = 'true';
+        CookieConsent.activateConsentFrame(frame);
+        this.show(frame);
+        frame.focus();
+    },
+    
+    refresh() {
+        this.placeholders.forEach((placeholder, frame) => {
+            const allowed = CookieConsent.isConsentGranted(frame.dataset.consent) ||
+                frame.dataset.consentOnce === 'true';
+            
+            allowed ? this.show(frame) : this.hide(frame);
         });
     },
     
-    updatePageMeta(lang) {
-        // Update document title based on language
-        const titles = {
-            ro: 'Consiliere Online România | Life Coach & Dezvoltare Personală | Răzvan Mischie',
-            en: 'Online Counseling Romania | Life Coach & Personal Development | Răzvan Mischie'
-        };
-        document.title = titles[lang] || titles.ro;
-        
-        // Update meta description
-        const descriptions = {
-            ro: 'Consiliere online profesională pentru dezvoltare personală în România. Life coaching pentru echilibru emoțional, claritate în viață și creștere personală.',
-            en: 'Professional online counseling for personal development in Romania. Life coaching for emotional balance, life clarity and personal growth.'
-        };
-        const metaDesc = document.querySelector('meta[name="description"]');
-        if (metaDesc) {
-            metaDesc.content = descriptions[lang] || descriptions.ro;
-        }
+    show(frame) {
+        frame.hidden = false;
+        this.placeholders.get(frame).hidden = true;
+    },
+    
+    hide(frame) {
+        frame.hidden = true;
+        this.placeholders.get(frame).hidden = false;
     }
 };
 
-// ===== MOBILE MENU MANAGEMENT =====
-const MobileMenu = {
-    isOpen: false,
-    menu: null,
-    toggle: null,
+// ===== "MY DATA ON THIS DEVICE" PANEL =====
+// Lists, exports and erases everything the site keeps in the browser
+const DeviceData = {
+    modal: null,
+    
+    // Plain-language descriptions of the keys the site writes itself
+    descriptions: {
+        language: 'deviceData.keys.language',
+        cookieConsent: 'deviceData.keys.cookieConsent',
+        cookieConsentDate: 'deviceData.keys.cookieConsentDate',
+        cookiePreferences: 'deviceData.keys.cookiePreferences',
+        consentHistory: 'deviceData.keys.consentHistory',
+        consentId: 'deviceData.keys.consentId',
+        formSubmissions: 'deviceData.keys.formSubmissions',
+        bookingProgress: 'deviceData.keys.bookingProgress',
+        tabId: 'deviceData.keys.tabId',
+        requestedSlots: 'deviceData.keys.requestedSlots',
+        formSubmitAttempts: 'deviceData.keys.formSubmitAttempts',
+        dsarRequests: 'deviceData.keys.dsarRequests'
+    },
+    
+    storeDescriptions: {
+        consentReceipts: 'deviceData.stores.consentReceipts',
+        pendingRegistrations: 'deviceData.stores.pendingRegistrations'
+    },
+    
+    storeLabels: {
+        cookie: 'Cookie',
+        localStorage: 'Local Storage',
+        sessionStorage: 'Session Storage'
+    },
     
     init() {
-        this.menu = document.getElementById('navMenu');
-        this.toggle = document.querySelector('.mobile-menu-toggle');
-        
-        if (this.toggle) {
-            this.toggle.addEventListener('click', () => this.toggleMenu());
-            
-            // Keyboard support
-            this.toggle.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    this.toggleMenu();
-                }
-            });
-        }
+        this.modal = document.getElementById('deviceDataModal');
+        if (!this.modal) return;
         
-        // Close menu on outside click
-        document.addEventListener('click', (e) => {
-            if (this.isOpen && !e.target.closest('.nav-container')) {
-                this.closeMenu();
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.close();
             }
         });
         
-        // Close menu on escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.isOpen) {
-                this.closeMenu();
-                this.toggle.focus();
+        this.modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.close();
             }
         });
         
-        // Close menu when clicking nav links
-        this.menu?.addEventListener('click', (e) => {
-            if (e.target.classList.contains('nav-link')) {
-                this.closeMenu();
+        window.addEventListener('languageChanged', async () => {
+            if (this.modal.classList.contains('show')) {
+                this.render(await this.collect());
             }
         });
     },
     
-    toggleMenu() {
-        this.isOpen = !this.isOpen;
+    async open() {
+        if (!this.modal) return;
+        
+        this.setStatus('');
+        this.render(await this.collect());
         
-        // Batch DOM updates
         requestAnimationFrame(() => {
-            this.menu.classList.toggle('active', this.isOpen);
-            this.toggle.setAttribute('aria-expanded', this.isOpen);
-            this.animateHamburger(this.isOpen);
+            this.modal.style.display = 'block';
+            
+            // Force reflow
+            this.modal.offsetHeight;
+            
+            this.modal.classList.add('show');
+            document.body.style.overflow = 'hidden';
+            
+            // Focus management
+            this.modal.setAttribute('tabindex', '-1');
+            this.modal.focus();
         });
     },
     
-    closeMenu() {
-        this.isOpen = false;
+    close() {
+        if (!this.modal) return;
         
-        requestAnimationFrame(() => {
-            this.menu.classList.remove('active');
-            this.toggle.setAttribute('aria-expanded', 'false');
-            this.animateHamburger(false);
-        });
+        this.modal.classList.remove('show');
+        
+        setTimeout(() => {
+            this.modal.style.display = 'none';
+            
+            // The panel can be opened on top of the privacy or cookie settings modal
+            if (!document.querySelector('.modal.show')) {
+                document.body.style.overflow = '';
+            }
+        }, 300);
     },
     
-    animateHamburger(isOpen) {
-        const spans = this.toggle.querySelectorAll('span');
-        if (isOpen) {
-            spans[0].style.transform = 'rotate(45deg) translateY(8px)';
-            spans[1].style.opacity = '0';
-            spans[2].style.transform = 'rotate(-45deg) translateY(-8px)';
-        } else {
-            spans.forEach(span => {
-                span.style.transform = '';
-                span.style.opacity = '';
-            });
+    describe(item) {
+        if (this.descriptions[item.name]) {
+            return t(this.descriptions[item.name]);
         }
-    }
-};
-
-// ===== ENHANCED CAROUSEL WITH TOUCH SUPPORT =====
-class Carousel {
-    constructor() {
-        this.currentSlide = 0;
-        this.autoPlayInterval = null;
-        this.touchStartX = 0;
-        this.touchEndX = 0;
-        this.track = null;
-        this.slides = [];
-        this.dots = [];
-        this.isTransitioning = false;
         
-        // Cache for performance
-        this.slideWidth = 0;
-        this.trackWidth = 0;
+        if (item.name.startsWith(FormDrafts.keyPrefix)) {
+            return t('deviceData.keys.formDraft');
+        }
         
-        // Event configuration
-        this.eventImages = ['./consiliere-online-razvan-mischie-event-1.webp', './consiliere-online-razvan-mischie-event-2.webp', './consiliere-online-razvan-mischie-event-3.webp', './consiliere-online-razvan-mischie-event-4.webp', './consiliere-online-razvan-mischie-event-5.webp'];
-        this.eventCaptions = [
-            {
-                ro: 'Atelier de Re-cunoaștere - 25 Iunie, 19:00 - 22:00 - 35 RON',
-                en: 'Recognition Workshop - June 25, 7:00 PM - 10:00 PM - 35 RON'
-            },
-            {
-                ro: 'Atelier: Interese Specifice - 26 Iulie, 18:00 - 20:00 - 35 RON',
-                en: 'Workshop: Specific Interests - July 26, 6:00 PM - 8:00 PM - 35 RON'
-            },
-            {
-                ro: 'Comunicarea și Nuanțele ei - 10 Iulie, 18:00 - 20:00 - 35 RON',
-                en: 'Communication and its Nuances - July 10, 6:00 PM - 8:00 PM - 35 RON'
-            },
-            {
-                ro: 'Medicație vs Terapie - 27 August 19:00 - 21:00 - 35 RON',
-                en: 'Medication vs Therapy - August 27 7:00 PM - 9:00 PM  - 35 RON'
-            },
-            {
-                ro: 'Medicație vs Terapie - 12 Septembrie 19:00 - 21:00 - 35 RON',
-                en: 'Medication vs Therapy - September 12 7:00 PM - 9:00 PM  - 35 RON'
+        const vendor = item.vendor ? CookieConsent.getVendor(item.vendor) : null;
+        const category = t(`cookies.categories.${item.category}`);
+        
+        return vendor
+            ? t('deviceData.set_by', { vendor: vendor.name, category: category })
+            : t('deviceData.category', { category: category });
+    },
+    
+    readValue(item) {
+        try {
+            const raw = item.store === 'cookie'
+                ? this.readCookie(item.name)
+                : window[item.store].getItem(item.name);
+            
+            try {
+                return JSON.parse(raw);
+            } catch (e) {
+                return raw;
             }
-        ];
-    }
+        } catch (e) {
+            return null;
+        }
+    },
     
-    init() {
-        this.track = document.getElementById('carouselTrack');
-        if (!this.track) return;
+    readCookie(name) {
+        const match = document.cookie.split(';')
+            .map(part => part.trim())
+            .find(part => part.split('=')[0] === name);
         
-        this.slides = Array.from(this.track.querySelectorAll('.carousel-slide'));
-        this.cacheElementDimensions();
-        this.createDots();
-        this.setupEventListeners();
-        this.preloadImages();
+        return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+    },
+    
+    async collect() {
+        const data = {
+            storage: CookieScanner.scan().map(item => ({ ...item, value: this.readValue(item) })),
+            offlineQueues: {},
+            caches: {},
+            serviceWorkers: []
+        };
         
-        // Start autoplay if motion is allowed
-        if (!window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
-            this.startAutoPlay();
+        if (await OfflineStore.exists()) {
+            for (const storeName of OfflineStore.stores) {
+                try {
+                    data.offlineQueues[storeName] = await OfflineStore.getAll(storeName);
+                } catch (e) {
+                    data.offlineQueues[storeName] = [];
+                }
+            }
         }
-    }
-    
-    cacheElementDimensions() {
-        // Cache dimensions to avoid repeated reflows
-        if (this.slides.length > 0) {
-            const firstSlide = this.slides[0];
-            this.slideWidth = firstSlide.offsetWidth;
-            this.trackWidth = this.slideWidth * this.slides.length;
+        
+        if ('caches' in window) {
+            try {
+                for (const cacheName of await caches.keys()) {
+                    const cache = await caches.open(cacheName);
+                    const requests = await cache.keys();
+                    data.caches[cacheName] = requests.map(request => request.url);
+                }
+            } catch (e) {
+                console.warn('Could not read Cache Storage');
+            }
         }
-    }
+        
+        if ('serviceWorker' in navigator) {
+            try {
+                const registrations = await navigator.serviceWorker.getRegistrations();
+                data.serviceWorkers = registrations.map(registration => ({
+                    scope: registration.scope,
+                    script: (registration.active || registration.waiting || registration.installing)?.scriptURL || null
+                }));
+            } catch (e) {
+                console.warn('Could not read service worker registrations');
+            }
+        }
+        
+        return data;
+    },
     
-    setupEventListeners() {
-        // Touch events
-        this.track.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: true });
-        this.track.addEventListener('touchend', (e) => this.handleTouchEnd(e), { passive: true });
+    render(data) {
+        const list = document.getElementById('deviceDataList');
+        if (!list) return;
         
-        // Mouse events for desktop swipe
-        let mouseDown = false;
-        this.track.addEventListener('mousedown', (e) => {
-            mouseDown = true;
-            this.touchStartX = e.clientX;
+        const rows = data.storage.map(item => {
+            const description = this.describe(item);
+            return this.renderRow(item.name, this.storeLabels[item.store], description);
         });
         
-        this.track.addEventListener('mouseup', (e) => {
-            if (mouseDown) {
-                this.touchEndX = e.clientX;
-                this.handleSwipe();
-            }
-            mouseDown = false;
+        Object.entries(data.offlineQueues).forEach(([storeName, records]) => {
+            const description = this.storeDescriptions[storeName] ? t(this.storeDescriptions[storeName]) : '';
+            rows.push(this.renderRow(storeName, `IndexedDB · ${records.length}`, description));
         });
         
-        this.track.addEventListener('mouseleave', () => {
-            mouseDown = false;
+        Object.entries(data.caches).forEach(([cacheName, urls]) => {
+            rows.push(this.renderRow(cacheName, `Cache Storage · ${urls.length}`, t('deviceData.cache')));
         });
         
-        // Navigation buttons
-        const prevBtn = document.querySelector('.carousel-nav.prev');
-        const nextBtn = document.querySelector('.carousel-nav.next');
-        
-        if (prevBtn) prevBtn.addEventListener('click', () => this.move(-1));
-        if (nextBtn) nextBtn.addEventListener('click', () => this.move(1));
+        data.serviceWorkers.forEach(registration => {
+            rows.push(this.renderRow(registration.scope, 'Service Worker', t('deviceData.service_worker')));
+        });
         
-        // Keyboard navigation
-        const container = document.querySelector('.carousel-container');
-        if (container) {
-            container.addEventListener('keydown', (e) => {
-                if (e.key === 'ArrowLeft') this.move(-1);
-                else if (e.key === 'ArrowRight') this.move(1);
-            });
-            
-            // Pause on hover
-            container.addEventListener('mouseenter', () => this.stopAutoPlay());
-            container.addEventListener('mouseleave', () => this.startAutoPlay());
+        if (rows.length === 0) {
+            list.innerHTML = `
+                <li class="cookie-inventory-empty">${escapeHtml(t('deviceData.empty'))}</li>
+            `;
+            return;
         }
         
-        // Pause when page is not visible
-        document.addEventListener('visibilitychange', () => {
-            document.hidden ? this.stopAutoPlay() : this.startAutoPlay();
-        });
-        
-        // Recalculate dimensions on resize
-        window.addEventListener('resize', debounce(() => this.cacheElementDimensions(), 250));
-    }
+        list.innerHTML = rows.join('');
+    },
     
-    preloadImages() {
-        // Preload next image for smoother transitions
-        this.eventImages.forEach((src, index) => {
-            if (index > 0) { // Skip first image as it's already loaded
-                const img = new Image();
-                img.src = src;
-            }
-        });
-    }
+    renderRow(name, meta, description) {
+        return `
+            <li class="cookie-inventory-item device-data-item">
+                <code>${escapeHtml(name)}</code>
+                <span class="cookie-inventory-meta">${escapeHtml(meta)}</span>
+                <p class="device-data-description">${escapeHtml(description)}</p>
+            </li>
+        `;
+    },
     
-    createDots() {
-        const dotsContainer = document.getElementById('carouselDots');
-        if (!dotsContainer) return;
+    setStatus(type) {
+        const status = document.getElementById('deviceDataStatus');
+        if (!status) return;
         
-        dotsContainer.innerHTML = '';
-        this.dots = [];
+        status.innerHTML = type ? LanguageManager.markup(`deviceData.status.${type}`) : '';
+    },
+    
+    async exportData() {
+        const data = await this.collect();
+        
+        const payload = {
+            site: window.location.origin,
+            exportedAt: new Date().toISOString(),
+            policyVersion: CookieConsent.policyVersion,
+            cookies: {},
+            localStorage: {},
+            sessionStorage: {},
+            indexedDB: data.offlineQueues,
+            cacheStorage: data.caches,
+            serviceWorkers: data.serviceWorkers
+        };
         
-        this.slides.forEach((_, index) => {
-            const dot = document.createElement('button');
-            dot.className = `carousel-dot${index === 0 ? ' active' : ''}`;
-            dot.setAttribute('aria-label', `Mergi la slide ${index + 1}`);
-            dot.setAttribute('aria-current', index === 0 ? 'true' : 'false');
-            dot.addEventListener('click', () => this.goToSlide(index));
-            dotsContainer.appendChild(dot);
-            this.dots.push(dot);
+        data.storage.forEach(item => {
+            const group = item.store === 'cookie' ? 'cookies' : item.store;
+            payload[group][item.name] = item.value;
         });
-    }
-    
-    handleTouchStart(e) {
-        this.touchStartX = e.changedTouches[0].screenX;
-    }
-    
-    handleTouchEnd(e) {
-        this.touchEndX = e.changedTouches[0].screenX;
-        this.handleSwipe();
-    }
+        
+        downloadFile(JSON.stringify(payload, null, 2),
+            `consiliereonline-date-${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
+        
+        this.setStatus('exported');
+    },
     
-    handleSwipe() {
-        const diff = this.touchStartX - this.touchEndX;
-        const threshold = 50;
+    async eraseAll() {
+        if (!window.confirm(t('deviceData.erase_confirm'))) return;
         
-        if (Math.abs(diff) > threshold) {
-            this.move(diff > 0 ? 1 : -1);
+        this.setStatus('erasing');
+        
+        const results = await Promise.allSettled([
+            this.eraseStorage(),
+            this.eraseOfflineStore(),
+            this.eraseCaches(),
+            this.unregisterServiceWorkers()
+        ]);
+        
+        if (results.some(result => result.status === 'rejected')) {
+            console.warn('Device data erase incomplete:', results);
+            this.setStatus('error');
+            return;
         }
-    }
-    
-    move(direction) {
-        if (this.isTransitioning) return;
         
-        this.currentSlide = (this.currentSlide + direction + this.slides.length) % this.slides.length;
-        this.updateCarousel();
-        this.resetAutoPlay();
-    }
+        window.location.reload();
+    },
     
-    goToSlide(index) {
-        if (this.isTransitioning || index === this.currentSlide) return;
+    async eraseStorage() {
+        CookieScanner.scan()
+            .filter(item => item.store === 'cookie')
+            .forEach(item => CookieScanner.deleteCookie(item.name));
         
-        this.currentSlide = index;
-        this.updateCarousel();
-        this.resetAutoPlay();
-    }
+        localStorage.clear();
+        sessionStorage.clear();
+    },
     
-    updateCarousel() {
-        this.isTransitioning = true;
-        
-        // Use requestAnimationFrame for smooth animations
-        requestAnimationFrame(() => {
-            // Update track position
-            this.track.style.transform = `translateX(${-this.currentSlide * 100}%)`;
+    eraseOfflineStore() {
+        return new Promise((resolve, reject) => {
+            if (!OfflineStore.isSupported()) {
+                resolve();
+                return;
+            }
             
-            // Update dots
-            this.dots.forEach((dot, index) => {
-                const isActive = index === this.currentSlide;
-                dot.classList.toggle('active', isActive);
-                dot.setAttribute('aria-current', isActive ? 'true' : 'false');
-            });
+            const request = indexedDB.deleteDatabase(OfflineStore.dbName);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+            // Another tab still has it open; it is deleted once that tab closes
+            request.onblocked = () => resolve();
         });
+    },
+    
+    async eraseCaches() {
+        if (!('caches' in window)) return;
         
-        // Reset transition flag
-        setTimeout(() => {
-            this.isTransitioning = false;
-        }, 500);
+        const cacheNames = await caches.keys();
+        await Promise.all(cacheNames.map(cacheName => caches.delete(cacheName)));
+    },
+    
+    async unregisterServiceWorkers() {
+        if (!('serviceWorker' in navigator)) return;
         
-        // Announce to screen readers
-        this.announceSlide();
+        const registrations = await navigator.serviceWorker.getRegistrations();
+        await Promise.all(registrations.map(registration => registration.unregister()));
     }
+};
+
+// ===== FORM VALIDATOR =====
+// One validation engine for every form, driven by the markup: required, type="email|tel",
+// pattern, minlength, maxlength and data-validate="email phone:intl phone:ro group".
+// Radios, and checkboxes marked data-validate="group", are validated per name: a required
+// group only needs one of its boxes checked.
+// Messages are keyed spans (validation.*), so they follow LanguageManager like the rest of the page.
+// data-error (or data-error-<rule>) names a dictionary key that overrides the default text.
+const FormValidator = {
+    // Rules run in this order and the first failure is reported
+    rules: {
+        required(field, value) {
+            if (!field.required) return null;
+            
+            if (field.type === 'checkbox' || field.type === 'radio') {
+                const isGroup = FormValidator.isGroup(field);
+                const group = isGroup && field.form
+                    ? Array.from(field.form.querySelectorAll(`input[type="${field.type}"][name="${field.name}"]`))
+                    : [field];
+                return group.some(input => input.checked) ? null : { rule: 'required', key: isGroup ? 'required_choice' : 'required_consent' };
+            }
+            
+            if (value) return null;
+            return { rule: 'required', key: field.tagName === 'SELECT' ? 'required_choice' : 'required' };
+        },
+        
+        email(field, value) {
+            if (!value || !FormValidator.hasCheck(field, 'email', field.type === 'email')) return null;
+            return FormValidator.isValidEmail(value) ? null : { rule: 'email', key: 'email' };
+        },
+        
+        phone(field, value) {
+            const mode = FormValidator.getCheckOption(field, 'phone') || (field.type === 'tel' ? 'intl' : null);
+            if (!value || !mode) return null;
+            return FormValidator.isValidPhone(value, mode) ? null : { rule: 'phone', key: `phone_${mode === 'ro' ? 'ro' : 'intl'}` };
+        },
+        
+        pattern(field, value) {
+            const pattern = field.getAttribute('pattern');
+            if (!value || !pattern) return null;
+            return new RegExp(`^(?:${pattern})$`).test(value) ? null : { rule: 'pattern', key: 'pattern' };
+        },
+        
+        minlength(field, value) {
+            const min = parseInt(field.getAttribute('minlength'), 10);
+            if (!value || !min || value.length >= min) return null;
+            return { rule: 'minlength', key: 'minlength', params: { n: min } };
+        },
+        
+        maxlength(field, value) {
+            const max = parseInt(field.getAttribute('maxlength'), 10);
+            if (!value || !max || value.length <= max) return null;
+            return { rule: 'maxlength', key: 'maxlength', params: { n: max } };
+        }
+    },
     
-    announceSlide() {
-        const announcement = document.createElement('div');
-        announcement.setAttribute('role', 'status');
-        announcement.setAttribute('aria-live', 'polite');
-        announcement.className = 'sr-only';
-        announcement.textContent = `Slide ${this.currentSlide + 1} din ${this.slides.length}`;
+    // Our messages replace the browser's, which only speak the browser's language
+    attach(form) {
+        form.noValidate = true;
         
-        document.body.appendChild(announcement);
+        this.getFields(form).forEach(field => {
+            const isChoice = field.type === 'checkbox' || field.type === 'radio' || field.tagName === 'SELECT';
+            
+            if (isChoice) {
+                field.addEventListener('change', () => this.validateField(field));
+            } else {
+                field.addEventListener('blur', () => {
+                    if (field.value) this.validateField(field);
+                });
+                field.addEventListener('input', () => this.clearFieldError(field));
+            }
+        });
         
-        setTimeout(() => {
-            if (announcement.parentNode) {
-                document.body.removeChild(announcement);
+        form.addEventListener('reset', () => this.clearForm(form));
+    },
+    
+    // A group is checked (and reported) once, through its first enabled input.
+    // Works for a <fieldset> too, so multi-step forms can validate one step at a time.
+    getFields(form) {
+        const groups = new Set();
+        
+        return Array.from(form.elements).filter(field => {
+            if (!field.name || field.name.startsWith('_') || field.disabled) return false;
+            if (['hidden', 'submit', 'button', 'reset', 'fieldset'].includes(field.type)) return false;
+            
+            if (this.isGroup(field)) {
+                if (groups.has(field.name)) return false;
+                groups.add(field.name);
             }
-        }, 1000);
-    }
+            return true;
+        });
+    },
     
-    startAutoPlay() {
-        if (this.autoPlayInterval) return;
-        
-        this.autoPlayInterval = setInterval(() => {
-            this.move(1);
-        }, 5000);
-    }
+    isGroup(field) {
+        return field.type === 'radio' || (field.type === 'checkbox' && this.hasCheck(field, 'group'));
+    },
     
-    stopAutoPlay() {
-        if (this.autoPlayInterval) {
-            clearInterval(this.autoPlayInterval);
-            this.autoPlayInterval = null;
+    // data-validate="email phone:intl" → [['email'], ['phone', 'intl']]
+    getChecks(field) {
+        return (field.dataset.validate || '').split(/\s+/).filter(Boolean).map(check => check.split(':'));
+    },
+    
+    hasCheck(field, name, fallback = false) {
+        return fallback || this.getChecks(field).some(([check]) => check === name);
+    },
+    
+    getCheckOption(field, name) {
+        const check = this.getChecks(field).find(([checkName]) => checkName === name);
+        return check ? (check[1] || 'intl') : null;
+    },
+    
+    // Returns the first failed rule ({ rule, key, params }) or null
+    check(field) {
+        const value = typeof field.value === 'string' ? field.value.trim() : '';
+        
+        for (const rule of Object.values(this.rules)) {
+            const failure = rule(field, value);
+            if (failure) return failure;
         }
-    }
+        return null;
+    },
     
-    resetAutoPlay() {
+    validateField(field) {
+        if (field.disabled) return true;
+        
+        const failure = this.check(field);
+        if (failure) {
+            this.showFieldError(field, failure);
+            return false;
+        }
+        
+        this.clearFieldError(field);
+        if (field.required || field.value) {
+            field.setAttribute('aria-invalid', 'false');
+        }
+        return true;
+    },
+    
+    // Validates every field, marks the invalid ones and focuses the first of them
+    validateForm(form) {
+        const invalid = this.getFields(form).filter(field => !this.validateField(field));
+        
+        if (invalid.length > 0) {
+            invalid[0].focus({ preventScroll: true });
+            invalid[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+        return invalid;
+    },
+    
+    getMessageKey(field, failure) {
+        const rule = failure.rule.charAt(0).toUpperCase() + failure.rule.slice(1);
+        return field.dataset[`error${rule}`] || field.dataset.error || `validation.${failure.key}`;
+    },
+    
+    getErrorId(field) {
+        const groupId = `${field.form ? field.form.id : 'form'}-${field.name}`;
+        return `${this.isGroup(field) ? groupId : field.id || groupId}-error`;
+    },
+    
+    // Accepts a failure from check() or a bare message key (used for server-side errors)
+    showFieldError(field, failure) {
+        if (typeof failure === 'string') failure = { rule: failure, key: failure };
+        
+        const messageKey = this.getMessageKey(field, failure);
+        const errorId = this.getErrorId(field);
+        const isChoice = field.type === 'checkbox' || field.type === 'radio';
+        let errorElement = document.getElementById(errorId);
+        
+        if (!errorElement) {
+            errorElement = document.createElement('span');
+            errorElement.id = errorId;
+            errorElement.className = isChoice ? 'consent-error' : 'field-error';
+            
+            if (this.isGroup(field)) {
+                (field.closest('fieldset') || field.parentElement).appendChild(errorElement);
+            } else if (isChoice) {
+                field.parentElement.appendChild(errorElement);
+            } else {
+                field.insertAdjacentElement('afterend', errorElement);
+            }
+        }
+        
+        errorElement.innerHTML = LanguageManager.markup(messageKey, failure.params || null);
+        
+        field.classList.add('error');
+        field.setAttribute('aria-invalid', 'true');
+        
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+        if (!describedBy.includes(errorId)) {
+            field.setAttribute('aria-describedby', [...describedBy, errorId].join(' '));
+        }
+    },
+    
+    clearFieldError(field) {
+        const errorId = this.getErrorId(field);
+        document.getElementById(errorId)?.remove();
+        
+        field.classList.remove('error');
+        field.removeAttribute('aria-invalid');
+        
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(id => id && id !== errorId);
+        if (describedBy.length > 0) {
+            field.setAttribute('aria-describedby', describedBy.join(' '));
+        } else {
+            field.removeAttribute('aria-describedby');
+        }
+    },
+    
+    clearForm(form) {
+        this.getFields(form).forEach(field => this.clearFieldError(field));
+    },
+    
+    isValidEmail(email) {
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+    },
+    
+    // 'ro' keeps the old Romanian-only check; 'intl' also takes E.164 numbers (+44…, 0049…)
+    isValidPhone(phone, mode = 'intl') {
+        const compact = phone.replace(/[\s().-]/g, '');
+        const romanian = /^(\+4|)?(07[0-8]{1}[0-9]{7}|02[0-9]{8}|03[0-9]{8})$/.test(compact);
+        
+        if (mode === 'ro') return romanian;
+        return romanian || /^\+[1-9]\d{6,14}$/.test(compact.replace(/^00/, '+'));
+    }
+};
+
+// ===== FORM BACKEND ADAPTERS =====
+// Forms pick a transport with data-backend="formspree|json|mailto|mock" (default: formspree).
+// The mock never sends anything, so it is only used when a form asks for it by name.
+// Every adapter resolves to { ok, status, errors: [{ field, code, message }], body, backend }
+// and rejects only when the request never reached a server.
+const FormBackends = {
+    adapters: {},
+    defaultBackend: 'formspree',
+    
+    register(name, adapter) {
+        this.adapters[name] = { name: name, ...adapter };
+    },
+    
+    get(name) {
+        return this.adapters[name] || null;
+    },
+    
+    resolve(form) {
+        const name = form.dataset.backend || this.defaultBackend;
+        const adapter = this.get(name);
+        
+        if (!adapter) {
+            console.warn(`Unknown form backend "${name}", using ${this.defaultBackend}`);
+            return this.get(this.defaultBackend);
+        }
+        return adapter;
+    },
+    
+    getUrl(form, adapter) {
+        if (adapter.name === 'mailto') return form.dataset.mailto;
+        return form.dataset.backendUrl || form.getAttribute('action');
+    },
+    
+    // Adapters tied to a vendor (Formspree) need that vendor's consent
+    isAllowed(form) {
+        const adapter = this.resolve(form);
+        return !adapter.vendor || CookieConsent.hasVendorConsent(adapter.vendor);
+    },
+    
+    send(form, formData = new FormData(form), options = {}) {
+        const adapter = this.resolve(form);
+        return this.sendTo(adapter.name, this.getUrl(form, adapter), formData, { ...options, form: form });
+    },
+    
+    async sendTo(name, url, formData, options = {}) {
+        const adapter = this.get(name);
+        const result = await adapter.send(url, formData, options);
+        
+        return {
+            ok: result.ok,
+            status: result.status || 0,
+            errors: this.normalizeErrors(result.body),
+            body: result.body || {},
+            backend: name
+        };
+    },
+    
+    normalizeErrors(body) {
+        if (!body) return [];
+        
+        if (Array.isArray(body.errors)) {
+            return body.errors.map(error => ({
+                field: error.field || null,
+                code: error.code || null,
+                message: error.message || ''
+            }));
+        }
+        
+        const message = body.error || (body.ok === false ? body.message : null);
+        return message ? [{ field: null, code: null, message: message }] : [];
+    },
+    
+    async readJson(response) {
+        try {
+            return await response.json();
+        } catch (e) {
+            // Non-JSON reply (e.g. a proxy error page)
+            return {};
+        }
+    },
+    
+    toObject(formData) {
+        const data = {};
+        formData.forEach((value, key) => {
+            if (key in data) {
+                data[key] = [].concat(data[key], value);
+            } else {
+                data[key] = value;
+            }
+        });
+        return data;
+    }
+};
+
+FormBackends.register('formspree', {
+    vendor: 'formspree',
+    queueable: true,
+    
+    async send(url, formData) {
+        const response = await fetch(url, {
+            method: 'POST',
+            body: formData,
+            headers: { 'Accept': 'application/json' }
+        });
+        
+        return { ok: response.ok, status: response.status, body: await FormBackends.readJson(response) };
+    }
+});
+
+// Any endpoint that takes a JSON body, e.g. a local stand-in server during development
+FormBackends.register('json', {
+    queueable: true,
+    
+    async send(url, formData) {
+        const response = await fetch(url, {
+            method: 'POST',
+            body: JSON.stringify(FormBackends.toObject(formData)),
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            }
+        });
+        
+        return { ok: response.ok, status: response.status, body: await FormBackends.readJson(response) };
+    }
+});
+
+// Hands the message to the visitor's email app; nothing leaves the browser on its own
+FormBackends.register('mailto', {
+    async send(url, formData, options = {}) {
+        const message = options.message || {
+            to: url,
+            subject: formData.get('_subject') || document.title,
+            body: Array.from(formData.entries())
+                .filter(([key]) => !key.startsWith('_'))
+                .map(([key, value]) => `${key}: ${value}`)
+                .join('\r\n')
+        };
+        
+        window.location.href = `mailto:${message.to}?subject=${encodeURIComponent(message.subject)}&body=${encodeURIComponent(message.body)}`;
+        return { ok: true, status: 0, body: { message: message } };
+    }
+});
+
+// Local stand-in for development: answers after a short delay without sending anything.
+// data-mock-result="error" or "network" on the form simulates failures.
+FormBackends.register('mock', {
+    send(url, formData, options = {}) {
+        const form = options.form;
+        const outcome = form ? form.dataset.mockResult : null;
+        const delay = form ? parseInt(form.dataset.mockDelay, 10) || 800 : 800;
+        
+        return new Promise((resolve, reject) => {
+            setTimeout(() => {
+                if (outcome === 'network') {
+                    reject(new TypeError('Mock network failure'));
+                } else if (outcome === 'error') {
+                    resolve({ ok: false, status: 422, body: { errors: [{ field: 'email', code: 'TYPE_EMAIL', message: 'should be an email' }] } });
+                } else {
+                    resolve({ ok: true, status: 200, body: { ok: true } });
+                }
+            }, delay);
+        });
+    }
+});
+
+// ===== FORM DRAFT AUTOSAVE =====
+// Keeps what the visitor typed in sessionStorage so a reloaded tab can offer it back.
+// Checkboxes (consents), hidden fields, personal details (name, email, phone) and
+// anything marked data-draft="off" are never stored.
+const FormDrafts = {
+    keyPrefix: 'formDraft:',
+    forms: new Map(),
+    personalFields: ['name', 'email', 'phone'],
+    personalTypes: ['email', 'tel'],
+    personalAutocomplete: /^(name|given-name|family-name|email|tel)/,
+    
+    attach(form) {
+        if (!form.id || this.forms.has(form)) return;
+        
+        this.forms.set(form, {
+            pending: false,
+            save: debounce(() => this.save(form), 500)
+        });
+        
+        const draft = this.load(form);
+        if (draft && Object.keys(draft.fields).length > 0) {
+            this.showPrompt(form, draft);
+        }
+    },
+    
+    // Called from the forms' own input listeners
+    handleInput(form) {
+        const state = this.forms.get(form);
+        if (!state) return;
+        
+        // Typing over an unanswered prompt means the old draft isn't wanted
+        if (state.pending) {
+            this.removePrompt(form);
+        }
+        state.save();
+    },
+    
+    getKey(form) {
+        return `${this.keyPrefix}${form.id}`;
+    },
+    
+    getDraftFields(form) {
+        return Array.from(form.elements).filter(field =>
+            field.name &&
+            !field.name.startsWith('_') &&
+            !['checkbox', 'radio', 'hidden', 'password', 'file', 'submit', 'button'].includes(field.type) &&
+            !this.isPersonal(field) &&
+            field.dataset.draft !== 'off' &&
+            !field.closest('[data-draft="off"]')
+        );
+    },
+    
+    isPersonal(field) {
+        return this.personalFields.includes(field.name) ||
+            this.personalTypes.includes(field.type) ||
+            this.personalAutocomplete.test(field.getAttribute('autocomplete') || '');
+    },
+    
+    save(form) {
+        const state = this.forms.get(form);
+        if (!state || state.pending) return;
+        
+        const fields = {};
+        this.getDraftFields(form).forEach(field => {
+            if (field.value.trim()) {
+                fields[field.name] = field.value;
+            }
+        });
+        
+        try {
+            if (Object.keys(fields).length === 0) {
+                sessionStorage.removeItem(this.getKey(form));
+            } else {
+                sessionStorage.setItem(this.getKey(form), JSON.stringify({
+                    savedAt: new Date().toISOString(),
+                    fields: fields
+                }));
+            }
+        } catch (e) {
+            // Storage full or blocked - drafts are a convenience only
+        }
+    },
+    
+    load(form) {
+        try {
+            return JSON.parse(sessionStorage.getItem(this.getKey(form)));
+        } catch (e) {
+            return null;
+        }
+    },
+    
+    restore(form) {
+        const draft = this.load(form);
+        this.removePrompt(form);
+        if (!draft) return;
+        
+        this.getDraftFields(form).forEach(field => {
+            if (field.name in draft.fields) {
+                field.value = draft.fields[field.name];
+                field.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+        });
+    },
+    
+    clear(form) {
+        this.removePrompt(form);
+        
+        try {
+            sessionStorage.removeItem(this.getKey(form));
+        } catch (e) {
+            // Nothing to clear
+        }
+    },
+    
+    showPrompt(form, draft) {
+        const state = this.forms.get(form);
+        state.pending = true;
+        
+        const time = new Date(draft.savedAt).toLocaleTimeString(
+            LanguageManager.currentLang === 'en' ? 'en-GB' : 'ro-RO',
+            { hour: '2-digit', minute: '2-digit' }
+        );
+        
+        const prompt = document.createElement('div');
+        prompt.className = 'form-draft-prompt';
+        prompt.setAttribute('role', 'status');
+        prompt.innerHTML = `
+            <p>${LanguageManager.markup('drafts.prompt', { time: time })}</p>
+            <div class="form-draft-actions">
+                <button type="button" class="form-retry-btn" data-draft-action="restore">
+                    ${LanguageManager.markup('drafts.restore')}
+                </button>
+                <button type="button" class="form-draft-discard" data-draft-action="discard">
+                    ${LanguageManager.markup('drafts.discard')}
+                </button>
+            </div>
+        `;
+        
+        prompt.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-draft-action]');
+            if (!action) return;
+            
+            if (action.dataset.draftAction === 'restore') {
+                this.restore(form);
+            } else {
+                this.clear(form);
+            }
+        });
+        
+        form.insertBefore(prompt, form.firstChild);
+    },
+    
+    removePrompt(form) {
+        const state = this.forms.get(form);
+        if (state) state.pending = false;
+        
+        const prompt = form.querySelector('.form-draft-prompt');
+        if (prompt) prompt.remove();
+    }
+};
+
+// ===== FORM SPAM GUARD =====
+// Honeypot, minimum fill time, a per-form, per-device rate limit and a proof-of-work token.
+// Everything runs locally; the rate limit lives with the other essential storage.
+// The token goes out as _pow_challenge / _pow_nonce / _pow_difficulty: the backend checks that
+// SHA-256(challenge + ':' + nonce) starts with that many zero bits and that the challenge
+// (which starts with its creation time in ms) is recent.
+const SpamGuard = {
+    minFillTimeMs: 3000,
+    rateLimit: { max: 3, windowMs: 60 * 60 * 1000 },
+    rateLimitKey: 'formSubmitAttempts',
+    powDifficulty: 12, // leading zero bits, a few thousand hashes
+    powTimeoutMs: 15000,
+    states: new WeakMap(),
+    
+    powWorkerSource: `
+        self.onmessage = async (event) => {
+            const { challenge, difficulty } = event.data;
+            const encoder = new TextEncoder();
+            
+            const leadingZeroBits = (bytes) => {
+                let bits = 0;
+                for (const byte of bytes) {
+                    if (byte === 0) {
+                        bits += 8;
+                        continue;
+                    }
+                    bits += Math.clz32(byte) - 24;
+                    break;
+                }
+                return bits;
+            };
+            
+            try {
+                for (let nonce = 0; ; nonce++) {
+                    const digest = await crypto.subtle.digest('SHA-256', encoder.encode(challenge + ':' + nonce));
+                    if (leadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+                        self.postMessage({ nonce: nonce });
+                        return;
+                    }
+                }
+            } catch (e) {
+                self.postMessage({ error: e.message });
+            }
+        };
+    `,
+    
+    protect(form) {
+        if (this.states.has(form)) return;
+        
+        // Formspree drops submissions with _gotcha filled in
+        const honeypot = document.createElement('div');
+        honeypot.className = 'form-honeypot';
+        honeypot.setAttribute('aria-hidden', 'true');
+        honeypot.innerHTML = `
+            <label>
+                Website
+                <input type="text" name="_gotcha" tabindex="-1" autocomplete="off">
+            </label>
+            <input type="hidden" name="_pow_challenge">
+            <input type="hidden" name="_pow_nonce">
+            <input type="hidden" name="_pow_difficulty">
+        `;
+        form.appendChild(honeypot);
+        
+        this.states.set(form, { readyAt: Date.now(), pow: null });
+        
+        // Start the work once someone actually uses the form
+        form.addEventListener('focusin', () => this.startProofOfWork(form), { once: true });
+    },
+    
+    reset(form) {
+        const state = this.states.get(form);
+        if (!state) return;
+        
+        state.readyAt = Date.now();
+        state.pow = null;
+        form.querySelector('[name="_pow_challenge"]').value = '';
+        form.querySelector('[name="_pow_nonce"]').value = '';
+        form.querySelector('[name="_pow_difficulty"]').value = '';
+        this.startProofOfWork(form);
+    },
+    
+    startProofOfWork(form) {
+        const state = this.states.get(form);
+        if (!state) return Promise.resolve(null);
+        if (state.pow) return state.pow;
+        
+        const challenge = `${Date.now()}:${generateId()}`;
+        state.challenge = challenge;
+        
+        state.pow = new Promise(resolve => {
+            if (typeof Worker === 'undefined') {
+                resolve(null);
+                return;
+            }
+            
+            let worker;
+            let url;
+            try {
+                url = URL.createObjectURL(new Blob([this.powWorkerSource], { type: 'text/javascript' }));
+                worker = new Worker(url);
+            } catch (e) {
+                resolve(null);
+                return;
+            }
+            
+            const finish = (nonce) => {
+                clearTimeout(timer);
+                worker.terminate();
+                URL.revokeObjectURL(url);
+                resolve(nonce);
+            };
+            
+            const timer = setTimeout(() => finish(null), this.powTimeoutMs);
+            worker.onmessage = (event) => finish(event.data.error ? null : event.data.nonce);
+            worker.onerror = () => finish(null);
+            worker.postMessage({ challenge: challenge, difficulty: this.powDifficulty });
+        }).then(nonce => {
+            // A reset() while the worker ran started a new challenge; leave its fields alone
+            if (nonce !== null && state.challenge === challenge) {
+                form.querySelector('[name="_pow_challenge"]').value = challenge;
+                form.querySelector('[name="_pow_nonce"]').value = nonce;
+                form.querySelector('[name="_pow_difficulty"]').value = this.powDifficulty;
+            }
+            return nonce;
+        });
+        
+        return state.pow;
+    },
+    
+    // { [form id]: [timestamps] } - each form has its own limit
+    getAllAttempts() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.rateLimitKey) || '{}');
+            return stored && !Array.isArray(stored) && typeof stored === 'object' ? stored : {};
+        } catch (e) {
+            return {};
+        }
+    },
+    
+    getAttempts(form) {
+        const since = Date.now() - this.rateLimit.windowMs;
+        return (this.getAllAttempts()[form.id] || []).filter(timestamp => timestamp > since);
+    },
+    
+    // Called once a form has actually been delivered, so failed sends and retries don't count
+    recordAttempt(form) {
+        const since = Date.now() - this.rateLimit.windowMs;
+        const all = this.getAllAttempts();
+        
+        Object.keys(all).forEach(id => {
+            all[id] = (all[id] || []).filter(timestamp => timestamp > since);
+            if (all[id].length === 0) delete all[id];
+        });
+        all[form.id] = [...(all[form.id] || []), Date.now()];
+        
+        try {
+            localStorage.setItem(this.rateLimitKey, JSON.stringify(all));
+        } catch (e) {
+            console.warn('Could not save submission attempt');
+        }
+    },
+    
+    // Resolves to null when the form may be sent, or an error key for showError()
+    async check(form) {
+        const state = this.states.get(form);
+        if (!state) return null;
+        
+        const honeypot = form.querySelector('[name="_gotcha"]');
+        if (honeypot && honeypot.value) {
+            return 'spam_suspected';
+        }
+        
+        if (Date.now() - state.readyAt < this.minFillTimeMs) {
+            return 'too_fast';
+        }
+        
+        if (this.getAttempts(form).length >= this.rateLimit.max) {
+            return 'rate_limited';
+        }
+        
+        // Browsers without workers or SubtleCrypto still get through, just without a token
+        await this.startProofOfWork(form);
+        
+        return null;
+    }
+};
+
+// ===== ENHANCED GDPR FORM VALIDATION SYSTEM =====
+const GDPRFormHandler = {
+    form: null,
+    isInitialized: false,
+    emailMode: false,
+    waitlist: false,
+    backgroundSync: false,
+    syncTag: 'event-registrations',
+    tabId: null,
+    
+    init() {
+        this.form = document.getElementById('eventRegistrationForm');
+        if (!this.form) return;
+        
+        this.isInitialized = true;
+        
+        // Check third-party cookies on init
+        this.checkThirdPartyCookies();
+        
+        // Honeypot, fill time, rate limit and proof-of-work
+        SpamGuard.protect(this.form);
+        
+        // Add submit handler
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit(this.form);
+        });
+        
+        // Real-time validation from the form's own attributes
+        FormValidator.attach(this.form);
+        
+        // Autosave what's typed so a reloaded tab can restore it
+        FormDrafts.attach(this.form);
+        this.form.addEventListener('input', () => FormDrafts.handleInput(this.form));
+        
+        // Listen for cookie consent changes
+        window.addEventListener('cookieConsentChanged', (event) => {
+            console.log('Cookie consent changed, updating form state...', event.detail);
+            this.handleCookieConsentChange(event.detail);
+        });
+        
+        // Queued registrations are replayed by the service worker, which reports back here
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                this.handleWorkerMessage(event.data);
+            });
+        }
+        
+        // Without Background Sync the page replays the queue itself
+        window.addEventListener('online', () => {
+            if (!this.backgroundSync) {
+                this.flushQueuedRegistrations();
+            }
+        });
+        
+        // Pick up registrations queued on an earlier visit
+        if (!('SyncManager' in window) && navigator.onLine) {
+            this.flushQueuedRegistrations();
+        }
+    },
+    
+    handleCookieConsentChange(detail) {
+        if (this.form && FormBackends.isAllowed(this.form)) {
+            console.log('Form backend allowed, enabling form...');
+            this.enableForm();
+        } else {
+            console.log('Form backend not allowed, using email fallback...');
+            this.useEmailFallback();
+        }
+    },
+    
+    checkThirdPartyCookies() {
+        if (!this.form) return;
+        
+        // The event form only needs its own backend's vendor, not every third-party vendor
+        if (!FormBackends.isAllowed(this.form)) {
+            this.useEmailFallback();
+        } else {
+            this.enableForm();
+        }
+    },
+    
+    enableForm() {
+        if (!this.form) return;
+        
+        console.log('Enabling event registration form...');
+        this.emailMode = false;
+        this.setVendorConsentsActive(true);
+        
+        // Remove any consent notices
+        const consentNotices = this.form.querySelectorAll('.consent-notice');
+        consentNotices.forEach(notice => notice.remove());
+        
+        // Remove disabled class
+        this.form.classList.remove('consent-required');
+        this.form.style.opacity = '1';
+        this.form.style.pointerEvents = 'auto';
+        
+        // Enable all inputs
+        const inputs = this.form.querySelectorAll('input, textarea, select');
+        inputs.forEach(input => {
+            input.disabled = false;
+            input.removeAttribute('disabled');
+            input.style.cursor = 'auto';
+            input.style.opacity = '1';
+        });
+        
+        // Fix the submit button
+        const submitBtn = this.form.querySelector('button[type="submit"]');
+        if (submitBtn) {
+            submitBtn.disabled = false;
+            submitBtn.style.cursor = 'pointer';
+            submitBtn.style.opacity = '1';
+        }
+        this.updateSubmitLabel();
+        
+        // Clear any error messages
+        const errorContainer = document.getElementById('formErrors');
+        if (errorContainer) {
+            errorContainer.style.display = 'none';
+            errorContainer.innerHTML = '';
+        }
+        
+        // Add a visual indicator that the form is now active
+        this.form.style.transition = 'all 0.3s ease';
+        this.form.style.border = '2px solid #4CAF50';
+        setTimeout(() => {
+            this.form.style.border = '';
+        }, 2000);
+        
+        console.log('Form enabled successfully');
+    },
+    
+    // Without Formspree the form stays usable and hands the registration to the
+    // visitor's own email app, so nothing goes through a third party
+    useEmailFallback() {
+        if (!this.form) return;
+        
+        this.emailMode = true;
+        
+        if (!this.form.querySelector('.consent-notice')) {
+            const consentNotice = document.createElement('div');
+            consentNotice.className = 'consent-notice';
+            consentNotice.innerHTML = `
+                <p>
+                    ${LanguageManager.markup('registration.email_notice')}
+                    <button type="button" onclick="openCookieSettings()">
+                        ${LanguageManager.markup('registration.use_direct_form')}
+                    </button>
+                </p>
+            `;
+            this.form.insertBefore(consentNotice, this.form.firstChild);
+        }
+        
+        this.form.classList.remove('consent-required');
+        this.setVendorConsentsActive(false);
+        
+        const submitBtn = this.form.querySelector('button[type="submit"]');
+        if (submitBtn) {
+            submitBtn.disabled = false;
+            submitBtn.style.cursor = 'pointer';
+            submitBtn.style.opacity = '1';
+        }
+        this.updateSubmitLabel();
+    },
+    
+    // The label depends on both the transport (direct or email) and the waitlist
+    updateSubmitLabel() {
+        const submitBtn = this.form && this.form.querySelector('button[type="submit"]');
+        if (!submitBtn) return;
+        
+        const mode = this.emailMode ? 'email' : 'form';
+        const html = LanguageManager.markup(`registration.submit.${this.waitlist ? `waitlist_${mode}` : mode}`);
+        
+        // While sending, setLoading restores the label when it finishes
+        if (submitBtn.dataset.loadingText) {
+            submitBtn.dataset.loadingText = html;
+        } else {
+            submitBtn.innerHTML = html;
+        }
+    },
+    
+    // A full event still takes sign-ups, but as waitlist entries
+    setWaitlistMode(active) {
+        if (!this.form) return;
+        
+        this.waitlist = active;
+        this.form.classList.toggle('waitlist-mode', active);
+        
+        const typeInput = this.form.querySelector('#registrationType');
+        if (typeInput) {
+            typeInput.value = active ? 'waitlist' : 'registration';
+        }
+        
+        const notice = document.getElementById('waitlistNotice');
+        if (notice) {
+            notice.hidden = !active;
+        }
+        
+        this.updateSubmitLabel();
+    },
+    
+    // Consents that only apply to Formspree (e.g. the US transfer) are hidden and
+    // not required when the registration goes by email
+    setVendorConsentsActive(active, form = this.form) {
+        form.querySelectorAll('input[data-consent-vendor]').forEach(checkbox => {
+            const item = checkbox.closest('.consent-item') || checkbox.parentElement;
+            item.hidden = !active;
+            checkbox.required = active;
+            
+            if (!active) {
+                checkbox.checked = false;
+                FormValidator.clearFieldError(checkbox);
+            }
+        });
+    },
+    
+    getConsentStatements(form) {
+        return Array.from(form.querySelectorAll('input[type="checkbox"][required]'))
+            .filter(checkbox => checkbox.checked)
+            .map(checkbox => {
+                const label = form.querySelector(`label[for="${checkbox.id}"]`);
+                return label ? label.textContent.replace(/\*/g, '').replace(/\s+/g, ' ').trim() : checkbox.name;
+            });
+    },
+    
+    buildEmailMessage(form) {
+        const lang = LanguageManager.currentLang;
+        const formData = new FormData(form);
+        const event = EventData.getEvent(formData.get('event_id'));
+        const eventTitle = event ? event.title[lang] : '';
+        
+        const subject = this.waitlist ? t('registration.email.waitlist_subject') : t('registration.email.subject');
+        
+        const lines = [
+            this.waitlist ? t('registration.email.waitlist_heading') : t('registration.email.heading'),
+            '',
+            `${t('registration.email.event')}: ${eventTitle} (${formData.get('event_id') || '-'})`,
+            `${t('registration.email.date')}: ${event ? EventData.formatDate(event, lang) : '-'}`,
+            `${t('emails.name')}: ${formData.get('name') || '-'}`,
+            `${t('emails.email')}: ${formData.get('email')}`,
+            '',
+            `${t('emails.consents')}:`,
+            ...this.getConsentStatements(form).map(statement => `- ${statement}`),
+            '',
+            `${t('emails.policy')}: ${CookieConsent.policyVersion}`,
+            `${t('emails.hash')}: ${formData.get('consent_hash') || '-'}`,
+            `${t('emails.channel')} (${formData.get('consent_timestamp') || new Date().toISOString()})`
+        ];
+        
+        return {
+            to: form.dataset.mailto,
+            subject: eventTitle ? `${subject}: ${eventTitle}` : subject,
+            body: lines.join('\r\n')
+        };
+    },
+    
+    async submitByEmail(form) {
+        await this.stampConsent(form);
+        const message = this.buildEmailMessage(form);
+        
+        await FormBackends.sendTo('mailto', message.to, new FormData(form), { message: message });
+        this.showEmailFallback(message);
+    },
+    
+    downloadEml(message, filename = 'inregistrare-eveniment.eml') {
+        // UTF-8 subject per RFC 2047; X-Unsent opens it as a draft in most mail apps
+        const bytes = new TextEncoder().encode(message.subject);
+        const subject = `=?UTF-8?B?${btoa(String.fromCharCode(...bytes))}?=`;
+        const eml = [
+            `To: ${message.to}`,
+            `Subject: ${subject}`,
+            'X-Unsent: 1',
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=UTF-8',
+            'Content-Transfer-Encoding: 8bit',
+            '',
+            message.body
+        ].join('\r\n');
+        
+        downloadFile(eml, filename, 'message/rfc822');
+    },
+    
+    showEmailFallback(message) {
+        const panel = document.getElementById('formSuccess');
+        if (!panel) return;
+        
+        panel.classList.remove('form-queued');
+        panel.innerHTML = `
+            <strong>${LanguageManager.markup('registration.email_ready.title')}</strong>
+            <p>${LanguageManager.markup('registration.email_ready.text', { email: message.to })}</p>
+            <button type="button" class="form-retry-btn" data-download-eml>
+                ${LanguageManager.markup('emails.download_eml')}
+            </button>
+        `;
+        panel.querySelector('[data-download-eml]').addEventListener('click', () => this.downloadEml(message));
+        panel.hidden = false;
+        panel.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    },
+    
+    async handleSubmit(form) {
+        // Clear previous errors and any earlier success message
+        this.hideMessages();
+        
+        // Event, email and consents are checked from the form's attributes
+        if (FormValidator.validateForm(form).length > 0) {
+            this.showError('form', 'invalid_fields', { scroll: false });
+            return;
+        }
+        
+        // Without Formspree the visitor sends the registration from their own email app
+        if (!FormBackends.isAllowed(form)) {
+            this.submitByEmail(form);
+            return;
+        }
+        
+        const submitBtn = form.querySelector('button[type="submit"]');
+        this.setLoading(submitBtn, true);
+        const spamError = await SpamGuard.check(form);
+        this.setLoading(submitBtn, false);
+        
+        if (spamError) {
+            this.showError('form', spamError);
+            return;
+        }
+        
+        // All validations passed
+        this.submitForm(form);
+    },
+    
+    // Texts live in i18n/<lang>.json under errors.*
+    errorMessages: {
+        invalid_fields: 'errors.invalid_fields',
+        rate_limited: 'errors.rate_limited',
+        too_fast: 'errors.too_fast',
+        spam_suspected: 'errors.spam_suspected',
+        server_error: 'errors.server_error',
+        network_error: 'errors.network_error'
+    },
+    
+    contactEmail: 'razvanmischie@consiliereonline.com',
+    
+    // Formspree validation codes mapped to FormValidator messages
+    serverErrorCodes: {
+        TYPE_EMAIL: 'email',
+        REQUIRED_FIELD_EMPTY: 'required',
+        REQUIRED_FIELD_MISSING: 'required'
+    },
+    
+    showError(field, type, options = {}) {
+        const error = this.errorMessages[`${field}_${type}`] || this.errorMessages[type];
+        
+        if (error) {
+            this.displayErrors([error], options);
+        }
+    },
+    
+    displayErrors(errors, options = {}) {
+        const errorContainer = options.container || document.getElementById('formErrors');
+        if (!errorContainer) return;
+        
+        // Dictionary keys are translated in place on language switch; { text } is
+        // Formspree's own message, which we have no translation for
+        const renderError = error => (typeof error === 'string'
+            ? LanguageManager.markup(error, { email: this.contactEmail })
+            : escapeHtml(error.text));
+        
+        errorContainer.innerHTML = errors.length === 1
+            ? renderError(errors[0])
+            : `<ul>${errors.map(error => `<li>${renderError(error)}</li>`).join('')}</ul>`;
+        
+        if (options.onRetry) {
+            const retryBtn = document.createElement('button');
+            retryBtn.type = 'button';
+            retryBtn.className = 'form-retry-btn';
+            retryBtn.innerHTML = LanguageManager.markup('errors.retry');
+            retryBtn.addEventListener('click', options.onRetry);
+            errorContainer.appendChild(retryBtn);
+        }
+        
+        errorContainer.style.display = 'block';
+        
+        // Scroll to error, unless the first invalid field already has the focus
+        if (options.scroll !== false) {
+            errorContainer.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+        
+        // Add shake animation
+        errorContainer.style.animation = 'shake 0.5s';
+        setTimeout(() => {
+            errorContainer.style.animation = '';
+        }, 500);
+    },
+    
+    // With a form, errors that name one of its fields are also shown next to that field
+    showServerErrors(result, form = null, options = {}) {
+        if (result.status === 429) {
+            this.showError('form', 'rate_limited', options);
+            return;
+        }
+        
+        // Formspree's own messages are English only, so prefer our translations
+        const errors = result.errors.map(error => {
+            const key = this.serverErrorCodes[error.code];
+            if (!key) {
+                return error.message ? { text: error.message } : null;
+            }
+            
+            const field = form && error.field ? form.elements.namedItem(error.field) : null;
+            if (field && field.nodeType === 1) {
+                FormValidator.showFieldError(field, key);
+            }
+            return `validation.${key}`;
+        }).filter(Boolean);
+        
+        const unique = Array.from(new Set(errors));
+        this.displayErrors(unique.length > 0 ? unique : [this.errorMessages.server_error], options);
+    },
+    
+    showSuccess() {
+        const panel = document.getElementById('formSuccess');
+        if (!panel) return;
+        
+        panel.classList.remove('form-queued');
+        const outcome = this.waitlist ? 'registration.waitlisted' : 'registration.sent';
+        panel.innerHTML = `
+            <strong>${LanguageManager.markup(`${outcome}.title`)}</strong>
+            <p>${LanguageManager.markup(`${outcome}.text`)}</p>
+        `;
+        panel.hidden = false;
+        panel.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    },
+    
+    hideMessages() {
+        const errorContainer = document.getElementById('formErrors');
+        if (errorContainer) {
+            errorContainer.style.display = 'none';
+            errorContainer.innerHTML = '';
+        }
+        
+        const panel = document.getElementById('formSuccess');
+        if (panel) {
+            panel.hidden = true;
+        }
+    },
+    
+    setLoading(submitBtn, isLoading) {
+        if (!isLoading) {
+            submitBtn.disabled = false;
+            submitBtn.innerHTML = submitBtn.dataset.loadingText || submitBtn.innerHTML;
+            delete submitBtn.dataset.loadingText;
+            return;
+        }
+        
+        submitBtn.dataset.loadingText = submitBtn.innerHTML;
+        
+        // Show loading state
+        submitBtn.disabled = true;
+        submitBtn.innerHTML = LanguageManager.markup('forms.sending');
+        
+        // Add loading animation
+        submitBtn.style.position = 'relative';
+        submitBtn.style.overflow = 'hidden';
+        
+        const spinner = document.createElement('span');
+        spinner.style.cssText = `
+            position: absolute;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            width: 20px;
+            height: 20px;
+            border: 2px solid rgba(255, 255, 255, 0.3);
+            border-top-color: white;
+            border-radius: 50%;
+            animation: spin 1s linear infinite;
+        `;
+        submitBtn.appendChild(spinner);
+        
+        // Add spin animation style
+        if (!document.querySelector('style[data-spinner]')) {
+            const style = document.createElement('style');
+            style.setAttribute('data-spinner', 'true');
+            style.textContent = `
+                @keyframes spin {
+                    to { transform: translate(-50%, -50%) rotate(360deg); }
+                }
+                @keyframes shake {
+                    0%, 100% { transform: translateX(0); }
+                    10%, 30%, 50%, 70%, 90% { transform: translateX(-5px); }
+                    20%, 40%, 60%, 80% { transform: translateX(5px); }
+                }
+            `;
+            document.head.appendChild(style);
+        }
+    },
+    
+    async submitForm(form) {
+        const submitBtn = form.querySelector('button[type="submit"]');
+        
+        this.hideMessages();
+        this.setLoading(submitBtn, true);
+        await this.stampConsent(form);
+        
+        let result;
+        try {
+            if (!navigator.onLine) {
+                throw new Error('Browser is offline');
+            }
+            result = await FormBackends.send(form);
+        } catch (error) {
+            console.warn('Form submission failed:', error);
+            this.setLoading(submitBtn, false);
+            
+            if (FormBackends.resolve(form).queueable && await this.queueSubmission(form)) {
+                form.reset();
+                FormDrafts.clear(form);
+                SpamGuard.reset(form);
+                this.showQueued();
+            } else {
+                this.showError('form', 'network_error', {
+                    onRetry: () => this.handleSubmit(form)
+                });
+            }
+            return;
+        }
+        
+        this.setLoading(submitBtn, false);
+        
+        if (!result.ok) {
+            this.showServerErrors(result, form);
+            return;
+        }
+        
+        SpamGuard.recordAttempt(form);
+        
+        // Track form submission for GDPR audit
+        this.trackFormSubmission(this.buildConsentSnapshot(form));
+        
+        form.reset();
+        FormDrafts.clear(form);
+        SpamGuard.reset(form);
+        this.showSuccess();
+    },
+    
+    // What the visitor agreed to at the moment they pressed submit
+    buildConsentSnapshot(form) {
+        const consents = {};
+        form.querySelectorAll('input[type="checkbox"][required]').forEach(checkbox => {
+            consents[checkbox.name || checkbox.id] = checkbox.checked;
+        });
+        
+        const textHash = form.querySelector('input[name="consent_hash"]');
+        
+        return {
+            policyVersion: CookieConsent.policyVersion,
+            formspree: CookieConsent.hasVendorConsent('formspree'),
+            consents: consents,
+            textHash: textHash ? textHash.value || null : null,
+            capturedAt: new Date().toISOString()
+        };
+    },
+    
+    // Hidden fields sent with the submission: the consent texts exactly as shown, in the
+    // active language and one per line, with their SHA-256 so the two can be checked
+    // against each other and against the policy version later
+    async stampConsent(form) {
+        const lang = LanguageManager.currentLang;
+        const texts = this.getConsentStatements(form).join('\n');
+        
+        let hash = null;
+        try {
+            hash = await sha256Hex(texts);
+        } catch (e) {
+            console.warn('Could not hash consent texts:', e);
+        }
+        
+        const fields = {
+            consent_texts: texts,
+            consent_hash: hash ? `sha256:${hash}` : '',
+            consent_language: lang,
+            consent_policy_version: CookieConsent.policyVersion,
+            consent_timestamp: new Date().toISOString()
+        };
+        
+        Object.entries(fields).forEach(([name, value]) => {
+            let input = form.querySelector(`input[type="hidden"][name="${name}"]`);
+            if (!input) {
+                input = document.createElement('input');
+                input.type = 'hidden';
+                input.name = name;
+                form.appendChild(input);
+            }
+            input.value = value;
+        });
+        
+        return fields;
+    },
+    
+    async queueSubmission(form) {
+        const adapter = FormBackends.resolve(form);
+        const record = {
+            id: generateId(),
+            backend: adapter.name,
+            action: FormBackends.getUrl(form, adapter),
+            fields: Array.from(new FormData(form).entries()),
+            consent: this.buildConsentSnapshot(form),
+            tabId: this.getTabId(),
+            queuedAt: new Date().toISOString()
+        };
+        
+        try {
+            await OfflineStore.add('pendingRegistrations', record);
+        } catch (e) {
+            console.warn('Could not queue registration:', e);
+            return false;
+        }
+        
+        this.backgroundSync = await OfflineStore.requestSync(this.syncTag);
+        return true;
+    },
+    
+    async flushQueuedRegistrations() {
+        if (!(await OfflineStore.exists())) return;
+        
+        let records;
+        try {
+            records = await OfflineStore.getAll('pendingRegistrations');
+        } catch (e) {
+            return;
+        }
+        
+        for (const record of records) {
+            const formData = new FormData();
+            record.fields.forEach(([name, value]) => formData.append(name, value));
+            
+            let result;
+            try {
+                result = await FormBackends.sendTo(record.backend || 'formspree', record.action, formData);
+            } catch (e) {
+                // Still offline - keep the rest queued
+                break;
+            }
+            
+            // Server errors are retried later, everything else settles the record
+            if (!result.ok && result.status >= 500) break;
+            
+            await OfflineStore.delete('pendingRegistrations', record.id);
+            this.handleWorkerMessage({
+                type: result.ok ? 'REGISTRATION_SENT' : 'REGISTRATION_REJECTED',
+                id: record.id,
+                tabId: record.tabId,
+                consent: record.consent,
+                status: result.status,
+                errors: result.errors
+            });
+        }
+    },
+    
+    // Every open tab hears about a settled registration; only the one that queued it
+    // records the audit entry, the analytics event and the message
+    handleWorkerMessage(data) {
+        if (!data || data.tabId !== this.getTabId()) return;
+        
+        if (data.type === 'REGISTRATION_SENT') {
+            this.trackFormSubmission(data.consent);
+            this.hideMessages();
+            this.showSuccess();
+        } else if (data.type === 'REGISTRATION_REJECTED') {
+            this.hideMessages();
+            this.showServerErrors({ status: data.status, errors: data.errors || [] });
+        }
+    },
+    
+    // Kept in sessionStorage, so it survives a reload but not a new tab
+    getTabId() {
+        if (!this.tabId) {
+            try {
+                this.tabId = sessionStorage.getItem('tabId') || generateId();
+                sessionStorage.setItem('tabId', this.tabId);
+            } catch (e) {
+                this.tabId = generateId();
+            }
+        }
+        return this.tabId;
+    },
+    
+    showQueued() {
+        const panel = document.getElementById('formSuccess');
+        if (!panel) return;
+        
+        panel.innerHTML = `
+            <strong>${LanguageManager.markup('registration.queued.title')}</strong>
+            <p>${LanguageManager.markup('registration.queued.text')}</p>
+        `;
+        panel.classList.add('form-queued');
+        panel.hidden = false;
+        panel.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    },
+    
+    trackFormSubmission(snapshot) {
+        this.saveSubmissionAudit(snapshot, 'event_registration');
+        
+        // Track in analytics if enabled
+        if (typeof gtag !== 'undefined' && CookieConsent.hasAccepted()) {
+            gtag('event', 'form_submit', {
+                'event_category': 'GDPR_Compliant_Form',
+                'event_label': 'Event Registration',
+                'consents_given': true
+            });
+        }
+    },
+    
+    // Local audit trail shared by every form that asks for these consents
+    saveSubmissionAudit(snapshot, formName) {
+        const consents = snapshot.consents || {};
+        const submissionData = {
+            timestamp: new Date().toISOString(),
+            form: formName,
+            policyVersion: snapshot.policyVersion,
+            consentHash: snapshot.textHash || null,
+            consents: {
+                dataProcessing: consents.dataProcessingConsent || false,
+                internationalTransfer: consents.internationalTransferConsent || false,
+                privacyPolicy: consents.privacyPolicyConsent || false
+            }
+        };
+        
+        // Store submission data for audit trail
+        try {
+            const submissions = JSON.parse(localStorage.getItem('formSubmissions') || '[]');
+            submissions.push(submissionData);
+            if (submissions.length > 5) submissions.shift();
+            localStorage.setItem('formSubmissions', JSON.stringify(submissions));
+        } catch (e) {
+            console.warn('Could not save form submission data');
+        }
+    }
+};
+
+// ===== GDPR DATA SUBJECT REQUESTS (DSAR) =====
+// Sent through the same backend as registrations (Formspree, or the visitor's email app
+// when Formspree isn't allowed). A receipt with a reference number stays on the device.
+const DSARFormHandler = {
+    form: null,
+    select: null,
+    deadlineDays: 30,
+    storageKey: 'dsarRequests',
+    
+    // Labels live under dsar.types.<type>
+    requestTypes: ['access', 'rectification', 'erasure', 'restriction', 'portability', 'objection', 'withdrawal'],
+    
+    // The receipt on screen, re-rendered when the language changes
+    shownReceipt: null,
+    
+    init() {
+        this.form = document.getElementById('dsarForm');
+        if (!this.form) return;
+        
+        this.select = document.getElementById('dsarType');
+        this.renderTypes();
+        window.addEventListener('languageChanged', () => {
+            this.renderTypes();
+            if (this.shownReceipt) {
+                this.renderReceipt(this.shownReceipt.receipt, this.shownReceipt.message);
+            }
+        });
+        
+        SpamGuard.protect(this.form);
+        
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        });
+        
+        FormValidator.attach(this.form);
+    },
+    
+    renderTypes() {
+        if (!this.select) return;
+        
+        const selected = this.select.value;
+        
+        this.select.innerHTML = `<option value="" disabled selected>${escapeHtml(t('dsar.choose_type'))}</option>` +
+            this.requestTypes
+                .map(type => `<option value="${type}">${escapeHtml(t(`dsar.types.${type}`))}</option>`)
+                .join('');
+        this.select.value = selected;
+    },
+    
+    showError(type, options = {}) {
+        GDPRFormHandler.showError('form', type, { ...options, container: document.getElementById('dsarErrors') });
+    },
+    
+    hideMessages() {
+        const errors = document.getElementById('dsarErrors');
+        if (errors) {
+            errors.style.display = 'none';
+            errors.innerHTML = '';
+        }
+    },
+    
+    async handleSubmit() {
+        const form = this.form;
+        this.hideMessages();
+        
+        if (FormValidator.validateForm(form).length > 0) {
+            this.showError('invalid_fields', { scroll: false });
+            return;
+        }
+        
+        const receipt = this.buildReceipt();
+        const consent = await GDPRFormHandler.stampConsent(form);
+        receipt.consentHash = consent.consent_hash || null;
+        
+        // A rights request must never depend on cookie consent
+        if (!FormBackends.isAllowed(form)) {
+            const formData = this.buildFormData(receipt);
+            const message = this.buildEmailMessage(formData, receipt);
+            await FormBackends.sendTo('mailto', message.to, formData, { message: message });
+            this.complete({ ...receipt, channel: 'email' }, message);
+            return;
+        }
+        
+        const submitBtn = form.querySelector('button[type="submit"]');
+        GDPRFormHandler.setLoading(submitBtn, true);
+        
+        const spamError = await SpamGuard.check(form);
+        if (spamError) {
+            GDPRFormHandler.setLoading(submitBtn, false);
+            this.showError(spamError);
+            return;
+        }
+        
+        let result;
+        try {
+            result = await FormBackends.send(form, this.buildFormData(receipt));
+        } catch (error) {
+            console.warn('DSAR submission failed:', error);
+            GDPRFormHandler.setLoading(submitBtn, false);
+            GDPRFormHandler.showError('form', 'network_error', {
+                container: document.getElementById('dsarErrors'),
+                onRetry: () => this.handleSubmit()
+            });
+            return;
+        }
+        
+        GDPRFormHandler.setLoading(submitBtn, false);
+        
+        if (!result.ok) {
+            this.showError(result.status === 429 ? 'rate_limited' : 'server_error');
+            return;
+        }
+        
+        SpamGuard.recordAttempt(form);
+        SpamGuard.reset(form);
+        this.complete({ ...receipt, channel: 'form' });
+    },
+    
+    buildFormData(receipt) {
+        const formData = new FormData(this.form);
+        formData.append('reference', receipt.reference);
+        formData.append('due_by', receipt.dueBy);
+        // The subject stays in Romanian, whatever language the visitor reads the site in
+        formData.append('_subject', `Cerere GDPR ${receipt.reference}: ${t(`dsar.types.${receipt.type}`, {}, 'ro')}`);
+        return formData;
+    },
+    
+    generateReference(date = new Date()) {
+        const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+        const suffix = generateId().replace(/-/g, '').slice(0, 6).toUpperCase();
+        return `DSAR-${day}-${suffix}`;
+    },
+    
+    buildReceipt() {
+        const submittedAt = new Date();
+        const dueBy = new Date(submittedAt.getTime() + this.deadlineDays * 24 * 60 * 60 * 1000);
+        
+        return {
+            reference: this.generateReference(submittedAt),
+            type: this.select.value,
+            submittedAt: submittedAt.toISOString(),
+            dueBy: dueBy.toISOString(),
+            policyVersion: CookieConsent.policyVersion
+        };
+    },
+    
+    buildEmailMessage(formData, receipt) {
+        const lang = LanguageManager.currentLang;
+        const statements = GDPRFormHandler.getConsentStatements(this.form);
+        
+        return {
+            to: this.form.dataset.mailto,
+            subject: formData.get('_subject'),
+            body: [
+                `${t('dsar.email.reference')}: ${receipt.reference}`,
+                `${t('dsar.email.type')}: ${t(`dsar.types.${receipt.type}`)}`,
+                `${t('emails.name')}: ${formData.get('name')}`,
+                `${t('emails.email')}: ${formData.get('email')}`,
+                `${t('dsar.email.details')}: ${formData.get('details') || '-'}`,
+                `${t('dsar.email.due')}: ${this.formatDate(receipt.dueBy, lang)}`,
+                '',
+                ...statements.map(statement => `- ${statement}`)
+            ].join('\r\n')
+        };
+    },
+    
+    formatDate(iso, lang) {
+        return new Intl.DateTimeFormat(lang === 'ro' ? 'ro-RO' : 'en-GB', { dateStyle: 'long' }).format(new Date(iso));
+    },
+    
+    saveReceipt(receipt) {
+        try {
+            const receipts = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            receipts.push(receipt);
+            if (receipts.length > 10) receipts.shift();
+            localStorage.setItem(this.storageKey, JSON.stringify(receipts));
+        } catch (e) {
+            console.warn('Could not save DSAR receipt');
+        }
+    },
+    
+    complete(receipt, message = null) {
+        this.saveReceipt(receipt);
+        this.form.reset();
+        this.showReceipt(receipt, message);
+    },
+    
+    showReceipt(receipt, message) {
+        const panel = document.getElementById('dsarReceipt');
+        if (!panel) return;
+        
+        this.shownReceipt = { receipt: receipt, message: message };
+        this.renderReceipt(receipt, message);
+        
+        panel.hidden = false;
+        panel.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    },
+    
+    renderReceipt(receipt, message) {
+        const panel = document.getElementById('dsarReceipt');
+        const lang = LanguageManager.currentLang;
+        const text = key => escapeHtml(t(`dsar.receipt.${key}`));
+        
+        panel.innerHTML = `
+            <strong>${text('title')}</strong>
+            <dl class="dsar-receipt-details">
+                <dt>${text('reference')}</dt>
+                <dd><code>${receipt.reference}</code></dd>
+                <dt>${text('type')}</dt>
+                <dd>${escapeHtml(t(`dsar.types.${receipt.type}`))}</dd>
+                <dt>${text('submitted')}</dt>
+                <dd>${this.formatDate(receipt.submittedAt, lang)}</dd>
+                <dt>${text('due')}</dt>
+                <dd>${this.formatDate(receipt.dueBy, lang)}</dd>
+            </dl>
+            ${message ? `<p>${text('email_note')}</p>` : ''}
+            <p>${text('keep')}</p>
+            <button type="button" class="form-retry-btn" data-download-receipt>${text('download')}</button>
+            ${message ? `
+                <button type="button" class="form-retry-btn" data-download-eml>${escapeHtml(t('emails.download_eml'))}</button>
+            ` : ''}
+        `;
+        
+        panel.querySelector('[data-download-receipt]').addEventListener('click', () => this.downloadReceipt(receipt));
+        if (message) {
+            panel.querySelector('[data-download-eml]').addEventListener('click', () => GDPRFormHandler.downloadEml(message));
+        }
+    },
+    
+    downloadReceipt(receipt) {
+        downloadFile(JSON.stringify(receipt, null, 2), `${receipt.reference}.json`, 'application/json');
+    }
+};
+
+// ===== LANGUAGE MANAGEMENT SYSTEM =====
+// Text lives in i18n/<lang>.json. Markup keeps the Romanian text inline (what
+// crawlers and no-JS visitors see) and names its key with data-i18n (plain text)
+// or data-i18n-html; scripts use t(). Only the dictionaries for the default language
+// and the one in use are fetched, so English is loaded when someone switches to it.
+// The other modules start once those are in, so script text renders translated.
+const LanguageManager = {
+    currentLang: 'ro',
+    defaultLang: 'ro',
+    supported: ['ro', 'en'],
+    dictionaryUrl: './i18n/{lang}.json',
+    dictionaries: {},
+    loading: {},
+    dictionaryTimeoutMs: 5000,
+    
+    // Resolves once the dictionaries are in, or after dictionaryTimeoutMs on a slow
+    // network (text rendered before then is redone on languageChanged)
+    init() {
+        // Check for saved language preference
+        const savedLang = this.getSavedLanguage();
+        const browserLang = navigator.language.toLowerCase();
+        
+        // Prioritize: saved preference > browser language > default (ro)
+        if (savedLang && this.supported.includes(savedLang)) {
+            this.currentLang = savedLang;
+        } else if (browserLang.startsWith('en')) {
+            this.currentLang = 'en';
+        }
+        
+        this.setupLanguageButtons();
+        
+        // The default language's dictionary fills any gaps in the current one
+        const loaded = Promise.all([this.loadDictionary(this.defaultLang), this.setLanguage(this.currentLang)]);
+        const timeout = new Promise(resolve => setTimeout(resolve, this.dictionaryTimeoutMs));
+        return Promise.race([loaded, timeout]);
+    },
+    
+    getSavedLanguage() {
+        try {
+            return localStorage.getItem('language');
+        } catch (e) {
+            return null;
+        }
+    },
+    
+    setLanguage(lang) {
+        if (!this.supported.includes(lang)) return Promise.resolve();
+        
+        this.currentLang = lang;
+        
+        // Batch DOM updates to prevent reflows
+        requestAnimationFrame(() => {
+            document.body.classList.toggle('lang-ro', lang === 'ro');
+            document.documentElement.lang = lang;
+            
+            // Update language buttons
+            document.querySelectorAll('.lang-btn').forEach(btn => {
+                btn.classList.toggle('active', btn.dataset.lang === lang);
+                btn.setAttribute('aria-pressed', btn.dataset.lang === lang);
+            });
+        });
+        
+        // Save preference (this is functional, not tracking)
+        try {
+            localStorage.setItem('language', lang);
+        } catch (e) {
+            console.warn('localStorage not available');
+        }
+        
+        // Keyed text follows once the dictionary is in (at once if it was loaded before)
+        return this.loadDictionary(lang).then(dictionary => {
+            if (this.currentLang !== lang) return;
+            
+            if (dictionary) {
+                this.applyTranslations();
+                this.updatePageMeta();
+            }
+            
+            // Scripts re-render their own text from here, so they get the new dictionary
+            window.dispatchEvent(new CustomEvent('languageChanged', { detail: { language: lang } }));
+        });
+    },
+    
+    loadDictionary(lang) {
+        if (this.dictionaries[lang]) {
+            return Promise.resolve(this.dictionaries[lang]);
+        }
+        
+        if (!this.loading[lang]) {
+            this.loading[lang] = fetch(this.dictionaryUrl.replace('{lang}', lang))
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(dictionary => {
+                    this.dictionaries[lang] = dictionary;
+                    return dictionary;
+                })
+                .catch(error => {
+                    // The inline Romanian text stays; a later switch tries again
+                    console.warn(`Translations for "${lang}" could not be loaded:`, error);
+                    delete this.loading[lang];
+                    return null;
+                });
+        }
+        
+        return this.loading[lang];
+    },
+    
+    // t('errors.server_error', { email: '...' }) - falls back to the default
+    // language, then to the key itself.
+    // Pass a language for text that doesn't follow the visitor's (e.g. email subjects).
+    // Entries with plural forms ({ one, few, other }) are picked by params.count with
+    // Intl.PluralRules, which gives Romanian "20 de locuri" but "101 locuri".
+    t(key, params = {}, lang = this.currentLang) {
+        const lookup = ([dictionary, dictionaryLang]) => {
+            const entry = key.split('.')
+                .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), dictionary);
+            
+            return entry && typeof entry === 'object' && typeof params.count === 'number'
+                ? entry[new Intl.PluralRules(dictionaryLang).select(params.count)] || entry.other
+                : entry;
+        };
+        
+        const text = [
+            [this.dictionaries[lang], lang],
+            [this.dictionaries[this.defaultLang], this.defaultLang]
+        ]
+            .map(lookup)
+            .find(value => typeof value === 'string');
+        if (text === undefined) return key;
+        
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    },
+    
+    // For entries that contain markup: the entry is trusted, the values put into it are not
+    html(key, params = {}) {
+        const escaped = {};
+        Object.entries(params).forEach(([name, value]) => {
+            escaped[name] = escapeHtml(String(value));
+        });
+        return this.t(key, escaped);
+    },
+    
+    // For scripts that inject text: the span keeps its key, so it is re-translated
+    // with the rest of the page when the language changes
+    markup(key, params = null) {
+        return `<span data-i18n="${key}"${this.paramsAttr(params)}>${escapeHtml(this.t(key, params || {}))}</span>`;
+    },
+    
+    markupHtml(key, params = null) {
+        return `<span data-i18n-html="${key}"${this.paramsAttr(params)}>${this.html(key, params || {})}</span>`;
+    },
+    
+    paramsAttr(params) {
+        return params ? ` data-i18n-params="${escapeHtml(JSON.stringify(params))}"` : '';
+    },
+    
+    applyTranslations(root = document) {
+        root.querySelectorAll('[data-i18n], [data-i18n-html]').forEach(el => {
+            let params = {};
+            try {
+                params = JSON.parse(el.dataset.i18nParams || '{}');
+            } catch (e) {
+                // Malformed params - translate without them
+            }
+            
+            if (el.dataset.i18nHtml) {
+                el.innerHTML = this.html(el.dataset.i18nHtml, params);
+            } else {
+                el.textContent = this.t(el.dataset.i18n, params);
+            }
+        });
+    },
+    
+    setupLanguageButtons() {
+        document.querySelectorAll('.lang-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.setLanguage(btn.dataset.lang);
+            });
+        });
+    },
+    
+    // Update page meta for SEO
+    updatePageMeta() {
+        document.title = this.t('meta.title');
+        
+        const metaDesc = document.querySelector('meta[name="description"]');
+        if (metaDesc) {
+            metaDesc.content = this.t('meta.description');
+        }
+    }
+};
+
+// Shorthand for scripts: t('nav.home'), t('errors.server_error', { email })
+const t = (key, params, lang) => LanguageManager.t(key, params, lang);
+
+// ===== MOBILE MENU MANAGEMENT =====
+const MobileMenu = {
+    isOpen: false,
+    menu: null,
+    toggle: null,
+    
+    init() {
+        this.menu = document.getElementById('navMenu');
+        this.toggle = document.querySelector('.mobile-menu-toggle');
+        
+        if (this.toggle) {
+            this.toggle.addEventListener('click', () => this.toggleMenu());
+            
+            // Keyboard support
+            this.toggle.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.toggleMenu();
+                }
+            });
+        }
+        
+        // Close menu on outside click
+        document.addEventListener('click', (e) => {
+            if (this.isOpen && !e.target.closest('.nav-container')) {
+                this.closeMenu();
+            }
+        });
+        
+        // Close menu on escape key
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.closeMenu();
+                this.toggle.focus();
+            }
+        });
+        
+        // Close menu when clicking nav links
+        this.menu?.addEventListener('click', (e) => {
+            if (e.target.classList.contains('nav-link')) {
+                this.closeMenu();
+            }
+        });
+    },
+    
+    toggleMenu() {
+        this.isOpen = !this.isOpen;
+        
+        // Batch DOM updates
+        requestAnimationFrame(() => {
+            this.menu.classList.toggle('active', this.isOpen);
+            this.toggle.setAttribute('aria-expanded', this.isOpen);
+            this.animateHamburger(this.isOpen);
+        });
+    },
+    
+    closeMenu() {
+        this.isOpen = false;
+        
+        requestAnimationFrame(() => {
+            this.menu.classList.remove('active');
+            this.toggle.setAttribute('aria-expanded', 'false');
+            this.animateHamburger(false);
+        });
+    },
+    
+    animateHamburger(isOpen) {
+        const spans = this.toggle.querySelectorAll('span');
+        if (isOpen) {
+            spans[0].style.transform = 'rotate(45deg) translateY(8px)';
+            spans[1].style.opacity = '0';
+            spans[2].style.transform = 'rotate(-45deg) translateY(-8px)';
+        } else {
+            spans.forEach(span => {
+                span.style.transform = '';
+                span.style.opacity = '';
+            });
+        }
+    }
+};
+
+// ===== ENHANCED CAROUSEL WITH TOUCH SUPPORT =====
+class Carousel {
+    constructor() {
+        this.currentSlide = 0;
+        this.autoPlayInterval = null;
+        this.touchStartX = 0;
+        this.touchEndX = 0;
+        this.track = null;
+        this.slides = [];
+        this.dots = [];
+        this.isTransitioning = false;
+        
+        // Cache for performance
+        this.slideWidth = 0;
+        this.trackWidth = 0;
+        
+        // Event configuration
+        this.eventImages = EventData.events.map(event => event.image);
+        this.eventCaptions = EventData.events.map(event => ({
+            ro: EventData.formatCaption(event, 'ro'),
+            en: EventData.formatCaption(event, 'en')
+        }));
+    }
+    
+    init() {
+        this.track = document.getElementById('carouselTrack');
+        if (!this.track) return;
+        
+        this.slides = Array.from(this.track.querySelectorAll('.carousel-slide'));
+        this.cacheElementDimensions();
+        this.createDots();
+        this.setupEventListeners();
+        this.preloadImages();
+        
+        // Start autoplay if motion is allowed
+        if (!window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+            this.startAutoPlay();
+        }
+    }
+    
+    cacheElementDimensions() {
+        // Cache dimensions to avoid repeated reflows
+        if (this.slides.length > 0) {
+            const firstSlide = this.slides[0];
+            this.slideWidth = firstSlide.offsetWidth;
+            this.trackWidth = this.slideWidth * this.slides.length;
+        }
+    }
+    
+    setupEventListeners() {
+        // Touch events
+        this.track.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: true });
+        this.track.addEventListener('touchend', (e) => this.handleTouchEnd(e), { passive: true });
+        
+        // Mouse events for desktop swipe
+        let mouseDown = false;
+        this.track.addEventListener('mousedown', (e) => {
+            mouseDown = true;
+            this.touchStartX = e.clientX;
+        });
+        
+        this.track.addEventListener('mouseup', (e) => {
+            if (mouseDown) {
+                this.touchEndX = e.clientX;
+                this.handleSwipe();
+            }
+            mouseDown = false;
+        });
+        
+        this.track.addEventListener('mouseleave', () => {
+            mouseDown = false;
+        });
+        
+        // Navigation buttons
+        const prevBtn = document.querySelector('.carousel-nav.prev');
+        const nextBtn = document.querySelector('.carousel-nav.next');
+        
+        if (prevBtn) prevBtn.addEventListener('click', () => this.move(-1));
+        if (nextBtn) nextBtn.addEventListener('click', () => this.move(1));
+        
+        // Keyboard navigation
+        const container = document.querySelector('.carousel-container');
+        if (container) {
+            container.addEventListener('keydown', (e) => {
+                if (e.key === 'ArrowLeft') this.move(-1);
+                else if (e.key === 'ArrowRight') this.move(1);
+            });
+            
+            // Pause on hover
+            container.addEventListener('mouseenter', () => this.stopAutoPlay());
+            container.addEventListener('mouseleave', () => this.startAutoPlay());
+        }
+        
+        // Pause when page is not visible
+        document.addEventListener('visibilitychange', () => {
+            document.hidden ? this.stopAutoPlay() : this.startAutoPlay();
+        });
+        
+        // Recalculate dimensions on resize
+        window.addEventListener('resize', debounce(() => this.cacheElementDimensions(), 250));
+    }
+    
+    preloadImages() {
+        // Preload next image for smoother transitions
+        this.eventImages.forEach((src, index) => {
+            if (index > 0) { // Skip first image as it's already loaded
+                const img = new Image();
+                img.src = src;
+            }
+        });
+    }
+    
+    createDots() {
+        const dotsContainer = document.getElementById('carouselDots');
+        if (!dotsContainer) return;
+        
+        dotsContainer.innerHTML = '';
+        this.dots = [];
+        
+        this.slides.forEach((_, index) => {
+            const dot = document.createElement('button');
+            dot.className = `carousel-dot${index === 0 ? ' active' : ''}`;
+            dot.setAttribute('aria-label', `Mergi la slide ${index + 1}`);
+            dot.setAttribute('aria-current', index === 0 ? 'true' : 'false');
+            dot.addEventListener('click', () => this.goToSlide(index));
+            dotsContainer.appendChild(dot);
+            this.dots.push(dot);
+        });
+    }
+    
+    handleTouchStart(e) {
+        this.touchStartX = e.changedTouches[0].screenX;
+    }
+    
+    handleTouchEnd(e) {
+        this.touchEndX = e.changedTouches[0].screenX;
+        this.handleSwipe();
+    }
+    
+    handleSwipe() {
+        const diff = this.touchStartX - this.touchEndX;
+        const threshold = 50;
+        
+        if (Math.abs(diff) > threshold) {
+            this.move(diff > 0 ? 1 : -1);
+        }
+    }
+    
+    move(direction) {
+        if (this.isTransitioning) return;
+        
+        this.currentSlide = (this.currentSlide + direction + this.slides.length) % this.slides.length;
+        this.updateCarousel();
+        this.resetAutoPlay();
+    }
+    
+    goToSlide(index) {
+        if (this.isTransitioning || index === this.currentSlide) return;
+        
+        this.currentSlide = index;
+        this.updateCarousel();
+        this.resetAutoPlay();
+    }
+    
+    updateCarousel() {
+        this.isTransitioning = true;
+        
+        // Use requestAnimationFrame for smooth animations
+        requestAnimationFrame(() => {
+            // Update track position
+            this.track.style.transform = `translateX(${-this.currentSlide * 100}%)`;
+            
+            // Update dots
+            this.dots.forEach((dot, index) => {
+                const isActive = index === this.currentSlide;
+                dot.classList.toggle('active', isActive);
+                dot.setAttribute('aria-current', isActive ? 'true' : 'false');
+            });
+        });
+        
+        // Reset transition flag
+        setTimeout(() => {
+            this.isTransitioning = false;
+        }, 500);
+        
+        // Announce to screen readers
+        this.announceSlide();
+    }
+    
+    announceSlide() {
+        const announcement = document.createElement('div');
+        announcement.setAttribute('role', 'status');
+        announcement.setAttribute('aria-live', 'polite');
+        announcement.className = 'sr-only';
+        announcement.textContent = `Slide ${this.currentSlide + 1} din ${this.slides.length}`;
+        
+        document.body.appendChild(announcement);
+        
+        setTimeout(() => {
+            if (announcement.parentNode) {
+                document.body.removeChild(announcement);
+            }
+        }, 1000);
+    }
+    
+    startAutoPlay() {
+        if (this.autoPlayInterval) return;
+        
+        this.autoPlayInterval = setInterval(() => {
+            this.move(1);
+        }, 5000);
+    }
+    
+    stopAutoPlay() {
+        if (this.autoPlayInterval) {
+            clearInterval(this.autoPlayInterval);
+            this.autoPlayInterval = null;
+        }
+    }
+    
+    resetAutoPlay() {
         this.stopAutoPlay();
         this.startAutoPlay();
     }
-}
+}
+
+// ===== MODAL MANAGEMENT =====
+const Modal = {
+    modal: null,
+    modalImg: null,
+    modalCaption: null,
+    isOpen: false,
+    
+    init() {
+        this.modal = document.getElementById('imageModal');
+        this.modalImg = document.getElementById('modalImage');
+        this.modalCaption = document.getElementById('modalCaption');
+        
+        if (!this.modal) return;
+        
+        // Close on click
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal || e.target.classList.contains('modal-close')) {
+                this.close();
+            }
+        });
+        
+        // Close on escape
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+    },
+    
+    open(index) {
+        if (!this.modal || !carousel) return;
+        
+        const lang = LanguageManager.currentLang;
+        
+        // Batch DOM updates
+        requestAnimationFrame(() => {
+            this.modal.style.display = 'block';
+            
+            // Force reflow only once
+            this.modal.offsetHeight;
+            
+            this.modal.classList.add('show');
+            this.modalImg.src = carousel.eventImages[index];
+            this.modalImg.alt = `Imagine eveniment ${index + 1}`;
+            this.modalCaption.textContent = carousel.eventCaptions[index][lang];
+            
+            document.body.style.overflow = 'hidden';
+            this.isOpen = true;
+            
+            // Focus management
+            this.modal.setAttribute('tabindex', '-1');
+            this.modal.focus();
+            
+            // Trap focus
+            this.trapFocus();
+        });
+    },
+    
+    close() {
+        if (!this.modal) return;
+        
+        this.modal.classList.remove('show');
+        
+        setTimeout(() => {
+            this.modal.style.display = 'none';
+            document.body.style.overflow = '';
+            this.isOpen = false;
+            
+            // Return focus to trigger element
+            const triggerElement = document.querySelector(`#event${this.lastOpenedIndex + 1}`);
+            if (triggerElement) triggerElement.focus();
+        }, 300);
+    },
+    
+    trapFocus() {
+        const focusableElements = this.modal.querySelectorAll(
+            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+        );
+        
+        const firstFocusable = focusableElements[0];
+        const lastFocusable = focusableElements[focusableElements.length - 1];
+        
+        const handleTabKey = (e) => {
+            if (e.key !== 'Tab') return;
+            
+            if (e.shiftKey) {
+                if (document.activeElement === firstFocusable) {
+                    lastFocusable.focus();
+                    e.preventDefault();
+                }
+            } else {
+                if (document.activeElement === lastFocusable) {
+                    firstFocusable.focus();
+                    e.preventDefault();
+                }
+            }
+        };
+        
+        this.modal.addEventListener('keydown', handleTabKey);
+    }
+};
+
+// ===== PRIVACY MODAL MANAGEMENT =====
+const PrivacyModal = {
+    modal: null,
+    isOpen: false,
+    
+    init() {
+        this.modal = document.getElementById('privacyModal');
+        
+        if (!this.modal) return;
+        
+        // Close on click outside
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.close();
+            }
+        });
+        
+        // Close on escape
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+    },
+    
+    open() {
+        if (!this.modal) return;
+        
+        requestAnimationFrame(() => {
+            this.modal.style.display = 'block';
+            
+            // Force reflow only once
+            this.modal.offsetHeight;
+            
+            this.modal.classList.add('show');
+            document.body.style.overflow = 'hidden';
+            this.isOpen = true;
+            
+            // Focus management
+            this.modal.setAttribute('tabindex', '-1');
+            this.modal.focus();
+            
+            // Trap focus
+            this.trapFocus();
+        });
+    },
+    
+    close() {
+        if (!this.modal) return;
+        
+        this.modal.classList.remove('show');
+        
+        setTimeout(() => {
+            this.modal.style.display = 'none';
+            document.body.style.overflow = '';
+            this.isOpen = false;
+        }, 300);
+    },
+    
+    trapFocus() {
+        const focusableElements = this.modal.querySelectorAll(
+            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+        );
+        
+        const firstFocusable = focusableElements[0];
+        const lastFocusable = focusableElements[focusableElements.length - 1];
+        
+        const handleTabKey = (e) => {
+            if (e.key !== 'Tab') return;
+            
+            if (e.shiftKey) {
+                if (document.activeElement === firstFocusable) {
+                    lastFocusable.focus();
+                    e.preventDefault();
+                }
+            } else {
+                if (document.activeElement === lastFocusable) {
+                    firstFocusable.focus();
+                    e.preventDefault();
+                }
+            }
+        };
+        
+        this.modal.addEventListener('keydown', handleTabKey);
+    }
+};
 
-// ===== MODAL MANAGEMENT =====
-const Modal = {
+// ===== OPTIMIZED SMOOTH SCROLL WITH NAVIGATION UPDATE =====
+const Navigation = {
+    sections: [],
+    navLinks: [],
+    sectionData: [],
+    
+    init() {
+        this.sections = document.querySelectorAll('section[id]');
+        this.navLinks = document.querySelectorAll('.nav-link');
+        
+        // Cache section data to prevent reflows
+        this.cacheSectionData();
+        
+        // Smooth scroll
+        this.navLinks.forEach(link => {
+            link.addEventListener('click', (e) => this.smoothScroll(e));
+        });
+        
+        // Throttled scroll spy to prevent performance issues
+        window.addEventListener('scroll', throttle(() => this.updateActiveSection(), 100), { passive: true });
+        
+        // Recalculate on resize
+        window.addEventListener('resize', debounce(() => this.cacheSectionData(), 250));
+        
+        // Initial check
+        this.updateActiveSection();
+    },
+    
+    cacheSectionData() {
+        // Batch read all section positions to avoid reflows
+        this.sectionData = Array.from(this.sections).map(section => ({
+            id: section.getAttribute('id'),
+            top: section.offsetTop,
+            bottom: section.offsetTop + section.offsetHeight
+        }));
+    },
+    
+    smoothScroll(e) {
+        e.preventDefault();
+        const targetId = e.currentTarget.getAttribute('href').slice(1);
+        const targetSection = document.getElementById(targetId);
+        
+        if (targetSection) {
+            const offset = 80; // Account for fixed header
+            const targetPosition = targetSection.offsetTop - offset;
+            
+            window.scrollTo({
+                top: targetPosition,
+                behavior: 'smooth'
+            });
+            
+            // Close mobile menu if open
+            MobileMenu.closeMenu();
+            
+            // Update URL without triggering scroll
+            history.pushState(null, null, `#${targetId}`);
+        }
+    },
+    
+    updateActiveSection() {
+        const scrollPosition = window.scrollY + 100;
+        
+        // Use cached data to avoid reflows
+        for (const sectionData of this.sectionData) {
+            if (scrollPosition >= sectionData.top && scrollPosition < sectionData.bottom) {
+                // Batch DOM updates
+                requestAnimationFrame(() => {
+                    this.navLinks.forEach(link => {
+                        const isActive = link.getAttribute('href') === `#${sectionData.id}`;
+                        link.classList.toggle('active', isActive);
+                        link.setAttribute('aria-current', isActive ? 'page' : 'false');
+                    });
+                });
+                break;
+            }
+        }
+    }
+};
+
+// ===== INTERSECTION OBSERVER FOR ANIMATIONS =====
+const AnimationObserver = {
+    init() {
+        // Don't run animations if user prefers reduced motion
+        if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) return;
+        
+        const options = {
+            threshold: 0.1,
+            rootMargin: '0px 0px -50px 0px'
+        };
+        
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    entry.target.classList.add('fade-in');
+                    observer.unobserve(entry.target);
+                }
+            });
+        }, options);
+        
+        // Observe elements
+        const elements = document.querySelectorAll('.section-paragraph, .faq-item, .service-card, .stat-item');
+        elements.forEach(el => observer.observe(el));
+    }
+};
+
+// ===== FORM HANDLER (Consultation Requests) =====
+// Uses the same consents, spam guard and backend as the event registration; when
+// Formspree isn't allowed the request is prepared in the visitor's email app instead.
+const FormHandler = {
+    form: null,
+    emailMode: false,
+    
+    // Option values; their labels live under contact.<list>.<value>
+    topics: ['individual', 'coaching', 'relationships', 'workshops', 'other'],
+    contactMethods: ['email', 'phone', 'whatsapp'],
+    
+    // Europe/Bucharest, as the label says
+    contactTimes: ['morning', 'afternoon', 'evening', 'anytime'],
+    
+    init() {
+        this.form = document.getElementById('contactForm');
+        if (!this.form) return;
+        
+        const form = this.form;
+        
+        // Options can't hold keyed spans, so they are rebuilt on switch
+        this.renderOptions();
+        window.addEventListener('languageChanged', () => this.renderOptions());
+        
+        SpamGuard.protect(form);
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        });
+        
+        // Real-time validation and draft autosave
+        FormValidator.attach(form);
+        FormDrafts.attach(form);
+        form.addEventListener('input', () => FormDrafts.handleInput(form));
+        
+        // A phone number is only needed when we're asked to call
+        form.querySelectorAll('input[name="contact_method"]').forEach(radio => {
+            radio.addEventListener('change', () => this.updatePhoneRequirement());
+        });
+        form.addEventListener('reset', () => setTimeout(() => this.updatePhoneRequirement()));
+        
+        this.updateMode();
+        window.addEventListener('cookieConsentChanged', () => this.updateMode());
+    },
+    
+    renderOptions() {
+        this.renderSelect(this.form.querySelector('#contactTopic'), 'topics', this.topics);
+        this.renderSelect(this.form.querySelector('#contactTime'), 'contactTimes', this.contactTimes);
+    },
+    
+    renderSelect(select, list, values) {
+        if (!select) return;
+        
+        const selected = select.value;
+        select.innerHTML = `<option value="" disabled selected>${escapeHtml(t(`contact.${list}.placeholder`))}</option>` +
+            values
+                .map(value => `<option value="${value}">${escapeHtml(t(`contact.${list}.${value}`))}</option>`)
+                .join('');
+        select.value = selected;
+    },
+    
+    // The label of a chosen option, for the email version of the request
+    optionLabel(list, value) {
+        return this[list].includes(value) ? t(`contact.${list}.${value}`) : '-';
+    },
+    
+    updatePhoneRequirement() {
+        const method = this.form.querySelector('input[name="contact_method"]:checked');
+        const phone = this.form.querySelector('#contactPhone');
+        const needsPhone = Boolean(method) && method.value !== 'email';
+        
+        phone.required = needsPhone;
+        this.form.querySelectorAll('[data-phone-required]').forEach(marker => {
+            marker.hidden = !needsPhone;
+        });
+        
+        if (!needsPhone && !phone.value) {
+            FormValidator.clearFieldError(phone);
+        }
+    },
+    
+    // Same rule as the event form: Formspree needs its vendor consent, email never does
+    updateMode() {
+        this.emailMode = !FormBackends.isAllowed(this.form);
+        GDPRFormHandler.setVendorConsentsActive(!this.emailMode, this.form);
+        
+        const notice = this.form.querySelector('.contact-email-notice');
+        if (notice) {
+            notice.hidden = !this.emailMode;
+        }
+        
+        const submitBtn = this.form.querySelector('button[type="submit"]');
+        const html = LanguageManager.markup(`forms.submit.${this.emailMode ? 'email' : 'form'}`);
+        
+        if (submitBtn.dataset.loadingText) {
+            submitBtn.dataset.loadingText = html;
+        } else {
+            submitBtn.innerHTML = html;
+        }
+    },
+    
+    showError(type, options = {}) {
+        GDPRFormHandler.showError('form', type, { ...options, container: document.getElementById('contactErrors') });
+    },
+    
+    hideMessages() {
+        const errors = document.getElementById('contactErrors');
+        if (errors) {
+            errors.style.display = 'none';
+            errors.innerHTML = '';
+        }
+        
+        const panel = document.getElementById('contactSuccess');
+        if (panel) {
+            panel.hidden = true;
+        }
+    },
+    
+    async handleSubmit() {
+        const form = this.form;
+        this.hideMessages();
+        
+        if (FormValidator.validateForm(form).length > 0) {
+            this.showError('invalid_fields', { scroll: false });
+            return;
+        }
+        
+        if (!FormBackends.isAllowed(form)) {
+            await GDPRFormHandler.stampConsent(form);
+            const message = this.buildEmailMessage(form);
+            await FormBackends.sendTo('mailto', message.to, new FormData(form), { message: message });
+            this.complete(message);
+            return;
+        }
+        
+        const submitBtn = form.querySelector('button[type="submit"]');
+        GDPRFormHandler.setLoading(submitBtn, true);
+        
+        const spamError = await SpamGuard.check(form);
+        if (spamError) {
+            GDPRFormHandler.setLoading(submitBtn, false);
+            this.showError(spamError);
+            return;
+        }
+        
+        await GDPRFormHandler.stampConsent(form);
+        
+        let result;
+        try {
+            result = await FormBackends.send(form);
+        } catch (error) {
+            console.warn('Contact request failed:', error);
+            GDPRFormHandler.setLoading(submitBtn, false);
+            this.showError('network_error', { onRetry: () => this.handleSubmit() });
+            return;
+        }
+        
+        GDPRFormHandler.setLoading(submitBtn, false);
+        
+        if (!result.ok) {
+            GDPRFormHandler.showServerErrors(result, form, { container: document.getElementById('contactErrors') });
+            return;
+        }
+        
+        SpamGuard.recordAttempt(form);
+        this.complete();
+    },
+    
+    complete(message = null) {
+        const form = this.form;
+        GDPRFormHandler.saveSubmissionAudit(GDPRFormHandler.buildConsentSnapshot(form), 'consultation_request');
+        AvailabilityCalendar.markRequested(form);
+        
+        form.reset();
+        FormDrafts.clear(form);
+        SpamGuard.reset(form);
+        this.showSuccess(message);
+        
+        // Track form submission in analytics if available and consent given
+        if (typeof gtag !== 'undefined' && CookieConsent.hasAccepted()) {
+            gtag('event', 'form_submit', {
+                'event_category': 'Contact',
+                'event_label': 'Consultation Request'
+            });
+        }
+    },
+    
+    buildEmailMessage(form) {
+        const lang = LanguageManager.currentLang;
+        const formData = new FormData(form);
+        const topic = this.optionLabel('topics', formData.get('topic'));
+        
+        const lines = [
+            t('contact.email.heading'),
+            '',
+            `${t('contact.email.topic')}: ${topic}`,
+            `${t('emails.name')}: ${formData.get('name')}`,
+            `${t('emails.email')}: ${formData.get('email')}`,
+            `${t('emails.phone')}: ${formData.get('phone') || '-'}`,
+            `${t('contact.email.method')}: ${this.optionLabel('contactMethods', formData.get('contact_method'))}`,
+            `${t('contact.email.time')}: ${this.optionLabel('contactTimes', formData.get('preferred_time'))}`,
+            ...(formData.get('requested_slot')
+                ? [`${t('contact.email.slot')}: ${AvailabilityCalendar.describeSlot(formData.get('requested_slot'), lang)}`]
+                : []),
+            '',
+            `${t('contact.email.message')}:`,
+            formData.get('message') || '-',
+            '',
+            `${t('emails.consents')}:`,
+            ...GDPRFormHandler.getConsentStatements(form).map(statement => `- ${statement}`),
+            '',
+            `${t('emails.policy')}: ${CookieConsent.policyVersion}`,
+            `${t('emails.hash')}: ${formData.get('consent_hash') || '-'} (${formData.get('consent_timestamp')})`
+        ];
+        
+        return {
+            to: form.dataset.mailto,
+            subject: `${t('contact.email.subject')}: ${topic}`,
+            body: lines.join('\r\n')
+        };
+    },
+    
+    showSuccess(message) {
+        const panel = document.getElementById('contactSuccess');
+        if (!panel) return;
+        
+        panel.innerHTML = message ? `
+            <strong>${LanguageManager.markup('forms.email_ready.title')}</strong>
+            <p>${LanguageManager.markup('forms.email_ready.text', { email: message.to })}</p>
+            <button type="button" class="form-retry-btn" data-download-eml>
+                ${LanguageManager.markup('emails.download_eml')}
+            </button>
+        ` : `
+            <strong>${LanguageManager.markup('contact.sent.title')}</strong>
+            <p>${LanguageManager.markup('contact.sent.text')}</p>
+        `;
+        
+        if (message) {
+            panel.querySelector('[data-download-eml]').addEventListener('click', () => {
+                GDPRFormHandler.downloadEml(message, 'cerere-consultatie.eml');
+            });
+        }
+        panel.hidden = false;
+        panel.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+};
+
+// ===== BOOKING REQUEST WIZARD =====
+// Opened from the service cards. Four steps (service, availability, format, contact),
+// each validated on its own; progress is kept in sessionStorage so a closed modal or a
+// reloaded tab picks up where the visitor left off. Sent like the other forms.
+const BookingWizard = {
     modal: null,
-    modalImg: null,
-    modalCaption: null,
-    isOpen: false,
+    form: null,
+    step: 1,
+    totalSteps: 4,
+    emailMode: false,
+    storageKey: 'bookingProgress',
+    savedHiddenFields: ['requested_slot'],
+    timeZone: 'Europe/Bucharest',
+    
+    // Choice values; their labels live under booking.<group>.<value>
+    services: ['individual', 'workshop'],
+    packages: ['intro', 'single', 'pack4', 'seat', 'private'],
+    days: ['mon', 'tue', 'wed', 'thu', 'fri', 'sat'],
+    
+    // Hours in the visitor's own time zone
+    times: {
+        morning: { start: 9, end: 12 },
+        afternoon: { start: 12, end: 17 },
+        evening: { start: 17, end: 21 }
+    },
+    
+    formats: ['online', 'in_person'],
     
     init() {
-        this.modal = document.getElementById('imageModal');
-        this.modalImg = document.getElementById('modalImage');
-        this.modalCaption = document.getElementById('modalCaption');
+        this.modal = document.getElementById('bookingModal');
+        this.form = document.getElementById('bookingForm');
+        if (!this.modal || !this.form) return;
+        
+        const form = this.form;
+        const visitorZone = this.getVisitorTimeZone();
+        form.querySelector('#bookingTimezone').value = visitorZone;
+        this.modal.querySelectorAll('[data-booking-timezone]').forEach(el => {
+            el.textContent = visitorZone;
+        });
         
-        if (!this.modal) return;
+        document.querySelectorAll('[data-book-service]').forEach(button => {
+            button.addEventListener('click', () => this.open(button.dataset.bookService));
+        });
         
-        // Close on click
         this.modal.addEventListener('click', (e) => {
-            if (e.target === this.modal || e.target.classList.contains('modal-close')) {
+            if (e.target === this.modal) {
                 this.close();
             }
         });
         
-        // Close on escape
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.isOpen) {
+        this.modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
                 this.close();
             }
         });
+        
+        form.querySelector('[data-booking-back]').addEventListener('click', () => this.showStep(this.step - 1));
+        form.querySelector('[data-booking-next]').addEventListener('click', () => this.next());
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        });
+        
+        form.querySelectorAll('input[name="service"]').forEach(radio => {
+            radio.addEventListener('change', () => this.updatePackages());
+        });
+        
+        FormValidator.attach(form);
+        SpamGuard.protect(form);
+        form.addEventListener('change', () => this.saveProgress());
+        form.addEventListener('input', debounce(() => this.saveProgress(), 500));
+        
+        this.updateMode();
+        window.addEventListener('cookieConsentChanged', () => this.updateMode());
+        
+        this.updatePackages();
+        this.restoreProgress();
+        
+        window.addEventListener('languageChanged', () => {
+            if (this.step === this.totalSteps) this.renderSummary();
+        });
     },
     
-    open(index) {
-        if (!this.modal || !carousel) return;
+    open(service) {
+        if (!this.modal) return;
         
-        const lang = LanguageManager.currentLang;
+        // A finished request starts over; one in progress keeps its service
+        if (!document.getElementById('bookingSuccess').hidden) {
+            this.reset();
+        }
+        
+        const serviceInput = this.form.querySelector(`input[name="service"][value="${service}"]`);
+        if (serviceInput && !this.form.querySelector('input[name="service"]:checked')) {
+            serviceInput.checked = true;
+            this.updatePackages();
+        }
+        
+        this.showStep(this.step, false);
         
-        // Batch DOM updates
         requestAnimationFrame(() => {
             this.modal.style.display = 'block';
             
-            // Force reflow only once
+            // Force reflow
             this.modal.offsetHeight;
             
             this.modal.classList.add('show');
-            this.modalImg.src = carousel.eventImages[index];
-            this.modalImg.alt = `Imagine eveniment ${index + 1}`;
-            this.modalCaption.textContent = carousel.eventCaptions[index][lang];
-            
             document.body.style.overflow = 'hidden';
-            this.isOpen = true;
             
             // Focus management
             this.modal.setAttribute('tabindex', '-1');
             this.modal.focus();
-            
-            // Trap focus
-            this.trapFocus();
         });
     },
     
@@ -1462,375 +4818,753 @@ const Modal = {
         
         setTimeout(() => {
             this.modal.style.display = 'none';
-            document.body.style.overflow = '';
-            this.isOpen = false;
             
-            // Return focus to trigger element
-            const triggerElement = document.querySelector(`#event${this.lastOpenedIndex + 1}`);
-            if (triggerElement) triggerElement.focus();
+            if (!document.querySelector('.modal.show')) {
+                document.body.style.overflow = '';
+            }
         }, 300);
     },
     
-    trapFocus() {
-        const focusableElements = this.modal.querySelectorAll(
-            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-        );
+    getStepElement(step) {
+        return this.form.querySelector(`.booking-step[data-step="${step}"]`);
+    },
+    
+    showStep(step, focus = true) {
+        this.step = Math.min(Math.max(step, 1), this.totalSteps);
         
-        const firstFocusable = focusableElements[0];
-        const lastFocusable = focusableElements[focusableElements.length - 1];
+        this.form.querySelectorAll('.booking-step').forEach(fieldset => {
+            fieldset.hidden = Number(fieldset.dataset.step) !== this.step;
+        });
         
-        const handleTabKey = (e) => {
-            if (e.key !== 'Tab') return;
+        this.modal.querySelectorAll('.booking-progress li').forEach(item => {
+            const itemStep = Number(item.dataset.step);
+            item.classList.toggle('is-done', itemStep < this.step);
+            item.classList.toggle('is-active', itemStep === this.step);
             
-            if (e.shiftKey) {
-                if (document.activeElement === firstFocusable) {
-                    lastFocusable.focus();
-                    e.preventDefault();
-                }
+            if (itemStep === this.step) {
+                item.setAttribute('aria-current', 'step');
             } else {
-                if (document.activeElement === lastFocusable) {
-                    firstFocusable.focus();
-                    e.preventDefault();
-                }
+                item.removeAttribute('aria-current');
             }
-        };
+        });
         
-        this.modal.addEventListener('keydown', handleTabKey);
-    }
-};
-
-// ===== PRIVACY MODAL MANAGEMENT =====
-const PrivacyModal = {
-    modal: null,
-    isOpen: false,
-    
-    init() {
-        this.modal = document.getElementById('privacyModal');
+        const isLast = this.step === this.totalSteps;
+        this.form.querySelector('[data-booking-back]').hidden = this.step === 1;
+        this.form.querySelector('[data-booking-next]').hidden = isLast;
+        this.form.querySelector('[data-booking-submit]').hidden = !isLast;
         
-        if (!this.modal) return;
+        if (isLast) {
+            this.renderSummary();
+        }
         
-        // Close on click outside
-        this.modal.addEventListener('click', (e) => {
-            if (e.target === this.modal) {
-                this.close();
-            }
-        });
+        this.hideErrors();
+        this.saveProgress();
         
-        // Close on escape
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.isOpen) {
-                this.close();
-            }
-        });
+        if (focus) {
+            const first = FormValidator.getFields(this.getStepElement(this.step))[0];
+            if (first) first.focus({ preventScroll: true });
+        }
     },
     
-    open() {
-        if (!this.modal) return;
+    next() {
+        if (FormValidator.validateForm(this.getStepElement(this.step)).length > 0) return;
+        this.showStep(this.step + 1);
+    },
+    
+    // Each service offers its own packages; the others are hidden and disabled
+    updatePackages() {
+        const service = this.form.querySelector('input[name="service"]:checked');
         
-        requestAnimationFrame(() => {
-            this.modal.style.display = 'block';
-            
-            // Force reflow only once
-            this.modal.offsetHeight;
-            
-            this.modal.classList.add('show');
-            document.body.style.overflow = 'hidden';
-            this.isOpen = true;
-            
-            // Focus management
-            this.modal.setAttribute('tabindex', '-1');
-            this.modal.focus();
+        this.form.querySelectorAll('[data-service]').forEach(option => {
+            const input = option.querySelector('input');
+            const hidden = !service || option.dataset.service !== service.value;
             
-            // Trap focus
-            this.trapFocus();
+            option.hidden = hidden;
+            input.disabled = hidden;
+            if (hidden) input.checked = false;
         });
     },
     
-    close() {
-        if (!this.modal) return;
+    // Same rule as the other forms: Formspree needs its vendor consent, email never does
+    updateMode() {
+        this.emailMode = !FormBackends.isAllowed(this.form);
+        GDPRFormHandler.setVendorConsentsActive(!this.emailMode, this.form);
+        
+        const notice = this.form.querySelector('.contact-email-notice');
+        if (notice) {
+            notice.hidden = !this.emailMode;
+        }
         
-        this.modal.classList.remove('show');
+        const submitBtn = this.form.querySelector('[data-booking-submit]');
+        const html = LanguageManager.markup(`forms.submit.${this.emailMode ? 'email' : 'form'}`);
         
-        setTimeout(() => {
-            this.modal.style.display = 'none';
-            document.body.style.overflow = '';
-            this.isOpen = false;
-        }, 300);
+        if (submitBtn.dataset.loadingText) {
+            submitBtn.dataset.loadingText = html;
+        } else {
+            submitBtn.innerHTML = html;
+        }
     },
     
-    trapFocus() {
-        const focusableElements = this.modal.querySelectorAll(
-            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-        );
+    // Consent boxes are never saved: they must be ticked again for each request.
+    // Of the hidden fields only the slot picked in the calendar is kept. Personal details
+    // and anything marked data-draft="off" follow the same rules as FormDrafts.
+    saveProgress() {
+        const fields = Array.from(this.form.elements)
+            .filter(field => field.name && !field.name.startsWith('_'))
+            .filter(field => !FormDrafts.isPersonal(field) && !field.closest('[data-draft="off"]'))
+            .filter(field => field.type !== 'hidden' || this.savedHiddenFields.includes(field.name))
+            .filter(field => !(field.type === 'checkbox' && !FormValidator.isGroup(field)))
+            .filter(field => (field.type === 'checkbox' || field.type === 'radio') ? field.checked : field.value)
+            .map(field => [field.name, field.value]);
         
-        const firstFocusable = focusableElements[0];
-        const lastFocusable = focusableElements[focusableElements.length - 1];
+        try {
+            sessionStorage.setItem(this.storageKey, JSON.stringify({ step: this.step, fields: fields }));
+        } catch (e) {
+            // Private mode or storage full - progress just isn't kept
+        }
+    },
+    
+    restoreProgress() {
+        let saved;
+        try {
+            saved = JSON.parse(sessionStorage.getItem(this.storageKey));
+        } catch (e) {
+            saved = null;
+        }
+        if (!saved || !Array.isArray(saved.fields)) return;
         
-        const handleTabKey = (e) => {
-            if (e.key !== 'Tab') return;
-            
-            if (e.shiftKey) {
-                if (document.activeElement === firstFocusable) {
-                    lastFocusable.focus();
-                    e.preventDefault();
-                }
-            } else {
-                if (document.activeElement === lastFocusable) {
-                    firstFocusable.focus();
-                    e.preventDefault();
+        saved.fields.forEach(([name, value]) => {
+            this.form.querySelectorAll(`[name="${name}"]`).forEach(field => {
+                if (field.type === 'checkbox' || field.type === 'radio') {
+                    if (field.value === value) field.checked = true;
+                } else {
+                    field.value = value;
                 }
-            }
-        };
+            });
+            
+            if (name === 'service') this.updatePackages();
+        });
         
-        this.modal.addEventListener('keydown', handleTabKey);
-    }
-};
-
-// ===== OPTIMIZED SMOOTH SCROLL WITH NAVIGATION UPDATE =====
-const Navigation = {
-    sections: [],
-    navLinks: [],
-    sectionData: [],
+        this.step = saved.step || 1;
+    },
     
-    init() {
-        this.sections = document.querySelectorAll('section[id]');
-        this.navLinks = document.querySelectorAll('.nav-link');
+    clearProgress() {
+        try {
+            sessionStorage.removeItem(this.storageKey);
+        } catch (e) {
+            // Nothing to clear
+        }
+    },
+    
+    reset() {
+        this.form.reset();
+        this.updatePackages();
+        this.clearProgress();
+        this.form.hidden = false;
+        document.getElementById('bookingSuccess').hidden = true;
+        this.showStep(1, false);
+    },
+    
+    getVisitorTimeZone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || this.timeZone;
+        } catch (e) {
+            return this.timeZone;
+        }
+    },
+    
+    // Minutes east of UTC for a zone at a given moment (handles DST)
+    getOffsetMinutes(timeZone, date = new Date()) {
+        const parts = new Intl.DateTimeFormat('en-US', { timeZone: timeZone, timeZoneName: 'shortOffset' })
+            .formatToParts(date);
+        const name = (parts.find(part => part.type === 'timeZoneName') || {}).value || '';
+        const match = name.match(/GMT([+-])(\d{1,2})(?::(\d{2}))?/);
+        if (!match) return 0;
+        
+        const minutes = Number(match[2]) * 60 + Number(match[3] || 0);
+        return match[1] === '-' ? -minutes : minutes;
+    },
+    
+    formatHour(minutes) {
+        const day = 24 * 60;
+        const normalized = ((minutes % day) + day) % day;
+        const hours = String(Math.floor(normalized / 60)).padStart(2, '0');
+        return `${hours}:${String(normalized % 60).padStart(2, '0')}`;
+    },
+    
+    // The same time window on the visitor's clock and on ours
+    describeTime(slot, visitorZone) {
+        const shift = this.getOffsetMinutes(this.timeZone) - this.getOffsetMinutes(visitorZone);
+        const range = offset => `${this.formatHour(slot.start * 60 + offset)} - ${this.formatHour(slot.end * 60 + offset)}`;
         
-        // Cache section data to prevent reflows
-        this.cacheSectionData();
+        return { local: range(0), bucharest: range(shift) };
+    },
+    
+    // The structured request sent as booking_request (JSON) next to the readable fields
+    buildRequest() {
+        const formData = new FormData(this.form);
+        const visitorZone = formData.get('timezone');
+        
+        return {
+            type: 'booking_request',
+            service: formData.get('service'),
+            package: formData.get('package'),
+            preferredDays: formData.getAll('preferred_days'),
+            preferredTimes: formData.getAll('preferred_times').map(key => ({
+                slot: key,
+                ...this.describeTime(this.times[key], visitorZone)
+            })),
+            timeZone: visitorZone,
+            requestedSlot: formData.get('requested_slot') || null,
+            format: formData.get('format'),
+            contact: {
+                name: formData.get('name'),
+                email: formData.get('email'),
+                phone: formData.get('phone') || null
+            },
+            notes: formData.get('notes') || null,
+            language: LanguageManager.currentLang,
+            requestedAt: new Date().toISOString()
+        };
+    },
+    
+    buildFormData(request) {
+        const formData = new FormData(this.form);
+        formData.append('booking_request', JSON.stringify(request));
+        formData.append('preferred_times_bucharest', request.preferredTimes
+            .map(time => `${time.slot}: ${time.bucharest}`)
+            .join(', '));
+        return formData;
+    },
+    
+    // The label of one of the choices above, e.g. optionLabel('packages', 'pack4')
+    optionLabel(group, value, lang = LanguageManager.currentLang) {
+        const values = Array.isArray(this[group]) ? this[group] : Object.keys(this[group]);
+        return values.includes(value) ? t(`booking.${group}.${value}`, {}, lang) : '-';
+    },
+    
+    // [label, value] pairs in one language, for the step 4 summary and the email
+    describeRequest(request, lang) {
+        const label = key => t(`booking.summary.${key}`, {}, lang);
         
-        // Smooth scroll
-        this.navLinks.forEach(link => {
-            link.addEventListener('click', (e) => this.smoothScroll(e));
+        const times = request.preferredTimes.map(time => {
+            const converted = request.timeZone === this.timeZone ? '' : ` = ${time.bucharest} ${t('calendar.romanian_time', {}, lang)}`;
+            return `${this.optionLabel('times', time.slot, lang)} ${time.local} (${request.timeZone}${converted})`;
         });
         
-        // Throttled scroll spy to prevent performance issues
-        window.addEventListener('scroll', throttle(() => this.updateActiveSection(), 100), { passive: true });
+        const slot = request.requestedSlot
+            ? [[label('slot'), AvailabilityCalendar.describeSlot(request.requestedSlot, lang, request.timeZone)]]
+            : [];
+        
+        return [
+            [label('service'), this.optionLabel('services', request.service, lang)],
+            [label('package'), this.optionLabel('packages', request.package, lang)],
+            ...slot,
+            [label('days'), request.preferredDays.map(day => this.optionLabel('days', day, lang)).join(', ') || '-'],
+            [label('times'), times.join('; ') || '-'],
+            [label('format'), this.optionLabel('formats', request.format, lang)]
+        ];
+    },
+    
+    renderSummary() {
+        const container = this.form.querySelector('[data-booking-summary]');
+        if (!container) return;
         
-        // Recalculate on resize
-        window.addEventListener('resize', debounce(() => this.cacheSectionData(), 250));
+        const rows = this.describeRequest(this.buildRequest(), LanguageManager.currentLang)
+            .map(([term, value]) => `<dt>${escapeHtml(term)}</dt><dd>${escapeHtml(value)}</dd>`)
+            .join('');
         
-        // Initial check
-        this.updateActiveSection();
+        container.innerHTML = `<dl>${rows}</dl>`;
     },
     
-    cacheSectionData() {
-        // Batch read all section positions to avoid reflows
-        this.sectionData = Array.from(this.sections).map(section => ({
-            id: section.getAttribute('id'),
-            top: section.offsetTop,
-            bottom: section.offsetTop + section.offsetHeight
-        }));
+    buildEmailMessage(request) {
+        const lang = LanguageManager.currentLang;
+        const formData = new FormData(this.form);
+        const service = this.services.includes(request.service) ? this.optionLabel('services', request.service) : null;
+        
+        const lines = [
+            t('booking.email.heading'),
+            '',
+            ...this.describeRequest(request, lang).map(([term, value]) => `${term}: ${value}`),
+            '',
+            `${t('emails.name')}: ${request.contact.name}`,
+            `${t('emails.email')}: ${request.contact.email}`,
+            `${t('emails.phone')}: ${request.contact.phone || '-'}`,
+            `${t('booking.email.notes')}: ${request.notes || '-'}`,
+            '',
+            `${t('emails.consents')}:`,
+            ...GDPRFormHandler.getConsentStatements(this.form).map(statement => `- ${statement}`),
+            '',
+            `${t('emails.policy')}: ${CookieConsent.policyVersion}`,
+            `${t('emails.hash')}: ${formData.get('consent_hash') || '-'} (${formData.get('consent_timestamp')})`
+        ];
+        
+        return {
+            to: this.form.dataset.mailto,
+            subject: service ? `${t('booking.email.subject')}: ${service}` : t('booking.email.subject'),
+            body: lines.join('\r\n')
+        };
     },
     
-    smoothScroll(e) {
-        e.preventDefault();
-        const targetId = e.currentTarget.getAttribute('href').slice(1);
-        const targetSection = document.getElementById(targetId);
+    showError(type, options = {}) {
+        GDPRFormHandler.showError('form', type, { ...options, container: document.getElementById('bookingErrors') });
+    },
+    
+    hideErrors() {
+        const errors = document.getElementById('bookingErrors');
+        if (errors) {
+            errors.style.display = 'none';
+            errors.innerHTML = '';
+        }
+    },
+    
+    async handleSubmit() {
+        // Enter in an earlier step moves on instead of sending
+        if (this.step < this.totalSteps) {
+            this.next();
+            return;
+        }
         
-        if (targetSection) {
-            const offset = 80; // Account for fixed header
-            const targetPosition = targetSection.offsetTop - offset;
-            
-            window.scrollTo({
-                top: targetPosition,
-                behavior: 'smooth'
+        const form = this.form;
+        this.hideErrors();
+        
+        // Earlier steps may have been changed since, so check them all
+        const invalid = FormValidator.validateForm(form);
+        if (invalid.length > 0) {
+            const step = Number(invalid[0].closest('.booking-step').dataset.step);
+            if (step !== this.step) {
+                this.showStep(step);
+            }
+            this.showError('invalid_fields', { scroll: false });
+            return;
+        }
+        
+        const request = this.buildRequest();
+        
+        if (!FormBackends.isAllowed(form)) {
+            await GDPRFormHandler.stampConsent(form);
+            const message = this.buildEmailMessage(request);
+            await FormBackends.sendTo('mailto', message.to, this.buildFormData(request), { message: message });
+            this.complete(request, message);
+            return;
+        }
+        
+        const submitBtn = form.querySelector('[data-booking-submit]');
+        GDPRFormHandler.setLoading(submitBtn, true);
+        
+        const spamError = await SpamGuard.check(form);
+        if (spamError) {
+            GDPRFormHandler.setLoading(submitBtn, false);
+            this.showError(spamError);
+            return;
+        }
+        
+        await GDPRFormHandler.stampConsent(form);
+        
+        let result;
+        try {
+            result = await FormBackends.send(form, this.buildFormData(request));
+        } catch (error) {
+            console.warn('Booking request failed:', error);
+            GDPRFormHandler.setLoading(submitBtn, false);
+            this.showError('network_error', { onRetry: () => this.handleSubmit() });
+            return;
+        }
+        
+        GDPRFormHandler.setLoading(submitBtn, false);
+        
+        if (!result.ok) {
+            GDPRFormHandler.showServerErrors(result, form, { container: document.getElementById('bookingErrors') });
+            return;
+        }
+        
+        SpamGuard.recordAttempt(form);
+        this.complete(request);
+    },
+    
+    complete(request, message = null) {
+        GDPRFormHandler.saveSubmissionAudit(GDPRFormHandler.buildConsentSnapshot(this.form), 'booking_request');
+        this.trackBooking(request, message !== null);
+        AvailabilityCalendar.markRequested(this.form);
+        
+        this.form.reset();
+        this.updatePackages();
+        this.clearProgress();
+        SpamGuard.reset(this.form);
+        this.showSuccess(message);
+    },
+    
+    // No contact details go to analytics, only what was asked for. appointment_booking means
+    // the backend accepted the request; by email we only know the visitor's app was opened.
+    trackBooking(request, byEmail) {
+        if (typeof gtag !== 'undefined' && CookieConsent.hasAccepted()) {
+            gtag('event', byEmail ? 'appointment_booking_email' : 'appointment_booking', {
+                'event_category': 'Booking',
+                'service': request.service,
+                'package': request.package,
+                'format': request.format
             });
-            
-            // Close mobile menu if open
-            MobileMenu.closeMenu();
-            
-            // Update URL without triggering scroll
-            history.pushState(null, null, `#${targetId}`);
         }
     },
     
-    updateActiveSection() {
-        const scrollPosition = window.scrollY + 100;
+    showSuccess(message) {
+        const panel = document.getElementById('bookingSuccess');
+        if (!panel) return;
+        
+        this.form.hidden = true;
+        this.modal.querySelectorAll('.booking-progress li').forEach(item => {
+            item.classList.add('is-done');
+            item.classList.remove('is-active');
+            item.removeAttribute('aria-current');
+        });
         
-        // Use cached data to avoid reflows
-        for (const sectionData of this.sectionData) {
-            if (scrollPosition >= sectionData.top && scrollPosition < sectionData.bottom) {
-                // Batch DOM updates
-                requestAnimationFrame(() => {
-                    this.navLinks.forEach(link => {
-                        const isActive = link.getAttribute('href') === `#${sectionData.id}`;
-                        link.classList.toggle('active', isActive);
-                        link.setAttribute('aria-current', isActive ? 'page' : 'false');
-                    });
-                });
-                break;
-            }
+        panel.innerHTML = message ? `
+            <strong>${LanguageManager.markup('forms.email_ready.title')}</strong>
+            <p>${LanguageManager.markup('forms.email_ready.text', { email: message.to })}</p>
+            <button type="button" class="form-retry-btn" data-download-eml>
+                ${LanguageManager.markup('emails.download_eml')}
+            </button>
+        ` : `
+            <strong>${LanguageManager.markup('booking.sent.title')}</strong>
+            <p>${LanguageManager.markup('booking.sent.text')}</p>
+        `;
+        
+        if (message) {
+            panel.querySelector('[data-download-eml]').addEventListener('click', () => {
+                GDPRFormHandler.downloadEml(message, 'cerere-programare.eml');
+            });
         }
+        panel.hidden = false;
     }
 };
 
-// ===== INTERSECTION OBSERVER FOR ANIMATIONS =====
-const AnimationObserver = {
+// ===== AVAILABILITY CALENDAR =====
+// Free slots from a hand-edited file (wall-clock times in Europe/Bucharest, or ISO
+// with an offset), shown week by week in the visitor's own time zone. Picking one
+// prefills the booking wizard or the contact form; slots already requested from
+// this device are remembered in localStorage and left out.
+const AvailabilityCalendar = {
+    container: null,
+    slotsUrl: './data/slots.json',
+    storageKey: 'requestedSlots',
+    slots: [],
+    weekStart: null,
+    selected: null,
+    
     init() {
-        // Don't run animations if user prefers reduced motion
-        if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) return;
+        this.container = document.getElementById('availabilityCalendar');
+        if (!this.container) return;
+        
+        this.container.querySelector('[data-calendar-timezone]').textContent = BookingWizard.getVisitorTimeZone();
+        this.container.querySelector('[data-calendar-prev]').addEventListener('click', () => this.moveWeek(-1));
+        this.container.querySelector('[data-calendar-next]').addEventListener('click', () => this.moveWeek(1));
+        this.container.querySelector('[data-calendar-book]').addEventListener('click', () => this.bookSelected());
+        this.container.querySelector('[data-calendar-contact]').addEventListener('click', () => this.askSelected());
+        
+        // Dates and times are formatted per language, so redraw on switch
+        window.addEventListener('languageChanged', () => {
+            this.render();
+            [BookingWizard.form, FormHandler.form].forEach(form => this.renderNote(form));
+        });
         
-        const options = {
-            threshold: 0.1,
-            rootMargin: '0px 0px -50px 0px'
-        };
+        // A slot restored with the booking progress
+        this.renderNote(BookingWizard.form);
         
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    entry.target.classList.add('fade-in');
-                    observer.unobserve(entry.target);
-                }
-            });
-        }, options);
+        this.load();
+    },
+    
+    async load() {
+        let data;
+        try {
+            const response = await fetch(this.slotsUrl, { cache: 'no-cache' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            data = await response.json();
+        } catch (error) {
+            // The calendar stays hidden; booking and contact still work without it
+            console.warn('Availability could not be loaded:', error);
+            return;
+        }
         
-        // Observe elements
-        const elements = document.querySelectorAll('.section-paragraph, .faq-item, .service-card, .stat-item');
-        elements.forEach(el => observer.observe(el));
-    }
-};
-
-// ===== FORM HANDLER (Original Contact Form) =====
-const FormHandler = {
-    init() {
-        const form = document.querySelector('.contact-form');
-        if (!form) return;
+        const timeZone = data.timeZone || BookingWizard.timeZone;
+        const defaultDuration = data.durationMinutes || 50;
+        
+        this.slots = (data.slots || [])
+            .map(slot => {
+                const start = this.parseZoned(slot.start, timeZone);
+                const duration = slot.durationMinutes || defaultDuration;
+                return start ? { start: start, end: new Date(start.getTime() + duration * 60000) } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.start - b.start);
+        
+        const first = this.getAvailable()[0];
+        this.weekStart = this.getWeekStart(first ? first.start : new Date());
+        this.container.hidden = false;
+        this.render();
+    },
+    
+    // "2026-10-20T10:00" is read as wall-clock time in timeZone; values with Z or an
+    // offset are taken as they are
+    parseZoned(value, timeZone) {
+        if (typeof value !== 'string') return null;
+        
+        if (/(Z|[+-]\d{2}:?\d{2})$/.test(value)) {
+            const date = new Date(value);
+            return isNaN(date) ? null : date;
+        }
         
-        form.addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.handleSubmit(form);
-        });
+        const match = value.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/);
+        if (!match) return null;
         
-        // Real-time validation
-        const inputs = form.querySelectorAll('input, textarea');
-        inputs.forEach(input => {
-            input.addEventListener('blur', () => this.validateField(input));
-            input.addEventListener('input', () => this.clearFieldError(input));
-        });
+        const [, year, month, day, hour, minute] = match.map(Number);
+        const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+        
+        // Apply the zone's offset, then check it again in case that crossed a DST change
+        let utc = wallClock - BookingWizard.getOffsetMinutes(timeZone, new Date(wallClock)) * 60000;
+        utc = wallClock - BookingWizard.getOffsetMinutes(timeZone, new Date(utc)) * 60000;
+        return new Date(utc);
     },
     
-    handleSubmit(form) {
-        const formData = new FormData(form);
-        const data = Object.fromEntries(formData);
+    getRequested() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+        } catch (e) {
+            return [];
+        }
+    },
+    
+    getAvailable(now = new Date()) {
+        const requested = this.getRequested().map(entry => entry.start);
+        return this.slots.filter(slot => slot.start > now && !requested.includes(slot.start.toISOString()));
+    },
+    
+    // Monday 00:00 of the visitor's local week
+    getWeekStart(date) {
+        const start = new Date(date);
+        start.setHours(0, 0, 0, 0);
+        start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+        return start;
+    },
+    
+    addDays(date, days) {
+        const result = new Date(date);
+        result.setDate(result.getDate() + days);
+        return result;
+    },
+    
+    moveWeek(direction) {
+        this.weekStart = this.addDays(this.weekStart, direction * 7);
+        this.render();
+    },
+    
+    getLocale() {
+        return EventData.locales[LanguageManager.currentLang] || EventData.locales.ro;
+    },
+    
+    formatSlot(slot, options = {}) {
+        return new Intl.DateTimeFormat(this.getLocale(), {
+            weekday: 'long',
+            day: 'numeric',
+            month: 'long',
+            hour: '2-digit',
+            minute: '2-digit',
+            ...options
+        }).format(slot.start);
+    },
+    
+    render() {
+        if (!this.container || !this.weekStart) return;
+        
+        const locale = this.getLocale();
+        const available = this.getAvailable();
+        const weekEnd = this.addDays(this.weekStart, 7);
+        const dayFormat = new Intl.DateTimeFormat(locale, { weekday: 'short', day: 'numeric', month: 'short' });
+        const timeFormat = new Intl.DateTimeFormat(locale, { hour: '2-digit', minute: '2-digit' });
+        const rangeFormat = new Intl.DateTimeFormat(locale, { day: 'numeric', month: 'long', year: 'numeric' });
+        
+        const days = Array.from({ length: 7 }, (_, index) => {
+            const dayStart = this.addDays(this.weekStart, index);
+            const dayEnd = this.addDays(dayStart, 1);
+            const daySlots = available.filter(slot => slot.start >= dayStart && slot.start < dayEnd);
+            
+            const buttons = daySlots.map(slot => {
+                const iso = slot.start.toISOString();
+                const pressed = this.selected && this.selected.start.toISOString() === iso;
+                return `<button type="button" class="availability-slot" data-slot="${iso}" aria-pressed="${pressed ? 'true' : 'false'}" aria-label="${escapeHtml(this.formatSlot(slot))}">${timeFormat.format(slot.start)}</button>`;
+            }).join('');
+            
+            return `
+                <div class="availability-day${daySlots.length === 0 ? ' is-empty' : ''}">
+                    <h4>${escapeHtml(dayFormat.format(dayStart))}</h4>
+                    ${buttons || '<span class="availability-none" aria-hidden="true">—</span>'}
+                </div>
+            `;
+        }).join('');
         
-        // Basic validation
-        if (!this.validateForm(form)) return;
+        const grid = this.container.querySelector('[data-calendar-grid]');
+        grid.innerHTML = days;
+        grid.querySelectorAll('[data-slot]').forEach(button => {
+            button.addEventListener('click', () => this.select(button.dataset.slot));
+        });
         
-        // Show loading state
-        const button = form.querySelector('button[type="submit"]');
-        const originalText = button.textContent;
-        button.textContent = 'Se trimite...';
-        button.disabled = true;
+        this.container.querySelector('[data-calendar-week]').textContent =
+            `${rangeFormat.format(this.weekStart)} – ${rangeFormat.format(this.addDays(weekEnd, -1))}`;
         
-        // Simulate form submission (replace with actual endpoint)
-        setTimeout(() => {
-            // Success message
-            this.showMessage('Mulțumim! Vă vom contacta în curând.', 'success');
-            form.reset();
-            
-            // Reset button
-            button.textContent = originalText;
-            button.disabled = false;
-            
-            // Track form submission in analytics if available and consent given
-            if (typeof gtag !== 'undefined' && CookieConsent.hasAccepted()) {
-                gtag('event', 'form_submit', {
-                    'event_category': 'Contact',
-                    'event_label': 'Consultation Request'
-                });
-            }
-        }, 1500);
+        const thisWeek = this.getWeekStart(new Date());
+        const last = available[available.length - 1];
+        this.container.querySelector('[data-calendar-prev]').disabled = this.weekStart <= thisWeek;
+        this.container.querySelector('[data-calendar-next]').disabled = !last || weekEnd > last.start;
+        
+        const inWeek = available.some(slot => slot.start >= this.weekStart && slot.start < weekEnd);
+        const empty = this.container.querySelector('[data-calendar-empty]');
+        empty.hidden = inWeek;
+        empty.textContent = t(available.length > 0 ? 'calendar.none_this_week' : 'calendar.none');
+        
+        this.renderSelection();
     },
     
-    validateForm(form) {
-        const inputs = form.querySelectorAll('[required]');
-        let isValid = true;
+    select(iso) {
+        this.selected = this.slots.find(slot => slot.start.toISOString() === iso) || null;
+        this.render();
+    },
+    
+    renderSelection() {
+        const panel = this.container.querySelector('[data-calendar-selection]');
+        panel.hidden = !this.selected;
+        if (!this.selected) return;
         
-        inputs.forEach(input => {
-            if (!this.validateField(input)) {
-                isValid = false;
+        this.container.querySelector('[data-calendar-selected]').textContent = this.formatSlot(this.selected);
+    },
+    
+    // The booking wizard asks for days and time windows on the visitor's clock,
+    // so the slot ticks the matching ones as well
+    bookSelected() {
+        const form = BookingWizard.form;
+        if (!this.selected || !form) return;
+        
+        BookingWizard.open();
+        this.prefill(form, this.selected);
+        
+        const start = this.selected.start;
+        const day = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'][start.getDay()];
+        const hour = start.getHours();
+        const time = Object.keys(BookingWizard.times)
+            .find(key => hour >= BookingWizard.times[key].start && hour < BookingWizard.times[key].end);
+        
+        [['preferred_days', day], ['preferred_times', time]].forEach(([name, value]) => {
+            const box = form.querySelector(`input[name="${name}"][value="${value}"]`);
+            if (box) {
+                box.checked = true;
+                FormValidator.clearFieldError(box);
             }
         });
-        
-        return isValid;
+        BookingWizard.saveProgress();
     },
     
-    validateField(field) {
-        const value = field.value.trim();
-        let isValid = true;
-        
-        // Clear previous error
-        this.clearFieldError(field);
-        
-        // Required field
-        if (field.hasAttribute('required') && !value) {
-            this.showFieldError(field, 'Acest câmp este obligatoriu');
-            isValid = false;
-        }
-        
-        // Email validation
-        if (field.type === 'email' && value && !this.isValidEmail(value)) {
-            this.showFieldError(field, 'Introduceți o adresă de email validă');
-            isValid = false;
+    // The contact form's time windows are in Romanian time
+    askSelected() {
+        const form = FormHandler.form;
+        if (!this.selected || !form) return;
+        
+        this.prefill(form, this.selected);
+        
+        const hour = Number(new Intl.DateTimeFormat('en-GB', {
+            hour: '2-digit', hourCycle: 'h23', timeZone: BookingWizard.timeZone
+        }).format(this.selected.start));
+        const select = form.querySelector('#contactTime');
+        if (select) {
+            select.value = hour < 12 ? 'morning' : hour < 17 ? 'afternoon' : 'evening';
+            FormValidator.clearFieldError(select);
         }
         
-        // Phone validation (Romanian format)
-        if (field.type === 'tel' && value && !this.isValidPhone(value)) {
-            this.showFieldError(field, 'Introduceți un număr de telefon valid');
-            isValid = false;
+        form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    },
+    
+    prefill(form, slot) {
+        const input = form.querySelector('input[name="requested_slot"]');
+        if (input) {
+            input.value = slot.start.toISOString();
         }
-        
-        return isValid;
+        this.renderNote(form);
     },
     
-    isValidEmail(email) {
-        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+    // Hidden inputs keep their value through form.reset(), so this is explicit
+    clearPrefill(form) {
+        const input = form && form.querySelector('input[name="requested_slot"]');
+        if (!input) return;
+        
+        input.value = '';
+        this.renderNote(form);
+        
+        if (form === BookingWizard.form) {
+            BookingWizard.saveProgress();
+        }
     },
     
-    isValidPhone(phone) {
-        // Romanian phone number format
-        return /^(\+4|)?(07[0-8]{1}[0-9]{7}|02[0-9]{8}|03[0-9]{8})$/.test(phone.replace(/\s/g, ''));
+    getPrefilled(form) {
+        const input = form && form.querySelector('input[name="requested_slot"]');
+        return input && input.value ? input.value : null;
     },
     
-    showFieldError(field, message) {
-        field.classList.add('error');
-        
-        // Create or update error message
-        let errorEl = field.nextElementSibling;
-        if (!errorEl || !errorEl.classList.contains('field-error')) {
-            errorEl = document.createElement('span');
-            errorEl.className = 'field-error';
-            field.parentNode.insertBefore(errorEl, field.nextSibling);
+    // One line in one language: the visitor's time, plus Romanian time when it differs
+    describeSlot(iso, lang, visitorZone = BookingWizard.getVisitorTimeZone()) {
+        const start = new Date(iso);
+        if (isNaN(start)) return '-';
+        
+        const locale = EventData.locales[lang] || EventData.locales.ro;
+        const ours = t('calendar.romanian_time', {}, lang);
+        const local = new Intl.DateTimeFormat(locale, {
+            weekday: 'long', day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit', timeZone: visitorZone
+        }).format(start);
+        
+        if (visitorZone === BookingWizard.timeZone) {
+            return `${local} (${ours})`;
         }
-        errorEl.textContent = message;
+        
+        const bucharest = new Intl.DateTimeFormat(locale, {
+            hour: '2-digit', minute: '2-digit', timeZone: BookingWizard.timeZone
+        }).format(start);
+        return `${local} (${visitorZone} = ${bucharest} ${ours})`;
     },
     
-    clearFieldError(field) {
-        field.classList.remove('error');
-        const errorEl = field.nextElementSibling;
-        if (errorEl && errorEl.classList.contains('field-error')) {
-            errorEl.remove();
+    renderNote(form) {
+        const note = form && form.querySelector('[data-requested-slot]');
+        if (!note) return;
+        
+        const iso = this.getPrefilled(form);
+        note.hidden = !iso;
+        if (!iso) {
+            note.innerHTML = '';
+            return;
         }
+        
+        note.innerHTML = `
+            ${escapeHtml(t('calendar.chosen'))}: <strong>${escapeHtml(this.describeSlot(iso, LanguageManager.currentLang))}</strong>
+            <button type="button" class="form-retry-btn" data-clear-slot>${escapeHtml(t('calendar.remove'))}</button>
+        `;
+        note.querySelector('[data-clear-slot]').addEventListener('click', () => this.clearPrefill(form));
     },
     
-    showMessage(message, type = 'info') {
-        const messageEl = document.createElement('div');
-        messageEl.className = `form-message ${type}`;
-        messageEl.textContent = message;
-        messageEl.setAttribute('role', 'alert');
+    // Called once a request went out: the slot stays hidden here until it has passed
+    markRequested(form) {
+        const iso = this.getPrefilled(form);
+        if (!iso) return;
         
-        const form = document.querySelector('.contact-form');
-        if (form) {
-            form.parentNode.insertBefore(messageEl, form);
-            
-            // Remove after 5 seconds
-            setTimeout(() => {
-                if (messageEl.parentNode) {
-                    messageEl.remove();
-                }
-            }, 5000);
+        const now = new Date();
+        const requested = this.getRequested().filter(entry => new Date(entry.start) > now);
+        requested.push({ start: iso, requestedAt: now.toISOString() });
+        
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(requested));
+        } catch (e) {
+            console.warn('Could not remember the requested slot');
+        }
+        
+        if (this.selected && this.selected.start.toISOString() === iso) {
+            this.selected = null;
         }
+        this.clearPrefill(form);
+        this.render();
     }
 };
 
@@ -1893,15 +5627,338 @@ const EventData = {
         }
     },
     
+    // Single source for the carousel, its modal captions and the registration picker.
+    // IDs match the carousel slide ids; times are Europe/Bucharest.
+    // eventsUrl can change any of these and add new dates without a release;
+    // capacity and seatsTaken come from there too, null means seats aren't tracked.
+    timeZone: 'Europe/Bucharest',
+    eventsUrl: './data/events.json',
+    lowSeatsThreshold: 5,
+    events: [
+        {
+            id: 'event1',
+            image: './consiliere-online-razvan-mischie-event-1.webp',
+            title: { ro: 'Atelier de Re-cunoaștere', en: 'Recognition Workshop' },
+            start: '2025-06-25T19:00:00+03:00',
+            end: '2025-06-25T22:00:00+03:00',
+            price: 35,
+            currency: 'RON',
+            capacity: null,
+            seatsTaken: null
+        },
+        {
+            id: 'event2',
+            image: './consiliere-online-razvan-mischie-event-2.webp',
+            title: { ro: 'Atelier: Interese Specifice', en: 'Workshop: Specific Interests' },
+            start: '2025-07-26T18:00:00+03:00',
+            end: '2025-07-26T20:00:00+03:00',
+            price: 35,
+            currency: 'RON',
+            capacity: null,
+            seatsTaken: null
+        },
+        {
+            id: 'event3',
+            image: './consiliere-online-razvan-mischie-event-3.webp',
+            title: { ro: 'Comunicarea și Nuanțele ei', en: 'Communication and its Nuances' },
+            start: '2025-07-10T18:30:00+03:00',
+            end: '2025-07-10T21:30:00+03:00',
+            price: 35,
+            currency: 'RON',
+            capacity: null,
+            seatsTaken: null
+        },
+        {
+            id: 'event4',
+            image: './consiliere-online-razvan-mischie-event-4.webp',
+            title: { ro: 'Medicație vs Terapie', en: 'Medication vs Therapy' },
+            start: '2025-08-27T19:00:00+03:00',
+            end: '2025-08-27T21:00:00+03:00',
+            price: 35,
+            currency: 'RON',
+            capacity: null,
+            seatsTaken: null
+        },
+        {
+            id: 'event5',
+            image: './consiliere-online-razvan-mischie-event-5.webp',
+            title: { ro: 'Medicație vs Terapie', en: 'Medication vs Therapy' },
+            start: '2025-09-12T19:00:00+03:00',
+            end: '2025-09-12T21:00:00+03:00',
+            price: 35,
+            currency: 'RON',
+            capacity: null,
+            seatsTaken: null
+        }
+    ],
+    
+    locales: { ro: 'ro-RO', en: 'en-US' },
+    
     init() {
-        // Any dynamic event management logic can go here
         this.updateEventVisibility();
+        this.loadEvents();
     },
     
+    // With nothing upcoming a note above the form points at the contact form. The form
+    // itself stays in place: its picker says no events are scheduled and validation
+    // explains why it can't be sent, and it fills again once events.json adds a date.
     updateEventVisibility() {
-        // Future implementation for showing/hiding past events
-        const today = new Date();
-        // Logic to manage event visibility based on dates
+        const notice = document.getElementById('noEventsNotice');
+        if (notice) {
+            notice.hidden = this.getUpcoming().length > 0;
+        }
+    },
+    
+    // Dates and seat counts live in a static file so they can change without a release.
+    // An id not listed above is added when it has a title, start, end and price.
+    // If the file can't be read, the built-in list is used as it is.
+    async loadEvents() {
+        try {
+            const response = await fetch(this.eventsUrl, { cache: 'no-cache' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            
+            const data = await response.json();
+            Object.entries(data.events || {}).forEach(([id, entry]) => this.mergeEvent(id, entry));
+        } catch (error) {
+            console.warn('Events could not be loaded:', error);
+            return;
+        }
+        
+        this.updateEventVisibility();
+        this.updateStructuredData();
+        window.dispatchEvent(new CustomEvent('eventAvailabilityChanged'));
+    },
+    
+    mergeEvent(id, entry) {
+        let event = this.getEvent(id);
+        
+        if (!event) {
+            if (!entry.title || !entry.start || !entry.end || !Number.isFinite(entry.price)) {
+                console.warn(`Event "${id}" in ${this.eventsUrl} is missing its title, dates or price`);
+                return;
+            }
+            
+            event = { id: id, image: null, currency: 'RON', capacity: null, seatsTaken: null };
+            this.events.push(event);
+        }
+        
+        ['title', 'start', 'end', 'price', 'currency', 'image'].forEach(key => {
+            if (entry[key] !== undefined) {
+                event[key] = entry[key];
+            }
+        });
+        
+        if ('capacity' in entry) {
+            event.capacity = Number.isFinite(entry.capacity) ? entry.capacity : null;
+            event.seatsTaken = Number.isFinite(entry.seatsTaken) ? entry.seatsTaken : 0;
+        }
+    },
+    
+    // status: 'open' (not tracked), 'available', 'limited' or 'full'
+    getAvailability(event) {
+        if (!event || event.capacity === null) {
+            return { status: 'open', seatsLeft: null };
+        }
+        
+        const seatsLeft = Math.max(0, event.capacity - (event.seatsTaken || 0));
+        let status = 'available';
+        if (seatsLeft === 0) {
+            status = 'full';
+        } else if (seatsLeft <= this.lowSeatsThreshold) {
+            status = 'limited';
+        }
+        
+        return { status: status, seatsLeft: seatsLeft };
+    },
+    
+    isFull(id) {
+        return this.getAvailability(this.getEvent(id)).status === 'full';
+    },
+    
+    // Each event's JSON-LD block in <head> is tagged with data-event-id
+    updateStructuredData() {
+        const schemaAvailability = {
+            available: 'https://schema.org/InStock',
+            limited: 'https://schema.org/LimitedAvailability',
+            full: 'https://schema.org/SoldOut'
+        };
+        
+        this.events.forEach(event => {
+            const script = document.querySelector(`script[type="application/ld+json"][data-event-id="${event.id}"]`);
+            const { status, seatsLeft } = this.getAvailability(event);
+            if (!script || status === 'open') return;
+            
+            try {
+                const data = JSON.parse(script.textContent);
+                data.maximumAttendeeCapacity = event.capacity;
+                data.remainingAttendeeCapacity = seatsLeft;
+                if (data.offers) {
+                    data.offers.availability = schemaAvailability[status];
+                }
+                script.textContent = JSON.stringify(data, null, 4);
+            } catch (error) {
+                console.warn(`Invalid JSON-LD for ${event.id}:`, error);
+            }
+        });
+    },
+    
+    getEvent(id) {
+        return this.events.find(event => event.id === id) || null;
+    },
+    
+    getUpcoming(now = new Date()) {
+        return this.events
+            .filter(event => new Date(event.start) > now)
+            .sort((a, b) => new Date(a.start) - new Date(b.start));
+    },
+    
+    formatDate(event, lang) {
+        const locale = this.locales[lang] || this.locales.ro;
+        const date = new Intl.DateTimeFormat(locale, {
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric',
+            timeZone: this.timeZone
+        }).format(new Date(event.start));
+        const time = new Intl.DateTimeFormat(locale, {
+            hour: 'numeric',
+            minute: '2-digit',
+            timeZone: this.timeZone
+        });
+        
+        return `${date}, ${time.format(new Date(event.start))} - ${time.format(new Date(event.end))}`;
+    },
+    
+    formatPrice(event) {
+        return `${event.price} ${event.currency}`;
+    },
+    
+    formatCaption(event, lang) {
+        return `${event.title[lang]} - ${this.formatDate(event, lang)} - ${this.formatPrice(event)}`;
+    }
+};
+
+// ===== REGISTRATION EVENT PICKER =====
+// Fills #eventSelect from EventData and preselects from ?event=<id> or a slide's register link
+const EventPicker = {
+    select: null,
+    titleInput: null,
+    
+    init() {
+        this.select = document.getElementById('eventSelect');
+        this.titleInput = document.getElementById('eventTitle');
+        if (!this.select) return;
+        
+        this.render();
+        this.choose(new URLSearchParams(window.location.search).get('event'));
+        
+        this.select.addEventListener('change', () => this.handleSelection());
+        
+        // 'reset' fires before the fields are cleared
+        if (this.select.form) {
+            this.select.form.addEventListener('reset', () => setTimeout(() => this.handleSelection()));
+        }
+        
+        // Options can't hold keyed spans, so they are rebuilt on switch
+        window.addEventListener('languageChanged', () => this.render());
+        
+        // Seat counts arrive after the first render
+        window.addEventListener('eventAvailabilityChanged', () => {
+            this.render();
+            this.renderAvailability();
+        });
+        
+        this.renderAvailability();
+        
+        document.querySelectorAll('[data-register-event]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                // The slide itself opens the image modal
+                e.preventDefault();
+                e.stopPropagation();
+                this.choose(link.dataset.registerEvent, true);
+            });
+        });
+    },
+    
+    render() {
+        const lang = LanguageManager.currentLang;
+        const selected = this.select.value;
+        const upcoming = EventData.getUpcoming();
+        const placeholder = t(upcoming.length > 0 ? 'events.choose' : 'events.none_scheduled');
+        
+        // The placeholder is the default so a form reset clears the choice
+        this.select.innerHTML = `<option value="" disabled selected>${escapeHtml(placeholder)}</option>` +
+            upcoming.map(event => {
+                const full = EventData.isFull(event.id) ? ` (${escapeHtml(t('events.waitlist'))})` : '';
+                return `<option value="${event.id}">${escapeHtml(event.title[lang])} — ${EventData.formatDate(event, lang)} — ${EventData.formatPrice(event)}${full}</option>`;
+            }).join('');
+        
+        // Left enabled with no events so FormValidator can explain why it can't be sent
+        this.select.value = upcoming.some(event => event.id === selected) ? selected : '';
+        this.handleSelection();
+    },
+    
+    // Seat badges and register/waitlist links on the carousel slides
+    renderAvailability() {
+        const upcomingIds = EventData.getUpcoming().map(event => event.id);
+        
+        document.querySelectorAll('[data-register-event]').forEach(link => {
+            const event = EventData.getEvent(link.dataset.registerEvent);
+            const { status, seatsLeft } = EventData.getAvailability(event);
+            
+            // Past events stay in the gallery but can't be booked
+            link.hidden = !upcomingIds.includes(link.dataset.registerEvent);
+            link.classList.toggle('is-waitlist', status === 'full');
+            link.innerHTML = LanguageManager.markup(status === 'full' ? 'events.join_waitlist' : 'events.register');
+            
+            let badge = link.parentElement.querySelector('.event-availability');
+            if (link.hidden || status === 'open') {
+                badge?.remove();
+                return;
+            }
+            
+            if (!badge) {
+                badge = document.createElement('p');
+                badge.className = 'event-availability';
+                link.insertAdjacentElement('beforebegin', badge);
+            }
+            
+            badge.dataset.status = status;
+            badge.innerHTML = status === 'full'
+                ? LanguageManager.markup('events.sold_out')
+                : LanguageManager.markup('events.seats_left', { count: seatsLeft });
+        });
+    },
+    
+    handleSelection() {
+        this.updateTitle();
+        GDPRFormHandler.setWaitlistMode(EventData.isFull(this.select.value));
+    },
+    
+    choose(id, scroll = false) {
+        const isUpcoming = EventData.getUpcoming().some(event => event.id === id);
+        
+        if (isUpcoming) {
+            this.select.value = id;
+            this.handleSelection();
+        }
+        
+        if (scroll) {
+            const url = new URL(window.location.href);
+            url.searchParams.set('event', id);
+            history.replaceState(null, '', url);
+            
+            this.select.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            this.select.focus({ preventScroll: true });
+        }
+    },
+    
+    updateTitle() {
+        if (!this.titleInput) return;
+        
+        // The organiser reads registrations in Romanian
+        const event = EventData.getEvent(this.select.value);
+        this.titleInput.value = event ? event.title.ro : '';
     }
 };
 
@@ -1924,16 +5981,19 @@ window.moveCarousel = (dir) => carousel && carousel.move(dir);
 
 window.setLanguage = (lang) => LanguageManager.setLanguage(lang);
 
+window.t = t;
+
 window.toggleMobileMenu = () => MobileMenu.toggleMenu();
 
 // Cookie Settings Global Functions
 window.openCookieSettings = () => {
     CookieConsent.openSettings();
     
-    // Highlight the third-party cookies option if form is disabled
-    if (!CookieConsent.hasThirdPartyConsent()) {
+    // Highlight the Formspree option if the form is disabled
+    if (!CookieConsent.hasVendorConsent('formspree')) {
         setTimeout(() => {
-            const thirdPartySection = document.querySelector('#thirdPartyCookies')?.closest('.cookie-category');
+            const thirdPartySection = document.querySelector('.cookie-vendor[data-vendor-id="formspree"]') ||
+                document.querySelector('#thirdPartyCookies')?.closest('.cookie-category');
             if (thirdPartySection) {
                 thirdPartySection.style.border = '2px solid #4CAF50';
                 thirdPartySection.style.backgroundColor = '#f0fff0';
@@ -1961,32 +6021,34 @@ window.openCookieSettings = () => {
 
 window.closeCookieSettings = () => CookieConsent.closeSettings();
 
+// "My data on this device" panel
+window.openDeviceData = () => DeviceData.open();
+
+window.closeDeviceData = () => DeviceData.close();
+
+window.exportDeviceData = () => DeviceData.exportData();
+
+window.eraseDeviceData = () => DeviceData.eraseAll();
+
+// Booking request wizard (service cards)
+window.openBooking = (service) => BookingWizard.open(service);
+
+window.closeBooking = () => BookingWizard.close();
+
 window.acceptAllCookies = () => {
-    // Update all checkboxes in the settings modal
-    const analyticsCookies = document.getElementById('analyticsCookies');
-    const marketingCookies = document.getElementById('marketingCookies');
-    const thirdPartyCookies = document.getElementById('thirdPartyCookies');
-    
-    if (analyticsCookies) analyticsCookies.checked = true;
-    if (marketingCookies) marketingCookies.checked = true;
-    if (thirdPartyCookies) thirdPartyCookies.checked = true;
-    
     // Apply the changes
-    CookieConsent.acceptAllCookies();
+    CookieConsent.acceptAllCookies('settings');
+    
+    // Update all category and vendor toggles in the settings modal
+    CookieConsent.syncSettingsToggles();
 };
 
 window.rejectAllCookies = () => {
-    // Update all checkboxes in the settings modal
-    const analyticsCookies = document.getElementById('analyticsCookies');
-    const marketingCookies = document.getElementById('marketingCookies');
-    const thirdPartyCookies = document.getElementById('thirdPartyCookies');
-    
-    if (analyticsCookies) analyticsCookies.checked = false;
-    if (marketingCookies) marketingCookies.checked = false;
-    if (thirdPartyCookies) thirdPartyCookies.checked = false;
-    
     // Apply the changes
-    CookieConsent.rejectAllCookies();
+    CookieConsent.rejectAllCookies('settings');
+    
+    // Update all category and vendor toggles in the settings modal
+    CookieConsent.syncSettingsToggles();
 };
 
 window.savePreferences = () => {
@@ -1994,10 +6056,7 @@ window.savePreferences = () => {
     const saveBtn = document.querySelector('.cookie-btn-primary');
     if (saveBtn) {
         const originalText = saveBtn.innerHTML;
-        saveBtn.innerHTML = `
-            <span lang="ro">Salvat ✓</span>
-            <span lang="en">Saved ✓</span>
-        `;
+        saveBtn.innerHTML = LanguageManager.markup('cookies.saved');
         
         setTimeout(() => {
             saveBtn.innerHTML = originalText;
@@ -2090,18 +6149,13 @@ const ServiceWorkerManager = {
         notification.className = 'update-notification';
         notification.innerHTML = `
             <div class="update-notification-content">
-                <p>
-                    <span lang="ro">O versiune nouă este disponibilă! 🎉</span>
-                    <span lang="en">A new version is available! 🎉</span>
-                </p>
+                <p>${LanguageManager.markup('update.available')}</p>
                 <div class="update-notification-actions">
                     <button class="update-btn update-btn-primary" onclick="ServiceWorkerManager.applyUpdate()">
-                        <span lang="ro">Actualizează Acum</span>
-                        <span lang="en">Update Now</span>
+                        ${LanguageManager.markup('update.apply')}
                     </button>
                     <button class="update-btn update-btn-secondary" onclick="ServiceWorkerManager.dismissUpdate()">
-                        <span lang="ro">Mai Târziu</span>
-                        <span lang="en">Later</span>
+                        ${LanguageManager.markup('update.later')}
                     </button>
                 </div>
             </div>
@@ -2282,27 +6336,39 @@ const ServiceWorkerManager = {
 // Make ServiceWorkerManager and GDPRFormHandler globally accessible
 window.ServiceWorkerManager = ServiceWorkerManager;
 window.GDPRFormHandler = GDPRFormHandler;
+window.MarketingTags = MarketingTags;
 
 // ===== MAIN INITIALIZATION =====
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     console.log('🚀 Consiliere Online - Initializing with GDPR Compliance...');
     
     try {
+        // Script text comes from i18n/<lang>.json, so the dictionaries load first.
+        // Nothing is tracked in the meantime: tags wait for CookieConsent.
+        await LanguageManager.init();
+        
         // Initialize cookie consent first (critical for GDPR compliance)
         CookieConsent.init();
         
+        // Click-to-load placeholders for gated embeds
+        ConsentPlaceholder.init();
+        
         // Initialize GDPR form handler
         GDPRFormHandler.init();
+        DSARFormHandler.init();
         
         // Initialize core modules
-        LanguageManager.init();
         MobileMenu.init();
         Navigation.init();
         Modal.init();
         PrivacyModal.init();
+        DeviceData.init();
         AnimationObserver.init();
         FormHandler.init();
+        BookingWizard.init();
+        AvailabilityCalendar.init();
         EventData.init();
+        EventPicker.init();
         ServiceWorkerManager.init();
         PerformanceMonitor.init();
         
@@ -2362,7 +6428,12 @@ window.addEventListener('unhandledrejection', (e) => {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         CookieConsent,
+        FormValidator,
+        FormBackends,
+        FormDrafts,
+        SpamGuard,
         LanguageManager,
+        t,
         MobileMenu,
         Carousel,
         Modal,
@@ -2370,9 +6441,16 @@ if (typeof module !== 'undefined' && module.exports) {
         Navigation,
         AnimationObserver,
         FormHandler,
+        BookingWizard,
+        AvailabilityCalendar,
         GDPRFormHandler,
+        DSARFormHandler,
+        MarketingTags,
+        ConsentPlaceholder,
+        DeviceData,
         PerformanceMonitor,
         EventData,
+        EventPicker,
         ServiceWorkerManager
     };
 }
\ No newline at end of file
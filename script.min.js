@@ -1 +1,2 @@
-"use strict";function debounce(e,t){let n;return function(...o){clearTimeout(n),n=setTimeout(()=>{clearTimeout(n),e(...o)},t)}}function throttle(e,t){let n=0;return function(...o){const i=Date.now();i-n>=t&&(n=i,e.apply(this,o))}}const CookieConsent={banner:null,settingsModal:null,floatingButton:null,isShown:!1,preferences:{essential:!0,analytics:!1,marketing:!1,thirdParty:!1},init(){this.banner=document.getElementById("cookieBanner"),this.settingsModal=document.getElementById("cookieSettingsModal"),this.floatingButton=document.getElementById("cookieSettingsFloat"),this.banner&&(this.loadPreferences(),this.hasConsentDecision()?(this.applyPreferences(),this.showFloatingButton()):(this.showBanner(),this.hideFloatingButton()),this.setupEventListeners())},loadPreferences(){try{const e=localStorage.getItem("cookiePreferences");if(e){const t=JSON.parse(e);this.preferences={...this.preferences,...t},this.preferences.essential=!0}}catch(e){console.warn("Could not load cookie preferences")}},savePreferences(){try{localStorage.setItem("cookiePreferences",JSON.stringify(this.preferences)),localStorage.setItem("cookieConsent","custom"),this.trackConsentChange()}catch(e){console.warn("Could not save cookie preferences")}},hasConsentDecision(){try{return null!==localStorage.getItem("cookieConsent")}catch(e){return!1}},hasAccepted(){try{const e=localStorage.getItem("cookieConsent");return"accepted"===e||"custom"===e&&this.preferences.analytics}catch(e){return!1}},hasThirdPartyConsent(){return!0===this.preferences.thirdParty},showBanner(){!this.isShown&&this.banner&&requestAnimationFrame(()=>{this.banner.classList.add("show"),this.isShown=!0,this.trapFocus()})},hideBanner(){this.banner&&(this.banner.classList.remove("show"),this.isShown=!1,this.removeFocusTrap(),this.showFloatingButton())},showFloatingButton(){this.floatingButton&&requestAnimationFrame(()=>{this.floatingButton.classList.add("show")})},hideFloatingButton(){this.floatingButton&&this.floatingButton.classList.remove("show")},setupEventListeners(){const e=document.getElementById("cookieAccept"),t=document.getElementById("cookieReject"),n=document.getElementById("cookieSettings");e&&e.addEventListener("click",()=>this.acceptAllCookies()),t&&t.addEventListener("click",()=>this.rejectAllCookies()),n&&n.addEventListener("click",()=>this.openSettings());const o=document.getElementById("analyticsCookies"),i=document.getElementById("marketingCookies"),s=document.getElementById("thirdPartyCookies");o&&(o.checked=this.preferences.analytics,o.addEventListener("change",e=>{this.preferences.analytics=e.target.checked})),i&&(i.checked=this.preferences.marketing,i.addEventListener("change",e=>{this.preferences.marketing=e.target.checked})),s&&(s.checked=this.preferences.thirdParty,s.addEventListener("change",e=>{this.preferences.thirdParty=e.target.checked})),document.addEventListener("keydown",e=>{this.isShown&&"Escape"===e.key&&e.preventDefault()})},acceptAllCookies(){this.preferences={essential:!0,analytics:!0,marketing:!0,thirdParty:!0},this.savePreferences();try{localStorage.setItem("cookieConsent","accepted"),localStorage.setItem("cookieConsentDate",(new Date).toISOString())}catch(e){console.warn("Could not save cookie consent")}this.applyPreferences(),this.hideBanner(),this.closeSettings(),this.trackConsentGiven("accepted"),this.reinitializeForms()},rejectAllCookies(){this.preferences={essential:!0,analytics:!1,marketing:!1,thirdParty:!1},this.savePreferences();try{localStorage.setItem("cookieConsent","rejected"),localStorage.setItem("cookieConsentDate",(new Date).toISOString())}catch(e){console.warn("Could not save cookie consent")}this.applyPreferences(),this.hideBanner(),this.closeSettings(),this.trackConsentGiven("rejected"),this.reinitializeForms()},saveCustomPreferences(){this.savePreferences(),this.applyPreferences(),this.hideBanner(),this.closeSettings(),this.trackConsentGiven("custom"),this.reinitializeForms()},applyPreferences(){this.preferences.analytics?this.loadAnalytics():this.removeAnalytics(),this.preferences.marketing?this.loadMarketing():this.removeMarketing(),this.preferences.thirdParty?this.enableThirdPartyServices():this.disableThirdPartyServices()},enableThirdPartyServices(){console.log("Enabling third-party services..."),document.querySelectorAll(".consent-notice").forEach(e=>e.remove());const e=document.getElementById("eventRegistrationForm");if(e){e.classList.remove("consent-required"),e.querySelectorAll("input, textarea, button").forEach(e=>{e.disabled=!1,e.removeAttribute("disabled")});const t=e.querySelector('button[type="submit"]');if(t){const e=t.getAttribute("data-original-text");t.innerHTML=e||'\n                        <span lang="en">Register for Event</span>\n                        <span lang="ro">Înregistrează-te la Eveniment</span>\n                    ',t.disabled=!1,t.style.cursor="pointer",t.style.opacity="1"}console.log("Event form enabled successfully")}document.querySelectorAll('form[data-requires-consent="true"]').forEach(e=>{e.classList.remove("consent-required"),e.querySelectorAll("input, textarea, button").forEach(e=>{e.disabled=!1,e.removeAttribute("disabled")})}),console.log("Third-party services enabled")},disableThirdPartyServices(){console.log("Disabling third-party services...");const e=document.getElementById("eventRegistrationForm");if(e){if(!e.querySelector(".consent-notice")){const t=document.createElement("div");t.className="consent-notice",t.innerHTML='\n                    <p>\n                        <span lang="ro">Pentru a utiliza acest formular, trebuie să acceptați cookie-urile terțe în </span>\n                        <span lang="en">To use this form, you need to accept third-party cookies in </span>\n                        <button onclick="openCookieSettings()" style="text-decoration: underline; border: none; background: none; color: #4169e1; cursor: pointer;">\n                            <span lang="ro">Setări Cookie</span>\n                            <span lang="en">Cookie Settings</span>\n                        </button>\n                    </p>\n                ',e.insertBefore(t,e.firstChild)}const t=e.querySelector('button[type="submit"]');if(t){const e=t.innerHTML;t.setAttribute("data-original-text",e),t.innerHTML='\n                    <span lang="ro">Necesită Consimțământ pentru Cookie-uri</span>\n                    <span lang="en">Requires Cookie Consent</span>\n                ',t.disabled=!0,t.style.cursor="not-allowed",t.style.opacity="0.6"}}console.log("Third-party services disabled")},reinitializeForms(){if(console.log("Reinitializing forms after cookie consent change..."),window.dispatchEvent(new CustomEvent("cookieConsentChanged",{detail:{preferences:this.preferences,hasThirdPartyConsent:this.hasThirdPartyConsent()}})),window.GDPRFormHandler){window.GDPRFormHandler.checkThirdPartyCookies();const e=document.getElementById("eventRegistrationForm");if(e&&this.hasThirdPartyConsent()){e.style.opacity="1",e.style.pointerEvents="auto";const t=e.querySelector('input:not([type="hidden"])');t&&t.focus()}}},openSettings(){if(!this.settingsModal)return;const e=document.getElementById("analyticsCookies"),t=document.getElementById("marketingCookies"),n=document.getElementById("thirdPartyCookies");e&&(e.checked=this.preferences.analytics),t&&(t.checked=this.preferences.marketing),n&&(n.checked=this.preferences.thirdParty),requestAnimationFrame(()=>{this.settingsModal.style.display="block",this.settingsModal.offsetHeight,this.settingsModal.classList.add("show"),document.body.style.overflow="hidden",this.settingsModal.setAttribute("tabindex","-1"),this.settingsModal.focus()})},closeSettings(){this.settingsModal&&(this.settingsModal.classList.remove("show"),setTimeout(()=>{this.settingsModal.style.display="none",document.body.style.overflow=""},300))},loadAnalytics(){if(window.gtag)return;const e=document.createElement("script");e.async=!0,e.src="https://www.googletagmanager.com/gtag/js?id=AW-17401674061",e.id="google-analytics",document.head.appendChild(e),e.onload=()=>{function e(){dataLayer.push(arguments)}window.dataLayer=window.dataLayer||[],e("js",new Date),e("config","AW-17401674061",{anonymize_ip:!0,cookie_flags:"SameSite=None;Secure",allow_google_signals:!1,allow_ad_personalization_signals:!1}),window.gtag_report_appointment=function(t){return e("event","appointment_booking",{event_category:"engagement",event_label:"phone_call",value:1}),void 0!==t&&(window.location=t),!1},console.log("Google Analytics loaded with consent")},e.onerror=()=>{console.warn("Failed to load Google Analytics")}},removeAnalytics(){const e=document.getElementById("google-analytics");e&&e.remove(),this.clearCookies(["_ga","_gid","_gat"])},loadMarketing(){console.log("Marketing cookies enabled")},removeMarketing(){console.log("Marketing cookies disabled")},clearCookies(e){e.forEach(e=>{document.cookie=`${e}=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/;`,document.cookie=`${e}=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/; domain=.${window.location.hostname}`})},trackConsentChange(){const e={timestamp:(new Date).toISOString(),preferences:this.preferences,action:"preferences_updated"};try{const t=JSON.parse(localStorage.getItem("consentHistory")||"[]");t.push(e),t.length>10&&t.shift(),localStorage.setItem("consentHistory",JSON.stringify(t))}catch(e){console.warn("Could not save consent history")}},trackConsentGiven(e){navigator.sendBeacon&&JSON.stringify({event:"cookie_consent",choice:e,preferences:this.preferences,timestamp:(new Date).toISOString(),page:window.location.pathname}),this.trackConsentChange()},trapFocus(){if(!this.banner)return;const e=this.banner.querySelectorAll('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'),t=e[0],n=e[e.length-1];this.focusTrapHandler=e=>{"Tab"===e.key&&(e.shiftKey?document.activeElement===t&&(n.focus(),e.preventDefault()):document.activeElement===n&&(t.focus(),e.preventDefault()))},document.addEventListener("keydown",this.focusTrapHandler),t&&t.focus()},removeFocusTrap(){this.focusTrapHandler&&(document.removeEventListener("keydown",this.focusTrapHandler),this.focusTrapHandler=null)}},GDPRFormHandler={form:null,isInitialized:!1,init(){this.form=document.getElementById("eventRegistrationForm"),this.form&&(this.isInitialized=!0,this.checkThirdPartyCookies(),this.form.addEventListener("submit",e=>{e.preventDefault(),this.handleSubmit(this.form)}),this.form.querySelectorAll('input[type="checkbox"][required]').forEach(e=>{e.addEventListener("change",()=>{this.validateConsentField(e)})}),window.addEventListener("cookieConsentChanged",e=>{console.log("Cookie consent changed, updating form state...",e.detail),this.handleCookieConsentChange(e.detail)}))},handleCookieConsentChange(e){e.hasThirdPartyConsent?(console.log("Third-party consent granted, enabling form..."),this.enableForm()):(console.log("Third-party consent not granted, disabling form..."),this.disableForm())},checkThirdPartyCookies(){this.form&&(CookieConsent.hasThirdPartyConsent()?this.enableForm():this.disableForm())},enableForm(){if(!this.form)return;console.log("Enabling event registration form..."),this.form.querySelectorAll(".consent-notice").forEach(e=>e.remove()),this.form.classList.remove("consent-required"),this.form.style.opacity="1",this.form.style.pointerEvents="auto",this.form.querySelectorAll("input, textarea, select").forEach(e=>{e.disabled=!1,e.removeAttribute("disabled"),e.style.cursor="auto",e.style.opacity="1"});const e=this.form.querySelector('button[type="submit"]');if(e){e.disabled=!1,e.style.cursor="pointer",e.style.opacity="1";const t=e.getAttribute("data-original-text");t?(e.innerHTML=t,e.removeAttribute("data-original-text")):e.innerHTML='\n                    <span lang="en">Register for Event</span>\n                    <span lang="ro">Înregistrează-te la Eveniment</span>\n                '}const t=document.getElementById("formErrors");t&&(t.style.display="none",t.innerHTML=""),this.form.style.transition="all 0.3s ease",this.form.style.border="2px solid #4CAF50",setTimeout(()=>{this.form.style.border=""},2e3),console.log("Form enabled successfully")},disableForm(){if(!this.form)return;if(console.log("Disabling event registration form..."),!this.form.querySelector(".consent-notice")){const e=document.createElement("div");e.className="consent-notice",e.innerHTML='\n                <p>\n                    <span lang="ro">Pentru a utiliza acest formular, trebuie să acceptați cookie-urile terțe. </span>\n                    <span lang="en">To use this form, you need to accept third-party cookies. </span>\n                    <button onclick="openCookieSettings()" style="text-decoration: underline; border: none; background: none; color: #4169e1; cursor: pointer; font-weight: 600;">\n                        <span lang="ro">Deschide Setări Cookie</span>\n                        <span lang="en">Open Cookie Settings</span>\n                    </button>\n                </p>\n            ',this.form.insertBefore(e,this.form.firstChild)}this.form.classList.add("consent-required");const e=this.form.querySelector('button[type="submit"]');e&&(e.hasAttribute("data-original-text")||e.setAttribute("data-original-text",e.innerHTML),e.disabled=!0,e.style.cursor="not-allowed",e.style.opacity="0.6",e.innerHTML='\n                <span lang="ro">Necesită Consimțământ Cookie</span>\n                <span lang="en">Requires Cookie Consent</span>\n            '),console.log("Form disabled - requires cookie consent")},validateConsentField(e){const t=`${e.id}-error`;let n=document.getElementById(t);return e.checked?(n&&n.remove(),e.setAttribute("aria-invalid","false"),!0):(n||(n=document.createElement("span"),n.id=t,n.className="consent-error",n.innerHTML='\n                    <span lang="ro">Acest câmp este obligatoriu pentru conformitate GDPR</span>\n                    <span lang="en">This field is required for GDPR compliance</span>\n                ',e.parentElement.appendChild(n)),e.setAttribute("aria-invalid","true"),!1)},validateAllConsents(e){const t=e.querySelectorAll('input[type="checkbox"][required]');let n=!0;return t.forEach(e=>{this.validateConsentField(e)||(n=!1)}),n},handleSubmit(e){const t=document.getElementById("formErrors");if(t&&(t.style.display="none",t.innerHTML=""),!CookieConsent.hasThirdPartyConsent())return void this.showError("form","third_party_cookies_required");if(!this.validateAllConsents(e))return void this.showError("form","missing_consents");const n=e.querySelector('input[type="email"]');n&&n.value?this.isValidEmail(n.value)?this.submitForm(e):this.showError("email","invalid"):this.showError("email","required")},isValidEmail:e=>/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e),showError(e,t){const n=document.getElementById("formErrors");if(!n)return;const o={third_party_cookies_required:{ro:"Pentru a trimite formularul, trebuie să acceptați cookie-urile terțe în Setările Cookie.",en:"To submit the form, you need to accept third-party cookies in Cookie Settings."},missing_consents:{ro:"Vă rugăm să bifați toate căsuțele de consimțământ obligatorii.",en:"Please check all required consent boxes."},email_required:{ro:"Adresa de email este obligatorie.",en:"Email address is required."},email_invalid:{ro:"Vă rugăm să introduceți o adresă de email validă.",en:"Please enter a valid email address."}},i=o[`${e}_${t}`]||o[t];i&&(n.innerHTML=`\n                <span lang="ro">${i.ro}</span>\n                <span lang="en">${i.en}</span>\n            `,n.style.display="block",n.scrollIntoView({behavior:"smooth",block:"center"}),n.style.animation="shake 0.5s",setTimeout(()=>{n.style.animation=""},500))},submitForm(e){const t=e.querySelector('button[type="submit"]');t.innerHTML,t.disabled=!0,t.innerHTML='\n            <span lang="ro">Se trimite...</span>\n            <span lang="en">Sending...</span>\n        ',t.style.position="relative",t.style.overflow="hidden";const n=document.createElement("span");if(n.style.cssText="\n            position: absolute;\n            top: 50%;\n            left: 50%;\n            transform: translate(-50%, -50%);\n            width: 20px;\n            height: 20px;\n            border: 2px solid rgba(255, 255, 255, 0.3);\n            border-top-color: white;\n            border-radius: 50%;\n            animation: spin 1s linear infinite;\n        ",t.appendChild(n),!document.querySelector("style[data-spinner]")){const e=document.createElement("style");e.setAttribute("data-spinner","true"),e.textContent="\n                @keyframes spin {\n                    to { transform: translate(-50%, -50%) rotate(360deg); }\n                }\n                @keyframes shake {\n                    0%, 100% { transform: translateX(0); }\n                    10%, 30%, 50%, 70%, 90% { transform: translateX(-5px); }\n                    20%, 40%, 60%, 80% { transform: translateX(5px); }\n                }\n            ",document.head.appendChild(e)}this.trackFormSubmission(e),e.submit()},trackFormSubmission(e){const t={timestamp:(new Date).toISOString(),form:"event_registration",consents:{dataProcessing:document.getElementById("dataProcessingConsent")?.checked||!1,internationalTransfer:document.getElementById("internationalTransferConsent")?.checked||!1,privacyPolicy:document.getElementById("privacyPolicyConsent")?.checked||!1}};try{const e=JSON.parse(localStorage.getItem("formSubmissions")||"[]");e.push(t),e.length>5&&e.shift(),localStorage.setItem("formSubmissions",JSON.stringify(e))}catch(e){console.warn("Could not save form submission data")}"undefined"!=typeof gtag&&CookieConsent.hasAccepted()&&gtag("event","form_submit",{event_category:"GDPR_Compliant_Form",event_label:"Event Registration",consents_given:!0})}},LanguageManager={currentLang:"ro",init(){const e=this.getSavedLanguage(),t=navigator.language.toLowerCase();e&&["ro","en"].includes(e)?this.currentLang=e:t.startsWith("en")&&(this.currentLang="en"),this.setLanguage(this.currentLang),this.setupLanguageButtons()},getSavedLanguage(){try{return localStorage.getItem("language")}catch(e){return null}},setLanguage(e){if(["ro","en"].includes(e)){this.currentLang=e,requestAnimationFrame(()=>{document.body.classList.toggle("lang-ro","ro"===e),document.documentElement.lang=e,document.querySelectorAll(".lang-btn").forEach(t=>{t.classList.toggle("active",t.dataset.lang===e),t.setAttribute("aria-pressed",t.dataset.lang===e)}),document.querySelectorAll(".nav-link").forEach(t=>{const n="ro"===e?t.dataset.ro:t.dataset.en;n&&(t.textContent=n)})});try{localStorage.setItem("language",e)}catch(e){console.warn("localStorage not available")}this.updatePageMeta(e),window.dispatchEvent(new CustomEvent("languageChanged",{detail:{language:e}}))}},setupLanguageButtons(){document.querySelectorAll(".lang-btn").forEach(e=>{e.addEventListener("click",t=>{t.preventDefault(),this.setLanguage(e.dataset.lang)})})},updatePageMeta(e){const t={ro:"Consiliere Online România | Life Coach & Dezvoltare Personală | Răzvan Mischie",en:"Online Counseling Romania | Life Coach & Personal Development | Răzvan Mischie"};document.title=t[e]||t.ro;const n={ro:"Consiliere online profesională pentru dezvoltare personală în România. Life coaching pentru echilibru emoțional, claritate în viață și creștere personală.",en:"Professional online counseling for personal development in Romania. Life coaching for emotional balance, life clarity and personal growth."},o=document.querySelector('meta[name="description"]');o&&(o.content=n[e]||n.ro)}},MobileMenu={isOpen:!1,menu:null,toggle:null,init(){this.menu=document.getElementById("navMenu"),this.toggle=document.querySelector(".mobile-menu-toggle"),this.toggle&&(this.toggle.addEventListener("click",()=>this.toggleMenu()),this.toggle.addEventListener("keydown",e=>{"Enter"!==e.key&&" "!==e.key||(e.preventDefault(),this.toggleMenu())})),document.addEventListener("click",e=>{this.isOpen&&!e.target.closest(".nav-container")&&this.closeMenu()}),document.addEventListener("keydown",e=>{"Escape"===e.key&&this.isOpen&&(this.closeMenu(),this.toggle.focus())}),this.menu?.addEventListener("click",e=>{e.target.classList.contains("nav-link")&&this.closeMenu()})},toggleMenu(){this.isOpen=!this.isOpen,requestAnimationFrame(()=>{this.menu.classList.toggle("active",this.isOpen),this.toggle.setAttribute("aria-expanded",this.isOpen),this.animateHamburger(this.isOpen)})},closeMenu(){this.isOpen=!1,requestAnimationFrame(()=>{this.menu.classList.remove("active"),this.toggle.setAttribute("aria-expanded","false"),this.animateHamburger(!1)})},animateHamburger(e){const t=this.toggle.querySelectorAll("span");e?(t[0].style.transform="rotate(45deg) translateY(8px)",t[1].style.opacity="0",t[2].style.transform="rotate(-45deg) translateY(-8px)"):t.forEach(e=>{e.style.transform="",e.style.opacity=""})}};class Carousel{constructor(){this.currentSlide=0,this.autoPlayInterval=null,this.touchStartX=0,this.touchEndX=0,this.track=null,this.slides=[],this.dots=[],this.isTransitioning=!1,this.slideWidth=0,this.trackWidth=0,this.eventImages=["./consiliere-online-razvan-mischie-event-1.webp","./consiliere-online-razvan-mischie-event-2.webp","./consiliere-online-razvan-mischie-event-3.webp","./consiliere-online-razvan-mischie-event-4.webp","./consiliere-online-razvan-mischie-event-5.webp"],this.eventCaptions=[{ro:"Atelier de Re-cunoaștere - 25 Iunie, 19:00 - 22:00 - 35 RON",en:"Recognition Workshop - June 25, 7:00 PM - 10:00 PM - 35 RON"},{ro:"Atelier: Interese Specifice - 26 Iulie, 18:00 - 20:00 - 35 RON",en:"Workshop: Specific Interests - July 26, 6:00 PM - 8:00 PM - 35 RON"},{ro:"Comunicarea și Nuanțele ei - 10 Iulie, 18:00 - 20:00 - 35 RON",en:"Communication and its Nuances - July 10, 6:00 PM - 8:00 PM - 35 RON"},{ro:"Medicație vs Terapie - 27 August 19:00 - 21:00 - 35 RON",en:"Medication vs Therapy - August 27 7:00 PM - 9:00 PM  - 35 RON"},{ro:"Medicație vs Terapie - 12 Septembrie 19:00 - 21:00 - 35 RON",en:"Medication vs Therapy - September 12 7:00 PM - 9:00 PM  - 35 RON"}]}init(){this.track=document.getElementById("carouselTrack"),this.track&&(this.slides=Array.from(this.track.querySelectorAll(".carousel-slide")),this.cacheElementDimensions(),this.createDots(),this.setupEventListeners(),this.preloadImages(),window.matchMedia("(prefers-reduced-motion: reduce)").matches||this.startAutoPlay())}cacheElementDimensions(){if(this.slides.length>0){const e=this.slides[0];this.slideWidth=e.offsetWidth,this.trackWidth=this.slideWidth*this.slides.length}}setupEventListeners(){this.track.addEventListener("touchstart",e=>this.handleTouchStart(e),{passive:!0}),this.track.addEventListener("touchend",e=>this.handleTouchEnd(e),{passive:!0});let e=!1;this.track.addEventListener("mousedown",t=>{e=!0,this.touchStartX=t.clientX}),this.track.addEventListener("mouseup",t=>{e&&(this.touchEndX=t.clientX,this.handleSwipe()),e=!1}),this.track.addEventListener("mouseleave",()=>{e=!1});const t=document.querySelector(".carousel-nav.prev"),n=document.querySelector(".carousel-nav.next");t&&t.addEventListener("click",()=>this.move(-1)),n&&n.addEventListener("click",()=>this.move(1));const o=document.querySelector(".carousel-container");o&&(o.addEventListener("keydown",e=>{"ArrowLeft"===e.key?this.move(-1):"ArrowRight"===e.key&&this.move(1)}),o.addEventListener("mouseenter",()=>this.stopAutoPlay()),o.addEventListener("mouseleave",()=>this.startAutoPlay())),document.addEventListener("visibilitychange",()=>{document.hidden?this.stopAutoPlay():this.startAutoPlay()}),window.addEventListener("resize",debounce(()=>this.cacheElementDimensions(),250))}preloadImages(){this.eventImages.forEach((e,t)=>{t>0&&((new Image).src=e)})}createDots(){const e=document.getElementById("carouselDots");e&&(e.innerHTML="",this.dots=[],this.slides.forEach((t,n)=>{const o=document.createElement("button");o.className="carousel-dot"+(0===n?" active":""),o.setAttribute("aria-label",`Mergi la slide ${n+1}`),o.setAttribute("aria-current",0===n?"true":"false"),o.addEventListener("click",()=>this.goToSlide(n)),e.appendChild(o),this.dots.push(o)}))}handleTouchStart(e){this.touchStartX=e.changedTouches[0].screenX}handleTouchEnd(e){this.touchEndX=e.changedTouches[0].screenX,this.handleSwipe()}handleSwipe(){const e=this.touchStartX-this.touchEndX;Math.abs(e)>50&&this.move(e>0?1:-1)}move(e){this.isTransitioning||(this.currentSlide=(this.currentSlide+e+this.slides.length)%this.slides.length,this.updateCarousel(),this.resetAutoPlay())}goToSlide(e){this.isTransitioning||e===this.currentSlide||(this.currentSlide=e,this.updateCarousel(),this.resetAutoPlay())}updateCarousel(){this.isTransitioning=!0,requestAnimationFrame(()=>{this.track.style.transform=`translateX(${100*-this.currentSlide}%)`,this.dots.forEach((e,t)=>{const n=t===this.currentSlide;e.classList.toggle("active",n),e.setAttribute("aria-current",n?"true":"false")})}),setTimeout(()=>{this.isTransitioning=!1},500),this.announceSlide()}announceSlide(){const e=document.createElement("div");e.setAttribute("role","status"),e.setAttribute("aria-live","polite"),e.className="sr-only",e.textContent=`Slide ${this.currentSlide+1} din ${this.slides.length}`,document.body.appendChild(e),setTimeout(()=>{e.parentNode&&document.body.removeChild(e)},1e3)}startAutoPlay(){this.autoPlayInterval||(this.autoPlayInterval=setInterval(()=>{this.move(1)},5e3))}stopAutoPlay(){this.autoPlayInterval&&(clearInterval(this.autoPlayInterval),this.autoPlayInterval=null)}resetAutoPlay(){this.stopAutoPlay(),this.startAutoPlay()}}const Modal={modal:null,modalImg:null,modalCaption:null,isOpen:!1,init(){this.modal=document.getElementById("imageModal"),this.modalImg=document.getElementById("modalImage"),this.modalCaption=document.getElementById("modalCaption"),this.modal&&(this.modal.addEventListener("click",e=>{(e.target===this.modal||e.target.classList.contains("modal-close"))&&this.close()}),document.addEventListener("keydown",e=>{"Escape"===e.key&&this.isOpen&&this.close()}))},open(e){if(!this.modal||!carousel)return;const t=LanguageManager.currentLang;requestAnimationFrame(()=>{this.modal.style.display="block",this.modal.offsetHeight,this.modal.classList.add("show"),this.modalImg.src=carousel.eventImages[e],this.modalImg.alt=`Imagine eveniment ${e+1}`,this.modalCaption.textContent=carousel.eventCaptions[e][t],document.body.style.overflow="hidden",this.isOpen=!0,this.modal.setAttribute("tabindex","-1"),this.modal.focus(),this.trapFocus()})},close(){this.modal&&(this.modal.classList.remove("show"),setTimeout(()=>{this.modal.style.display="none",document.body.style.overflow="",this.isOpen=!1;const e=document.querySelector(`#event${this.lastOpenedIndex+1}`);e&&e.focus()},300))},trapFocus(){const e=this.modal.querySelectorAll('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'),t=e[0],n=e[e.length-1];this.modal.addEventListener("keydown",e=>{"Tab"===e.key&&(e.shiftKey?document.activeElement===t&&(n.focus(),e.preventDefault()):document.activeElement===n&&(t.focus(),e.preventDefault()))})}},PrivacyModal={modal:null,isOpen:!1,init(){this.modal=document.getElementById("privacyModal"),this.modal&&(this.modal.addEventListener("click",e=>{e.target===this.modal&&this.close()}),document.addEventListener("keydown",e=>{"Escape"===e.key&&this.isOpen&&this.close()}))},open(){this.modal&&requestAnimationFrame(()=>{this.modal.style.display="block",this.modal.offsetHeight,this.modal.classList.add("show"),document.body.style.overflow="hidden",this.isOpen=!0,this.modal.setAttribute("tabindex","-1"),this.modal.focus(),this.trapFocus()})},close(){this.modal&&(this.modal.classList.remove("show"),setTimeout(()=>{this.modal.style.display="none",document.body.style.overflow="",this.isOpen=!1},300))},trapFocus(){const e=this.modal.querySelectorAll('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'),t=e[0],n=e[e.length-1];this.modal.addEventListener("keydown",e=>{"Tab"===e.key&&(e.shiftKey?document.activeElement===t&&(n.focus(),e.preventDefault()):document.activeElement===n&&(t.focus(),e.preventDefault()))})}},Navigation={sections:[],navLinks:[],sectionData:[],init(){this.sections=document.querySelectorAll("section[id]"),this.navLinks=document.querySelectorAll(".nav-link"),this.cacheSectionData(),this.navLinks.forEach(e=>{e.addEventListener("click",e=>this.smoothScroll(e))}),window.addEventListener("scroll",throttle(()=>this.updateActiveSection(),100),{passive:!0}),window.addEventListener("resize",debounce(()=>this.cacheSectionData(),250)),this.updateActiveSection()},cacheSectionData(){this.sectionData=Array.from(this.sections).map(e=>({id:e.getAttribute("id"),top:e.offsetTop,bottom:e.offsetTop+e.offsetHeight}))},smoothScroll(e){e.preventDefault();const t=e.currentTarget.getAttribute("href").slice(1),n=document.getElementById(t);if(n){const e=80,o=n.offsetTop-e;window.scrollTo({top:o,behavior:"smooth"}),MobileMenu.closeMenu(),history.pushState(null,null,`#${t}`)}},updateActiveSection(){const e=window.scrollY+100;for(const t of this.sectionData)if(e>=t.top&&e<t.bottom){requestAnimationFrame(()=>{this.navLinks.forEach(e=>{const n=e.getAttribute("href")===`#${t.id}`;e.classList.toggle("active",n),e.setAttribute("aria-current",n?"page":"false")})});break}}},AnimationObserver={init(){if(window.matchMedia("(prefers-reduced-motion: reduce)").matches)return;const e=new IntersectionObserver(t=>{t.forEach(t=>{t.isIntersecting&&(t.target.classList.add("fade-in"),e.unobserve(t.target))})},{threshold:.1,rootMargin:"0px 0px -50px 0px"});document.querySelectorAll(".section-paragraph, .faq-item, .service-card, .stat-item").forEach(t=>e.observe(t))}},FormHandler={init(){const e=document.querySelector(".contact-form");e&&(e.addEventListener("submit",t=>{t.preventDefault(),this.handleSubmit(e)}),e.querySelectorAll("input, textarea").forEach(e=>{e.addEventListener("blur",()=>this.validateField(e)),e.addEventListener("input",()=>this.clearFieldError(e))}))},handleSubmit(e){const t=new FormData(e);if(Object.fromEntries(t),!this.validateForm(e))return;const n=e.querySelector('button[type="submit"]'),o=n.textContent;n.textContent="Se trimite...",n.disabled=!0,setTimeout(()=>{this.showMessage("Mulțumim! Vă vom contacta în curând.","success"),e.reset(),n.textContent=o,n.disabled=!1,"undefined"!=typeof gtag&&CookieConsent.hasAccepted()&&gtag("event","form_submit",{event_category:"Contact",event_label:"Consultation Request"})},1500)},validateForm(e){const t=e.querySelectorAll("[required]");let n=!0;return t.forEach(e=>{this.validateField(e)||(n=!1)}),n},validateField(e){const t=e.value.trim();let n=!0;return this.clearFieldError(e),e.hasAttribute("required")&&!t&&(this.showFieldError(e,"Acest câmp este obligatoriu"),n=!1),"email"===e.type&&t&&!this.isValidEmail(t)&&(this.showFieldError(e,"Introduceți o adresă de email validă"),n=!1),"tel"===e.type&&t&&!this.isValidPhone(t)&&(this.showFieldError(e,"Introduceți un număr de telefon valid"),n=!1),n},isValidEmail:e=>/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e),isValidPhone:e=>/^(\+4|)?(07[0-8]{1}[0-9]{7}|02[0-9]{8}|03[0-9]{8})$/.test(e.replace(/\s/g,"")),showFieldError(e,t){e.classList.add("error");let n=e.nextElementSibling;n&&n.classList.contains("field-error")||(n=document.createElement("span"),n.className="field-error",e.parentNode.insertBefore(n,e.nextSibling)),n.textContent=t},clearFieldError(e){e.classList.remove("error");const t=e.nextElementSibling;t&&t.classList.contains("field-error")&&t.remove()},showMessage(e,t="info"){const n=document.createElement("div");n.className=`form-message ${t}`,n.textContent=e,n.setAttribute("role","alert");const o=document.querySelector(".contact-form");o&&(o.parentNode.insertBefore(n,o),setTimeout(()=>{n.parentNode&&n.remove()},5e3))}},PerformanceMonitor={init(){if("PerformanceObserver"in window){const e=new PerformanceObserver(e=>{for(const t of e.getEntries())t.duration>50&&console.warn("Long task detected:",t)});try{e.observe({entryTypes:["longtask"]})}catch(e){}}this.observeWebVitals()},observeWebVitals(){if("PerformanceObserver"in window)try{new PerformanceObserver(e=>{const t=e.getEntries(),n=t[t.length-1];console.log("LCP:",n.startTime)}).observe({entryTypes:["largest-contentful-paint"]})}catch(e){}}},EventData={upcomingEvents:{"@context":"https://schema.org","@type":"EventSeries",name:"Ateliere de Dezvoltare Personală",description:"Serie de workshop-uri pentru dezvoltare personală și creștere interioară",organizer:{"@type":"Person",name:"Răzvan Mischie"},location:{"@type":"VirtualLocation",url:"https://consiliereonline.com/events"}},init(){this.updateEventVisibility()},updateEventVisibility(){new Date}};let carousel;window.openModal=e=>{Modal.lastOpenedIndex=e,Modal.open(e)},window.closeModal=()=>Modal.close(),window.openPrivacyModal=()=>PrivacyModal.open(),window.closePrivacyModal=()=>PrivacyModal.close(),window.moveCarousel=e=>carousel&&carousel.move(e),window.setLanguage=e=>LanguageManager.setLanguage(e),window.toggleMobileMenu=()=>MobileMenu.toggleMenu(),window.openCookieSettings=()=>{CookieConsent.openSettings(),CookieConsent.hasThirdPartyConsent()||setTimeout(()=>{const e=document.querySelector("#thirdPartyCookies")?.closest(".cookie-category");if(e&&(e.style.border="2px solid #4CAF50",e.style.backgroundColor="#f0fff0",e.scrollIntoView({behavior:"smooth",block:"center"}),e.style.animation="pulse 2s ease-in-out 3",!document.querySelector("style[data-pulse-animation]"))){const e=document.createElement("style");e.setAttribute("data-pulse-animation","true"),e.textContent="\n                        @keyframes pulse {\n                            0%, 100% { transform: scale(1); }\n                            50% { transform: scale(1.02); }\n                        }\n                    ",document.head.appendChild(e)}},300)},window.closeCookieSettings=()=>CookieConsent.closeSettings(),window.acceptAllCookies=()=>{const e=document.getElementById("analyticsCookies"),t=document.getElementById("marketingCookies"),n=document.getElementById("thirdPartyCookies");e&&(e.checked=!0),t&&(t.checked=!0),n&&(n.checked=!0),CookieConsent.acceptAllCookies()},window.rejectAllCookies=()=>{const e=document.getElementById("analyticsCookies"),t=document.getElementById("marketingCookies"),n=document.getElementById("thirdPartyCookies");e&&(e.checked=!1),t&&(t.checked=!1),n&&(n.checked=!1),CookieConsent.rejectAllCookies()},window.savePreferences=()=>{const e=document.querySelector(".cookie-btn-primary");if(e){const t=e.innerHTML;e.innerHTML='\n            <span lang="ro">Salvat ✓</span>\n            <span lang="en">Saved ✓</span>\n        ',setTimeout(()=>{e.innerHTML=t},2e3)}CookieConsent.saveCustomPreferences()};const ServiceWorkerManager={registration:null,updateAvailable:!1,init(){"serviceWorker"in navigator&&"file:"!==window.location.protocol&&(window.addEventListener("load",()=>{navigator.serviceWorker.register("./sw.min.js",{scope:"./",updateViaCache:"none"}).then(e=>{this.registration=e,console.log("ServiceWorker registration successful with scope:",e.scope),e.update(),e.addEventListener("updatefound",()=>{console.log("Service Worker update found!");const t=e.installing;t&&t.addEventListener("statechange",()=>{console.log("Service Worker state changed to:",t.state),"installed"===t.state&&(navigator.serviceWorker.controller?(console.log("New service worker available!"),this.updateAvailable=!0,this.showUpdateNotification(t)):console.log("Service Worker installed for the first time"))})}),navigator.serviceWorker.addEventListener("controllerchange",()=>{console.log("Controller changed, reloading page..."),this.updateAvailable&&window.location.reload()}),setInterval(()=>{e.update()},36e5)}).catch(e=>{console.log("ServiceWorker registration failed:",e)})}),document.addEventListener("visibilitychange",()=>{!document.hidden&&this.registration&&this.registration.update()}))},showUpdateNotification(e){const t=document.querySelector(".update-notification");t&&t.remove();const n=document.createElement("div");if(n.className="update-notification",n.innerHTML='\n            <div class="update-notification-content">\n                <p>\n                    <span lang="ro">O versiune nouă este disponibilă! 🎉</span>\n                    <span lang="en">A new version is available! 🎉</span>\n                </p>\n                <div class="update-notification-actions">\n                    <button class="update-btn update-btn-primary" onclick="ServiceWorkerManager.applyUpdate()">\n                        <span lang="ro">Actualizează Acum</span>\n                        <span lang="en">Update Now</span>\n                    </button>\n                    <button class="update-btn update-btn-secondary" onclick="ServiceWorkerManager.dismissUpdate()">\n                        <span lang="ro">Mai Târziu</span>\n                        <span lang="en">Later</span>\n                    </button>\n                </div>\n            </div>\n        ',n.style.cssText="\n            position: fixed;\n            top: 20px;\n            right: 20px;\n            background: white;\n            color: #333;\n            padding: 1.5rem;\n            border-radius: 12px;\n            z-index: 9999;\n            box-shadow: 0 10px 40px rgba(0,0,0,0.2);\n            max-width: 350px;\n            animation: slideIn 0.3s ease;\n            border: 2px solid #4CAF50;\n        ",!document.querySelector("style[data-update-notification]")){const e=document.createElement("style");e.setAttribute("data-update-notification","true"),e.textContent="\n                @keyframes slideIn {\n                    from {\n                        transform: translateX(400px);\n                        opacity: 0;\n                    }\n                    to {\n                        transform: translateX(0);\n                        opacity: 1;\n                    }\n                }\n                \n                .update-notification-content {\n                    display: flex;\n                    flex-direction: column;\n                    gap: 1rem;\n                }\n                \n                .update-notification-content p {\n                    margin: 0;\n                    font-size: 1rem;\n                    font-weight: 500;\n                    color: #333;\n                }\n                \n                .update-notification-actions {\n                    display: flex;\n                    gap: 0.75rem;\n                }\n                \n                .update-btn {\n                    padding: 0.5rem 1rem;\n                    border: none;\n                    border-radius: 6px;\n                    cursor: pointer;\n                    font-size: 0.9rem;\n                    font-weight: 500;\n                    transition: all 0.2s ease;\n                    font-family: inherit;\n                    flex: 1;\n                }\n                \n                .update-btn-primary {\n                    background: #4CAF50;\n                    color: white;\n                }\n                \n                .update-btn-primary:hover {\n                    background: #45a049;\n                    transform: translateY(-1px);\n                }\n                \n                .update-btn-secondary {\n                    background: #f0f0f0;\n                    color: #666;\n                }\n                \n                .update-btn-secondary:hover {\n                    background: #e0e0e0;\n                }\n            ",document.head.appendChild(e)}document.body.appendChild(n),this.newWorker=e,setTimeout(()=>{n.parentNode&&(n.style.animation="slideOut 0.3s ease forwards",setTimeout(()=>n.remove(),300))},3e4)},applyUpdate(){this.newWorker?this.newWorker.postMessage({type:"SKIP_WAITING"}):this.registration&&this.registration.waiting&&this.registration.waiting.postMessage({type:"SKIP_WAITING"})},dismissUpdate(){const e=document.querySelector(".update-notification");e&&(e.style.animation="slideOut 0.3s ease forwards",setTimeout(()=>e.remove(),300)),this.showUpdateIndicator()},showUpdateIndicator(){const e=document.createElement("div");if(e.className="update-indicator",e.innerHTML='\n            <button onclick="ServiceWorkerManager.showUpdateNotification(ServiceWorkerManager.newWorker)" \n                    title="Update Available" \n                    aria-label="Update Available">\n                🔄\n            </button>\n        ',e.style.cssText="\n            position: fixed;\n            bottom: 70px;\n            left: 20px;\n            background: #4CAF50;\n            color: white;\n            width: 40px;\n            height: 40px;\n            border-radius: 50%;\n            display: flex;\n            align-items: center;\n            justify-content: center;\n            cursor: pointer;\n            z-index: 1000;\n            box-shadow: 0 4px 12px rgba(76, 175, 80, 0.3);\n            animation: pulse 2s infinite;\n        ",!document.querySelector("style[data-update-indicator]")){const e=document.createElement("style");e.setAttribute("data-update-indicator","true"),e.textContent="\n                @keyframes pulse {\n                    0%, 100% { transform: scale(1); }\n                    50% { transform: scale(1.1); }\n                }\n                \n                .update-indicator button {\n                    background: transparent;\n                    border: none;\n                    color: white;\n                    cursor: pointer;\n                    font-size: 1.2rem;\n                    width: 100%;\n                    height: 100%;\n                    padding: 0;\n                }\n            ",document.head.appendChild(e)}document.body.appendChild(e)}};window.ServiceWorkerManager=ServiceWorkerManager,window.GDPRFormHandler=GDPRFormHandler,document.addEventListener("DOMContentLoaded",()=>{console.log("🚀 Consiliere Online - Initializing with GDPR Compliance...");try{CookieConsent.init(),GDPRFormHandler.init(),LanguageManager.init(),MobileMenu.init(),Navigation.init(),Modal.init(),PrivacyModal.init(),AnimationObserver.init(),FormHandler.init(),EventData.init(),ServiceWorkerManager.init(),PerformanceMonitor.init(),carousel=new Carousel,carousel.init(),console.log("✅ All modules initialized successfully with GDPR compliance"),window.dispatchEvent(new CustomEvent("consiliereonlineReady",{detail:{timestamp:Date.now(),gdprCompliant:!0}}))}catch(e){console.error("❌ Initialization error:",e),document.querySelectorAll(".lang-btn").forEach(e=>{e.addEventListener("click",()=>{const t=e.dataset.lang;document.body.classList.toggle("lang-ro","ro"===t)})})}}),window.addEventListener("error",e=>{console.error("Global error:",e.error),"undefined"!=typeof gtag&&CookieConsent.hasAccepted()&&gtag("event","exception",{description:e.error.message,fatal:!1})}),window.addEventListener("unhandledrejection",e=>{console.error("Unhandled promise rejection:",e.reason),"undefined"!=typeof gtag&&CookieConsent.hasAccepted()&&gtag("event","exception",{description:e.reason?.message||"Promise rejection",fatal:!1})}),"undefined"!=typeof module&&module.exports&&(module.exports={CookieConsent:CookieConsent,LanguageManager:LanguageManager,MobileMenu:MobileMenu,Carousel:Carousel,Modal:Modal,PrivacyModal:PrivacyModal,Navigation:Navigation,AnimationObserver:AnimationObserver,FormHandler:FormHandler,GDPRFormHandler:GDPRFormHandler,PerformanceMonitor:PerformanceMonitor,EventData:EventData,ServiceWorkerManager:ServiceWorkerManager});
\ No newline at end of file
+"use strict";function debounce(e,t){let n;return function(...o){clearTimeout(n),n=setTimeout(()=>{clearTimeout(n),e(...o)},t)}}function throttle(e,t){let n=0;return function(...o){const s=Date.now();s-n>=t&&(n=s,e.apply(this,o))}}function escapeHtml(e){return String(e).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;").replace(/'/g,"&#39;")}async function sha256Hex(e){if(!window.crypto||!window.crypto.subtle)return null;const t=await window.crypto.subtle.digest("SHA-256",(new TextEncoder).encode(e));return Array.from(new Uint8Array(t)).map(e=>e.toString(16).padStart(2,"0")).join("")}function downloadFile(e,t,n){const o=URL.createObjectURL(new Blob([e],{type:n})),s=document.createElement("a");s.href=o,s.download=t,document.body.appendChild(s),s.click(),s.remove(),setTimeout(()=>URL.revokeObjectURL(o),1e3)}const OfflineStore={dbName:"consiliereonline",version:2,stores:["consentReceipts","pendingRegistrations"],isSupported:()=>"indexedDB"in window,async exists(){if(!this.isSupported())return!1;if("function"!=typeof indexedDB.databases)return!0;try{return(await indexedDB.databases()).some(e=>e.name===this.dbName)}catch(e){return!1}},open(){return new Promise((e,t)=>{if(!this.isSupported())return void t(new Error("IndexedDB not available"));const n=indexedDB.open(this.dbName,this.version);n.onupgradeneeded=()=>{const e=n.result;this.stores.forEach(t=>{e.objectStoreNames.contains(t)||e.createObjectStore(t,{keyPath:"id"})})},n.onsuccess=()=>e(n.result),n.onerror=()=>t(n.error)})},async run(e,t,n){const o=await this.open();return new Promise((s,a)=>{const i=o.transaction(e,t),r=n(i.objectStore(e));i.oncomplete=()=>{o.close(),s(r.result)},i.onerror=()=>{o.close(),a(i.error)}})},add(e,t){return this.run(e,"readwrite",e=>e.put(t))},getAll(e){return this.run(e,"readonly",e=>e.getAll())},delete(e,t){return this.run(e,"readwrite",e=>e.delete(t))},async requestSync(e){if(!("serviceWorker"in navigator)||!("SyncManager"in window))return!1;try{const t=await navigator.serviceWorker.ready;return await t.sync.register(e),!0}catch(t){return console.warn(`Could not register background sync for ${e}`),!1}}};function generateId(){return window.crypto&&"function"==typeof window.crypto.randomUUID?window.crypto.randomUUID():"xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g,e=>{const t=16*Math.random()|0;return("x"===e?t:3&t|8).toString(16)})}const CookieConsent={banner:null,settingsModal:null,floatingButton:null,isShown:!1,preferences:{essential:!0,analytics:!1,marketing:!1,thirdParty:!1,vendors:{}},vendors:[{id:"googleAnalytics",name:"Google Analytics",category:"analytics"},{id:"googleAds",name:"Google Ads",category:"marketing"},{id:"metaPixel",name:"Facebook Pixel",category:"marketing"},{id:"linkedinInsight",name:"LinkedIn Insight Tag",category:"marketing"},{id:"formspree",name:"Formspree",category:"thirdParty"}],categoryToggleIds:{analytics:"analyticsCookies",marketing:"marketingCookies",thirdParty:"thirdPartyCookies"},googleTagId:"AW-17401674061",consentModeState:null,policyVersion:"2025-08",maxConsentAgeMonths:12,consentRecord:null,staleConsent:null,activeConsentScripts:new Map,privacySignal:null,signalNoticePending:!1,consentLogEndpoint:null,init(){this.banner=document.getElementById("cookieBanner"),this.settingsModal=document.getElementById("cookieSettingsModal"),this.floatingButton=document.getElementById("cookieSettingsFloat"),this.banner&&(this.loadConsentConfig(),this.loadPreferences(),this.checkConsentValidity(),this.privacySignal=this.getPrivacySignal(),this.privacySignal&&this.applyPrivacySignal(),this.setupConsentMode(),this.signalNoticePending?(this.applyPreferences(),this.showSignalNotice()):this.hasConsentDecision()?(this.applyPreferences(),this.showFloatingButton()):(this.showBanner(),this.hideFloatingButton()),this.setupEventListeners(),this.updateConsentElements(),CookieScanner.purge(),this.consentLogEndpoint&&!("SyncManager"in window)&&navigator.onLine&&this.flushConsentReceipts())},loadConsentConfig(){const e=document.getElementById("privacyModal");e&&e.dataset.policyVersion&&(this.policyVersion=e.dataset.policyVersion);const t=parseInt(this.banner.dataset.consentMaxAgeMonths,10);t>0&&(this.maxConsentAgeMonths=t),this.consentLogEndpoint=this.banner.dataset.consentLogEndpoint||null,this.consentLogEndpoint&&window.addEventListener("online",()=>this.flushConsentReceipts())},loadPreferences(){try{const e=localStorage.getItem("cookiePreferences");if(e){const{policyVersion:t,timestamp:n,source:o,signalOverride:s,...a}=JSON.parse(e);this.preferences={...this.preferences,...a},this.preferences.essential=!0,this.normalizeVendorPreferences(),this.consentRecord={policyVersion:t||null,timestamp:n||localStorage.getItem("cookieConsentDate"),source:o||"banner",signalOverride:!0===s}}}catch(e){console.warn("Could not load cookie preferences")}},checkConsentValidity(){try{if(null===localStorage.getItem("cookieConsent"))return}catch(e){return}const e=this.getReconsentReason();e&&(this.staleConsent={policyVersion:this.consentRecord?this.consentRecord.policyVersion:null,timestamp:this.consentRecord?this.consentRecord.timestamp:null,reason:e},this.preferences=this.buildPreferences(!1))},buildPreferences(e){const t={};return this.vendors.forEach(n=>{t[n.id]=e}),{essential:!0,analytics:e,marketing:e,thirdParty:e,vendors:t}},normalizeVendorPreferences(){const e=this.preferences.vendors||{},t={};this.vendors.forEach(n=>{t[n.id]="boolean"==typeof e[n.id]?e[n.id]:!0===this.preferences[n.category]}),this.preferences.vendors=t,this.rollUpVendorCategories()},rollUpVendorCategories(){Object.keys(this.categoryToggleIds).forEach(e=>{const t=this.getVendorsByCategory(e);t.length>0&&(this.preferences[e]=t.some(e=>this.preferences.vendors[e.id]))})},getVendorsByCategory(e){return this.vendors.filter(t=>t.category===e)},getVendor(e){return this.vendors.find(t=>t.id===e)||null},setCategoryConsent(e,t){this.preferences[e]=t,this.getVendorsByCategory(e).forEach(e=>{this.preferences.vendors[e.id]=t})},setVendorConsent(e,t){this.getVendor(e)&&(this.preferences.vendors[e]=t,this.rollUpVendorCategories())},getReconsentReason(){const e=this.consentRecord;if(!e||e.policyVersion!==this.policyVersion)return"policy_changed";const t=new Date(e.timestamp);if(isNaN(t.getTime()))return"expired";const n=new Date(t);return n.setMonth(n.getMonth()+this.maxConsentAgeMonths),Date.now()>n.getTime()?"expired":null},getPrivacySignal(){if(!0===navigator.globalPrivacyControl)return"gpc";const e=navigator.doNotTrack||window.doNotTrack||navigator.msDoNotTrack;return"1"===e||"yes"===e?"dnt":null},applyPrivacySignal(){const e=this.hasConsentDecision();if(e&&this.consentRecord&&this.consentRecord.signalOverride)return;if(e&&!this.preferences.analytics&&!this.preferences.marketing)return;const t=e?this.preferences.vendors:{};this.preferences=this.buildPreferences(!1),this.getVendorsByCategory("thirdParty").forEach(e=>{this.preferences.vendors[e.id]=!0===t[e.id]}),this.rollUpVendorCategories(),this.savePreferences("browser_signal"),this.sendConsentReceipt("browser_signal"),this.signalNoticePending=!0},showSignalNotice(){this.banner&&(this.banner.classList.add("signal-mode"),this.showBanner(),this.hideFloatingButton())},dismissSignalNotice(){this.hideBanner()},savePreferences(e="banner"){try{const t="settings"===e&&null!==this.privacySignal&&(this.preferences.analytics||this.preferences.marketing);this.consentRecord={policyVersion:this.policyVersion,timestamp:(new Date).toISOString(),source:e,signalOverride:t},localStorage.setItem("cookiePreferences",JSON.stringify({...this.preferences,...this.consentRecord})),localStorage.setItem("cookieConsent","custom"),this.trackConsentChange()}catch(e){console.warn("Could not save cookie preferences")}},hasConsentDecision(){try{return null!==localStorage.getItem("cookieConsent")&&!this.staleConsent}catch(e){return!1}},hasAccepted(){if(this.staleConsent)return!1;try{const e=localStorage.getItem("cookieConsent");return"accepted"===e||"custom"===e&&this.preferences.analytics}catch(e){return!1}},hasThirdPartyConsent(){return!0===this.preferences.thirdParty},isCategoryAllowed(e){return"essential"===e||!0===this.preferences[e]},hasVendorConsent(e){return!0===this.preferences.vendors[e]},isConsentGranted(e){return this.getVendor(e)?this.hasVendorConsent(e):this.isCategoryAllowed(e)},showBanner(){!this.isShown&&this.banner&&requestAnimationFrame(()=>{this.banner.classList.add("show"),this.isShown=!0,this.trapFocus()})},hideBanner(){this.banner&&(this.banner.classList.remove("show","signal-mode"),this.signalNoticePending=!1,this.isShown=!1,this.removeFocusTrap(),this.showFloatingButton())},showFloatingButton(){this.floatingButton&&requestAnimationFrame(()=>{this.floatingButton.classList.add("show")})},hideFloatingButton(){this.floatingButton&&this.floatingButton.classList.remove("show")},setupEventListeners(){const e=document.getElementById("cookieAccept"),t=document.getElementById("cookieReject"),n=document.getElementById("cookieSettings");e&&e.addEventListener("click",()=>this.acceptAllCookies()),t&&t.addEventListener("click",()=>this.rejectAllCookies()),n&&n.addEventListener("click",()=>this.openSettings());const o=document.getElementById("cookieSignalAck"),s=document.getElementById("cookieSignalSettings");o&&o.addEventListener("click",()=>this.dismissSignalNotice()),s&&s.addEventListener("click",()=>this.openSettings()),this.renderVendorToggles(),Object.entries(this.categoryToggleIds).forEach(([e,t])=>{const n=document.getElementById(t);n&&n.addEventListener("change",t=>{this.setCategoryConsent(e,t.target.checked),this.syncSettingsToggles()})}),this.settingsModal&&this.settingsModal.addEventListener("change",e=>{const t=e.target.dataset.vendor;t&&(this.setVendorConsent(t,e.target.checked),this.syncSettingsToggles())}),this.syncSettingsToggles(),window.addEventListener("cookieConsentChanged",()=>this.updateConsentElements()),document.addEventListener("keydown",e=>{this.isShown&&"Escape"===e.key&&e.preventDefault()})},acceptAllCookies(e="banner"){this.preferences=this.buildPreferences(!0),this.savePreferences(e);try{localStorage.setItem("cookieConsent","accepted"),localStorage.setItem("cookieConsentDate",(new Date).toISOString())}catch(e){console.warn("Could not save cookie consent")}this.applyPreferences(),this.hideBanner(),this.closeSettings(),this.trackConsentGiven("accepted"),this.reinitializeForms()},rejectAllCookies(e="banner"){this.preferences=this.buildPreferences(!1),this.savePreferences(e);try{localStorage.setItem("cookieConsent","rejected"),localStorage.setItem("cookieConsentDate",(new Date).toISOString())}catch(e){console.warn("Could not save cookie consent")}this.applyPreferences(),this.hideBanner(),this.closeSettings(),this.trackConsentGiven("rejected"),this.reinitializeForms()},saveCustomPreferences(){this.savePreferences("settings"),this.applyPreferences(),this.hideBanner(),this.closeSettings(),this.trackConsentGiven("custom"),this.reinitializeForms()},applyPreferences(){this.updateConsentMode(),this.preferences.analytics?this.loadAnalytics():this.removeAnalytics(),this.preferences.marketing?this.loadMarketing():this.removeMarketing(),this.hasVendorConsent("formspree")?this.enableThirdPartyServices():this.disableThirdPartyServices(),CookieScanner.purge()},enableThirdPartyServices(){console.log("Enabling third-party services...");document.querySelectorAll(".consent-notice").forEach(e=>e.remove());const e=document.getElementById("eventRegistrationForm");if(e){e.classList.remove("consent-required");e.querySelectorAll("input, textarea, button").forEach(e=>{e.disabled=!1,e.removeAttribute("disabled")});const t=e.querySelector('button[type="submit"]');t&&(GDPRFormHandler.updateSubmitLabel(),t.disabled=!1,t.style.cursor="pointer",t.style.opacity="1"),console.log("Event form enabled successfully")}document.querySelectorAll('form[data-requires-consent="true"]').forEach(e=>{e.classList.remove("consent-required");e.querySelectorAll("input, textarea, button").forEach(e=>{e.disabled=!1,e.removeAttribute("disabled")})}),console.log("Third-party services enabled")},disableThirdPartyServices(){console.log("Disabling third-party services..."),console.log("Third-party services disabled")},reinitializeForms(){if(console.log("Reinitializing forms after cookie consent change..."),this.dispatchConsentChange(),window.GDPRFormHandler){window.GDPRFormHandler.checkThirdPartyCookies();const e=document.getElementById("eventRegistrationForm");if(e&&this.hasVendorConsent("formspree")){e.style.opacity="1",e.style.pointerEvents="auto";const t=e.querySelector('input:not([type="hidden"])');t&&t.focus()}}},dispatchConsentChange(){window.dispatchEvent(new CustomEvent("cookieConsentChanged",{detail:{preferences:this.preferences,vendors:{...this.preferences.vendors},hasThirdPartyConsent:this.hasThirdPartyConsent()}}))},grantConsent(e,t="placeholder"){if(this.getVendor(e))this.setVendorConsent(e,!0);else{if(!this.categoryToggleIds[e])return;this.setCategoryConsent(e,!0)}this.savePreferences(t),this.applyPreferences(),this.syncSettingsToggles(),this.sendConsentReceipt("custom"),this.dispatchConsentChange()},openSettings(){this.settingsModal&&(this.syncSettingsToggles(),CookieScanner.renderInventory(),requestAnimationFrame(()=>{this.settingsModal.style.display="block",this.settingsModal.offsetHeight,this.settingsModal.classList.add("show"),document.body.style.overflow="hidden",this.settingsModal.setAttribute("tabindex","-1"),this.settingsModal.focus()}))},renderVendorToggles(){const e=["purpose","data","retention","location"];document.querySelectorAll(".cookie-vendors[data-vendor-category]").forEach(t=>{const n=this.getVendorsByCategory(t.dataset.vendorCategory);t.innerHTML=n.map(t=>{const n=e.map(e=>`\n                    <em>${LanguageManager.markup(`cookies.vendor_fields.${e}`)}:</em>\n                    ${LanguageManager.markup(`cookies.vendors.${t.id}.${e}`)}<br>\n                `).join("");return`\n                    <li class="cookie-vendor" data-vendor-id="${t.id}">\n                        <div class="cookie-vendor-info">\n                            <strong>${t.name}</strong><br>\n                            ${n}\n                        </div>\n                        <div class="cookie-toggle">\n                            <input type="checkbox" id="vendor-${t.id}" data-vendor="${t.id}">\n                            <label for="vendor-${t.id}" class="toggle-label" aria-label="${t.name}">\n                                <span class="toggle-switch"></span>\n                            </label>\n                        </div>\n                    </li>\n                `}).join("")})},syncSettingsToggles(){Object.entries(this.categoryToggleIds).forEach(([e,t])=>{const n=document.getElementById(t);n&&(n.checked=!0===this.preferences[e])}),this.vendors.forEach(e=>{const t=document.getElementById(`vendor-${e.id}`);t&&(t.checked=this.hasVendorConsent(e.id))})},closeSettings(){this.settingsModal&&(this.settingsModal.classList.remove("show"),setTimeout(()=>{this.settingsModal.style.display="none",document.body.style.overflow=""},300))},setupConsentMode(){window.dataLayer=window.dataLayer||[],"function"!=typeof window.gtag&&(window.gtag=function(){window.dataLayer.push(arguments)}),window.gtag("consent","default",{ad_storage:"denied",analytics_storage:"denied",ad_user_data:"denied",ad_personalization:"denied",functionality_storage:"denied",security_storage:"granted",wait_for_update:500}),window.gtag("set","ads_data_redaction",!0),this.loadGoogleTag()},getConsentModeState(){const e=e=>e?"granted":"denied",t=this.hasVendorConsent("googleAds");return{analytics_storage:e(this.hasVendorConsent("googleAnalytics")),ad_storage:e(t),ad_user_data:e(t),ad_personalization:e(t),functionality_storage:e(this.preferences.thirdParty)}},updateConsentMode(){if("function"!=typeof window.gtag)return;const e=this.getConsentModeState();this.consentModeState&&JSON.stringify(this.consentModeState)===JSON.stringify(e)||(window.gtag("consent","update",e),this.consentModeState=e)},loadGoogleTag(){if(document.getElementById("google-analytics"))return;const e=document.createElement("script");e.async=!0,e.src=`https://www.googletagmanager.com/gtag/js?id=${this.googleTagId}`,e.id="google-analytics",document.head.appendChild(e),window.gtag("js",new Date),window.gtag("config",this.googleTagId,{anonymize_ip:!0,cookie_flags:"SameSite=None;Secure",allow_google_signals:!1,allow_ad_personalization_signals:!1}),window.gtag_report_appointment=function(e){return window.gtag("event","appointment_booking",{event_category:"engagement",event_label:"phone_call",value:1}),void 0!==e&&(window.location=e),!1},e.onerror=()=>{console.warn("Failed to load Google tag")}},loadAnalytics(){this.loadGoogleTag()},removeAnalytics(){CookieScanner.purge("analytics")},loadMarketing(){MarketingTags.sync()},removeMarketing(){MarketingTags.sync()},updateConsentElements(e=document){e.querySelectorAll("script[data-consent], iframe[data-consent]").forEach(e=>{const t=this.isConsentGranted(e.dataset.consent);"SCRIPT"===e.tagName?t?this.activateConsentScript(e):this.deactivateConsentScript(e):t?this.activateConsentFrame(e):this.deactivateConsentFrame(e)})},activateConsentScript(e){if(this.activeConsentScripts.has(e))return;const t=document.createElement("script");Array.from(e.attributes).forEach(e=>{["type","data-consent","data-src","data-type"].includes(e.name)||t.setAttribute(e.name,e.value)}),e.dataset.type&&(t.type=e.dataset.type),e.dataset.src?t.src=e.dataset.src:t.text=e.text,t.setAttribute("data-consent-source",e.dataset.consent),e.after(t),this.activeConsentScripts.set(e,t)},deactivateConsentScript(e){const t=this.activeConsentScripts.get(e);t&&(t.remove(),this.activeConsentScripts.delete(e))},activateConsentFrame(e){const t=e.dataset.src;t&&e.getAttribute("src")!==t&&e.setAttribute("src",t)},deactivateConsentFrame(e){if("true"===e.dataset.consentOnce)return;const t=e.getAttribute("src");t&&"about:blank"!==t&&e.setAttribute("src","about:blank")},clearCookies(e){e.forEach(e=>CookieScanner.deleteCookie(e))},trackConsentChange(){const e=this.consentRecord||{},t={timestamp:(new Date).toISOString(),preferences:this.preferences,policyVersion:this.policyVersion,source:e.source||"banner",action:"preferences_updated"};"browser_signal"===e.source?(t.action="browser_signal",t.signal=this.privacySignal):e.signalOverride&&(t.action="signal_override",t.signal=this.privacySignal),this.staleConsent&&("preferences_updated"===t.action&&(t.action="reconsent"),t.reason=this.staleConsent.reason,t.previousPolicyVersion=this.staleConsent.policyVersion,t.previousTimestamp=this.staleConsent.timestamp,this.staleConsent=null);try{const e=JSON.parse(localStorage.getItem("consentHistory")||"[]");e.push(t),e.length>10&&e.shift(),localStorage.setItem("consentHistory",JSON.stringify(e))}catch(e){console.warn("Could not save consent history")}},trackConsentGiven(e){this.sendConsentReceipt(e),this.trackConsentChange()},getConsentId(){try{let e=localStorage.getItem("consentId");return e||(e=generateId(),localStorage.setItem("consentId",e)),e}catch(e){return generateId()}},buildConsentReceipt(e){const t=this.consentRecord||{};return{id:generateId(),event:"cookie_consent",consentId:this.getConsentId(),policyVersion:this.policyVersion,choice:e,source:t.source||"banner",signal:this.privacySignal,preferences:{analytics:this.preferences.analytics,marketing:this.preferences.marketing,thirdParty:this.preferences.thirdParty,vendors:{...this.preferences.vendors}},timestamp:t.timestamp||(new Date).toISOString(),page:window.location.pathname}},async sendConsentReceipt(e){if(!this.consentLogEndpoint)return;const t=this.consentLogEndpoint,n=this.buildConsentReceipt(e);if(navigator.onLine)try{return void await this.postConsentReceipt(t,n)}catch(e){console.warn("Consent receipt not delivered, queueing for retry")}try{await OfflineStore.add("consentReceipts",{...n,endpoint:t}),await OfflineStore.requestSync("consent-receipts")}catch(e){console.warn("Could not queue consent receipt")}},async postConsentReceipt(e,t){const n=await fetch(e,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(t),keepalive:!0});if(!n.ok&&n.status>=500)throw new Error(`Consent log responded with ${n.status}`)},async flushConsentReceipts(){let e;try{e=await OfflineStore.getAll("consentReceipts")}catch(e){return}for(const{endpoint:t,...n}of e)try{await this.postConsentReceipt(t,n),await OfflineStore.delete("consentReceipts",n.id)}catch(e){break}},trapFocus(){if(!this.banner)return;const e=Array.from(this.banner.querySelectorAll('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])')).filter(e=>null!==e.offsetParent),t=e[0],n=e[e.length-1];this.focusTrapHandler=e=>{"Tab"===e.key&&(e.shiftKey?document.activeElement===t&&(n.focus(),e.preventDefault()):document.activeElement===n&&(t.focus(),e.preventDefault()))},document.addEventListener("keydown",this.focusTrapHandler),t&&t.focus()},removeFocusTrap(){this.focusTrapHandler&&(document.removeEventListener("keydown",this.focusTrapHandler),this.focusTrapHandler=null)}},CookieScanner={patterns:[{category:"essential",pattern:/^(language|cookieConsent|cookieConsentDate|cookiePreferences|consentHistory|consentId|formSubmissions|formSubmitAttempts|dsarRequests|bookingProgress|requestedSlots|tabId|formDraft:.+)$/},{category:"analytics",vendor:"googleAnalytics",pattern:/^(_ga|_ga_[A-Z0-9]+|_gid|_gat(_.+)?|_dc_gtm_.+)$/},{category:"marketing",vendor:"googleAds",pattern:/^(_gcl_.+|_gac_.+|__gads|__gpi|IDE|test_cookie)$/},{category:"marketing",vendor:"metaPixel",pattern:/^(_fbp|_fbc|fr)$/},{category:"marketing",vendor:"linkedinInsight",pattern:/^(li_sugr|li_fat_id|bcookie|bscookie|lidc|UserMatchHistory|AnalyticsSyncHistory)$/}],classify(e){const t=this.patterns.find(t=>t.pattern.test(e));return t?{category:t.category,vendor:t.vendor||null}:{category:"unknown",vendor:null}},scan(){const e=[];return document.cookie.split(";").forEach(t=>{const n=t.split("=")[0].trim();n&&e.push({name:n,store:"cookie",...this.classify(n)})}),["localStorage","sessionStorage"].forEach(t=>{try{const n=window[t];for(let o=0;o<n.length;o++){const s=n.key(o);e.push({name:s,store:t,...this.classify(s)})}}catch(e){}}),e},isAllowed:e=>"unknown"===e.category||(e.vendor?CookieConsent.hasVendorConsent(e.vendor):CookieConsent.isCategoryAllowed(e.category)),purge(e=null){const t=[];return this.scan().forEach(n=>{if(!(e&&n.category!==e||this.isAllowed(n))){if("cookie"===n.store)this.deleteCookie(n.name);else try{window[n.store].removeItem(n.name)}catch(e){return}t.push(n)}}),t},deleteCookie(e){const t=`${e}=; expires=Thu, 01 Jan 1970 00:00:00 UTC`,n=Array.from(new Set(["/",window.location.pathname])),o=window.location.hostname.split("."),s=[];for(let e=0;e<o.length-1;e++)s.push(o.slice(e).join("."));n.forEach(e=>{document.cookie=`${t}; path=${e}`,s.forEach(n=>{document.cookie=`${t}; path=${e}; domain=${n}`,document.cookie=`${t}; path=${e}; domain=.${n}`})})},renderInventory(){const e=document.getElementById("cookieInventoryList");if(!e)return;const t={cookie:"Cookie",localStorage:"Local Storage",sessionStorage:"Session Storage"},n=this.scan();0!==n.length?e.innerHTML=n.map(e=>{const n=this.isAllowed(e);return`\n                <li class="cookie-inventory-item${n?"":" blocked"}">\n                    <code>${escapeHtml(e.name)}</code>\n                    <span class="cookie-inventory-meta">\n                        ${t[e.store]} ·\n                        ${LanguageManager.markup(`cookies.categories.${e.category}`)}\n                        ${n?"":`· ${LanguageManager.markup("cookies.inventory.will_be_removed")}`}\n                    </span>\n                </li>\n            `}).join(""):e.innerHTML=`\n                <li class="cookie-inventory-empty">${LanguageManager.markup("cookies.inventory.empty")}</li>\n            `}},MarketingTags={tags:[],loaded:new Set,register(e){this.tags.some(t=>t.id===e.id)||this.tags.push(e)},getConfig:e=>document.body.dataset[e.configKey]||null,sync(){this.tags.forEach(e=>{const t=CookieConsent.hasVendorConsent(e.vendor),n=this.getConfig(e);if(t&&n&&!this.loaded.has(e.id))try{e.load(n),this.loaded.add(e.id)}catch(t){console.warn(`Could not load marketing tag ${e.id}`,t)}else!t&&this.loaded.has(e.id)&&(e.teardown(),this.loaded.delete(e.id))}),CookieScanner.purge("marketing")},injectScript(e,t){const n=document.createElement("script");return n.async=!0,n.src=t,n.setAttribute("data-marketing-tag",e),document.head.appendChild(n),n},removeScripts(e,t=[]){document.querySelectorAll(`script[data-marketing-tag="${e}"]`).forEach(e=>e.remove()),t.forEach(e=>{document.querySelectorAll(`script[src*="${e}"]`).forEach(e=>e.remove())})},removeGlobals(e){e.forEach(e=>{try{delete window[e]}catch(t){window[e]=void 0}})}};MarketingTags.register({id:"metaPixel",vendor:"metaPixel",configKey:"metaPixelId",load(e){const t=window.fbq=function(){t.callMethod?t.callMethod.apply(t,arguments):t.queue.push(arguments)};window._fbq||(window._fbq=t),t.push=t,t.loaded=!0,t.version="2.0",t.queue=[],MarketingTags.injectScript(this.id,"https://connect.facebook.net/en_US/fbevents.js"),t("init",e),t("track","PageView")},teardown(){MarketingTags.removeScripts(this.id,["connect.facebook.net"]),MarketingTags.removeGlobals(["fbq","_fbq"])}}),MarketingTags.register({id:"linkedinInsight",vendor:"linkedinInsight",configKey:"linkedinPartnerId",load(e){window._linkedin_partner_id=e,window._linkedin_data_partner_ids=[e],window.lintrk=function(e,t){window.lintrk.q.push([e,t])},window.lintrk.q=[],MarketingTags.injectScript(this.id,"https://snap.licdn.com/li.lms-analytics/insight.min.js")},teardown(){MarketingTags.removeScripts(this.id,["snap.licdn.com","px.ads.linkedin.com"]),MarketingTags.removeGlobals(["lintrk","_linkedin_partner_id","_linkedin_data_partner_ids","_already_called_lintrk"])}});const ConsentPlaceholder={placeholders:new Map,init(){document.querySelectorAll("iframe[data-consent]").forEach(e=>this.attach(e)),window.addEventListener("cookieConsentChanged",()=>this.refresh()),this.refresh()},attach(e){if(this.placeholders.has(e))return;const t=e.dataset.consent,n=CookieConsent.getVendor(t),o=e.dataset.placeholderName||(n?n.name:e.title||t),s=document.createElement("div");s.className="consent-placeholder",s.setAttribute("role","region"),s.setAttribute("aria-label",e.title||o);const a=parseInt(e.getAttribute("width"),10),i=parseInt(e.getAttribute("height"),10);a&&i&&(s.style.aspectRatio=`${a} / ${i}`),s.innerHTML=`\n            <div class="consent-placeholder-content">\n                <p>${LanguageManager.markupHtml("cookies.placeholder.notice",{name:o})}</p>\n                <div class="consent-placeholder-actions">\n                    <button type="button" class="cookie-btn cookie-btn-secondary" data-placeholder-action="once">\n                        ${LanguageManager.markup("cookies.placeholder.load_once")}\n                    </button>\n                    <button type="button" class="cookie-btn cookie-btn-primary" data-placeholder-action="always">\n                        ${LanguageManager.markup("cookies.placeholder.always_allow")}\n                    </button>\n                </div>\n                <button type="button" class="consent-placeholder-settings" onclick="openCookieSettings()">\n                    ${LanguageManager.markup("cookies.placeholder.settings")}\n                </button>\n            </div>\n        `,s.addEventListener("click",n=>{const o=n.target.closest("[data-placeholder-action]");o&&("once"===o.dataset.placeholderAction?this.loadOnce(e):CookieConsent.grantConsent(t))}),e.before(s),this.placeholders.set(e,s)},loadOnce(e){e.dataset.consentOnce="true",CookieConsent.activateConsentFrame(e),this.show(e),e.focus()},refresh(){this.placeholders.forEach((e,t)=>{CookieConsent.isConsentGranted(t.dataset.consent)||"true"===t.dataset.consentOnce?this.show(t):this.hide(t)})},show(e){e.hidden=!1,this.placeholders.get(e).hidden=!0},hide(e){e.hidden=!0,this.placeholders.get(e).hidden=!1}},DeviceData={modal:null,descriptions:{language:"deviceData.keys.language",cookieConsent:"deviceData.keys.cookieConsent",cookieConsentDate:"deviceData.keys.cookieConsentDate",cookiePreferences:"deviceData.keys.cookiePreferences",consentHistory:"deviceData.keys.consentHistory",consentId:"deviceData.keys.consentId",formSubmissions:"deviceData.keys.formSubmissions",bookingProgress:"deviceData.keys.bookingProgress",tabId:"deviceData.keys.tabId",requestedSlots:"deviceData.keys.requestedSlots",formSubmitAttempts:"deviceData.keys.formSubmitAttempts",dsarRequests:"deviceData.keys.dsarRequests"},storeDescriptions:{consentReceipts:"deviceData.stores.consentReceipts",pendingRegistrations:"deviceData.stores.pendingRegistrations"},storeLabels:{cookie:"Cookie",localStorage:"Local Storage",sessionStorage:"Session Storage"},init(){this.modal=document.getElementById("deviceDataModal"),this.modal&&(this.modal.addEventListener("click",e=>{e.target===this.modal&&this.close()}),this.modal.addEventListener("keydown",e=>{"Escape"===e.key&&(e.stopPropagation(),this.close())}),window.addEventListener("languageChanged",async()=>{this.modal.classList.contains("show")&&this.render(await this.collect())}))},async open(){this.modal&&(this.setStatus(""),this.render(await this.collect()),requestAnimationFrame(()=>{this.modal.style.display="block",this.modal.offsetHeight,this.modal.classList.add("show"),document.body.style.overflow="hidden",this.modal.setAttribute("tabindex","-1"),this.modal.focus()}))},close(){this.modal&&(this.modal.classList.remove("show"),setTimeout(()=>{this.modal.style.display="none",document.querySelector(".modal.show")||(document.body.style.overflow="")},300))},describe(e){if(this.descriptions[e.name])return t(this.descriptions[e.name]);if(e.name.startsWith(FormDrafts.keyPrefix))return t("deviceData.keys.formDraft");const n=e.vendor?CookieConsent.getVendor(e.vendor):null,o=t(`cookies.categories.${e.category}`);return n?t("deviceData.set_by",{vendor:n.name,category:o}):t("deviceData.category",{category:o})},readValue(e){try{const t="cookie"===e.store?this.readCookie(e.name):window[e.store].getItem(e.name);try{return JSON.parse(t)}catch(e){return t}}catch(e){return null}},readCookie(e){const t=document.cookie.split(";").map(e=>e.trim()).find(t=>t.split("=")[0]===e);return t?decodeURIComponent(t.slice(e.length+1)):null},async collect(){const e={storage:CookieScanner.scan().map(e=>({...e,value:this.readValue(e)})),offlineQueues:{},caches:{},serviceWorkers:[]};if(await OfflineStore.exists())for(const t of OfflineStore.stores)try{e.offlineQueues[t]=await OfflineStore.getAll(t)}catch(n){e.offlineQueues[t]=[]}if("caches"in window)try{for(const t of await caches.keys()){const n=await caches.open(t),o=await n.keys();e.caches[t]=o.map(e=>e.url)}}catch(e){console.warn("Could not read Cache Storage")}if("serviceWorker"in navigator)try{const t=await navigator.serviceWorker.getRegistrations();e.serviceWorkers=t.map(e=>({scope:e.scope,script:(e.active||e.waiting||e.installing)?.scriptURL||null}))}catch(e){console.warn("Could not read service worker registrations")}return e},render(e){const n=document.getElementById("deviceDataList");if(!n)return;const o=e.storage.map(e=>{const t=this.describe(e);return this.renderRow(e.name,this.storeLabels[e.store],t)});Object.entries(e.offlineQueues).forEach(([e,n])=>{const s=this.storeDescriptions[e]?t(this.storeDescriptions[e]):"";o.push(this.renderRow(e,`IndexedDB · ${n.length}`,s))}),Object.entries(e.caches).forEach(([e,n])=>{o.push(this.renderRow(e,`Cache Storage · ${n.length}`,t("deviceData.cache")))}),e.serviceWorkers.forEach(e=>{o.push(this.renderRow(e.scope,"Service Worker",t("deviceData.service_worker")))}),0!==o.length?n.innerHTML=o.join(""):n.innerHTML=`\n                <li class="cookie-inventory-empty">${escapeHtml(t("deviceData.empty"))}</li>\n            `},renderRow:(e,t,n)=>`\n            <li class="cookie-inventory-item device-data-item">\n                <code>${escapeHtml(e)}</code>\n                <span class="cookie-inventory-meta">${escapeHtml(t)}</span>\n                <p class="device-data-description">${escapeHtml(n)}</p>\n            </li>\n        `,setStatus(e){const t=document.getElementById("deviceDataStatus");t&&(t.innerHTML=e?LanguageManager.markup(`deviceData.status.${e}`):"")},async exportData(){const e=await this.collect(),t={site:window.location.origin,exportedAt:(new Date).toISOString(),policyVersion:CookieConsent.policyVersion,cookies:{},localStorage:{},sessionStorage:{},indexedDB:e.offlineQueues,cacheStorage:e.caches,serviceWorkers:e.serviceWorkers};e.storage.forEach(e=>{const n="cookie"===e.store?"cookies":e.store;t[n][e.name]=e.value}),downloadFile(JSON.stringify(t,null,2),`consiliereonline-date-${(new Date).toISOString().slice(0,10)}.json`,"application/json"),this.setStatus("exported")},async eraseAll(){if(!window.confirm(t("deviceData.erase_confirm")))return;this.setStatus("erasing");const e=await Promise.allSettled([this.eraseStorage(),this.eraseOfflineStore(),this.eraseCaches(),this.unregisterServiceWorkers()]);if(e.some(e=>"rejected"===e.status))return console.warn("Device data erase incomplete:",e),void this.setStatus("error");window.location.reload()},async eraseStorage(){CookieScanner.scan().filter(e=>"cookie"===e.store).forEach(e=>CookieScanner.deleteCookie(e.name)),localStorage.clear(),sessionStorage.clear()},eraseOfflineStore:()=>new Promise((e,t)=>{if(!OfflineStore.isSupported())return void e();const n=indexedDB.deleteDatabase(OfflineStore.dbName);n.onsuccess=()=>e(),n.onerror=()=>t(n.error),n.onblocked=()=>e()}),async eraseCaches(){if(!("caches"in window))return;const e=await caches.keys();await Promise.all(e.map(e=>caches.delete(e)))},async unregisterServiceWorkers(){if(!("serviceWorker"in navigator))return;const e=await navigator.serviceWorker.getRegistrations();await Promise.all(e.map(e=>e.unregister()))}},FormValidator={rules:{required(e,t){if(!e.required)return null;if("checkbox"===e.type||"radio"===e.type){const t=FormValidator.isGroup(e);return(t&&e.form?Array.from(e.form.querySelectorAll(`input[type="${e.type}"][name="${e.name}"]`)):[e]).some(e=>e.checked)?null:{rule:"required",key:t?"required_choice":"required_consent"}}return t?null:{rule:"required",key:"SELECT"===e.tagName?"required_choice":"required"}},email:(e,t)=>t&&FormValidator.hasCheck(e,"email","email"===e.type)?FormValidator.isValidEmail(t)?null:{rule:"email",key:"email"}:null,phone(e,t){const n=FormValidator.getCheckOption(e,"phone")||("tel"===e.type?"intl":null);return t&&n?FormValidator.isValidPhone(t,n)?null:{rule:"phone",key:"phone_"+("ro"===n?"ro":"intl")}:null},pattern(e,t){const n=e.getAttribute("pattern");return t&&n?new RegExp(`^(?:${n})$`).test(t)?null:{rule:"pattern",key:"pattern"}:null},minlength(e,t){const n=parseInt(e.getAttribute("minlength"),10);return!t||!n||t.length>=n?null:{rule:"minlength",key:"minlength",params:{n:n}}},maxlength(e,t){const n=parseInt(e.getAttribute("maxlength"),10);return!t||!n||t.length<=n?null:{rule:"maxlength",key:"maxlength",params:{n:n}}}},attach(e){e.noValidate=!0,this.getFields(e).forEach(e=>{"checkbox"===e.type||"radio"===e.type||"SELECT"===e.tagName?e.addEventListener("change",()=>this.validateField(e)):(e.addEventListener("blur",()=>{e.value&&this.validateField(e)}),e.addEventListener("input",()=>this.clearFieldError(e)))}),e.addEventListener("reset",()=>this.clearForm(e))},getFields(e){const t=new Set;return Array.from(e.elements).filter(e=>{if(!e.name||e.name.startsWith("_")||e.disabled)return!1;if(["hidden","submit","button","reset","fieldset"].includes(e.type))return!1;if(this.isGroup(e)){if(t.has(e.name))return!1;t.add(e.name)}return!0})},isGroup(e){return"radio"===e.type||"checkbox"===e.type&&this.hasCheck(e,"group")},getChecks:e=>(e.dataset.validate||"").split(/\s+/).filter(Boolean).map(e=>e.split(":")),hasCheck(e,t,n=!1){return n||this.getChecks(e).some(([e])=>e===t)},getCheckOption(e,t){const n=this.getChecks(e).find(([e])=>e===t);return n?n[1]||"intl":null},check(e){const t="string"==typeof e.value?e.value.trim():"";for(const n of Object.values(this.rules)){const o=n(e,t);if(o)return o}return null},validateField(e){if(e.disabled)return!0;const t=this.check(e);return t?(this.showFieldError(e,t),!1):(this.clearFieldError(e),(e.required||e.value)&&e.setAttribute("aria-invalid","false"),!0)},validateForm(e){const t=this.getFields(e).filter(e=>!this.validateField(e));return t.length>0&&(t[0].focus({preventScroll:!0}),t[0].scrollIntoView({behavior:"smooth",block:"center"})),t},getMessageKey(e,t){const n=t.rule.charAt(0).toUpperCase()+t.rule.slice(1);return e.dataset[`error${n}`]||e.dataset.error||`validation.${t.key}`},getErrorId(e){const t=`${e.form?e.form.id:"form"}-${e.name}`;return`${this.isGroup(e)?t:e.id||t}-error`},showFieldError(e,t){"string"==typeof t&&(t={rule:t,key:t});const n=this.getMessageKey(e,t),o=this.getErrorId(e),s="checkbox"===e.type||"radio"===e.type;let a=document.getElementById(o);a||(a=document.createElement("span"),a.id=o,a.className=s?"consent-error":"field-error",this.isGroup(e)?(e.closest("fieldset")||e.parentElement).appendChild(a):s?e.parentElement.appendChild(a):e.insertAdjacentElement("afterend",a)),a.innerHTML=LanguageManager.markup(n,t.params||null),e.classList.add("error"),e.setAttribute("aria-invalid","true");const i=(e.getAttribute("aria-describedby")||"").split(/\s+/).filter(Boolean);i.includes(o)||e.setAttribute("aria-describedby",[...i,o].join(" "))},clearFieldError(e){const t=this.getErrorId(e);document.getElementById(t)?.remove(),e.classList.remove("error"),e.removeAttribute("aria-invalid");const n=(e.getAttribute("aria-describedby")||"").split(/\s+/).filter(e=>e&&e!==t);n.length>0?e.setAttribute("aria-describedby",n.join(" ")):e.removeAttribute("aria-describedby")},clearForm(e){this.getFields(e).forEach(e=>this.clearFieldError(e))},isValidEmail:e=>/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e),isValidPhone(e,t="intl"){const n=e.replace(/[\s().-]/g,""),o=/^(\+4|)?(07[0-8]{1}[0-9]{7}|02[0-9]{8}|03[0-9]{8})$/.test(n);return"ro"===t?o:o||/^\+[1-9]\d{6,14}$/.test(n.replace(/^00/,"+"))}},FormBackends={adapters:{},defaultBackend:"formspree",register(e,t){this.adapters[e]={name:e,...t}},get(e){return this.adapters[e]||null},resolve(e){const t=e.dataset.backend||this.defaultBackend,n=this.get(t);return n||(console.warn(`Unknown form backend "${t}", using ${this.defaultBackend}`),this.get(this.defaultBackend))},getUrl:(e,t)=>"mailto"===t.name?e.dataset.mailto:e.dataset.backendUrl||e.getAttribute("action"),isAllowed(e){const t=this.resolve(e);return!t.vendor||CookieConsent.hasVendorConsent(t.vendor)},send(e,t=new FormData(e),n={}){const o=this.resolve(e);return this.sendTo(o.name,this.getUrl(e,o),t,{...n,form:e})},async sendTo(e,t,n,o={}){const s=this.get(e),a=await s.send(t,n,o);return{ok:a.ok,status:a.status||0,errors:this.normalizeErrors(a.body),body:a.body||{},backend:e}},normalizeErrors(e){if(!e)return[];if(Array.isArray(e.errors))return e.errors.map(e=>({field:e.field||null,code:e.code||null,message:e.message||""}));const t=e.error||(!1===e.ok?e.message:null);return t?[{field:null,code:null,message:t}]:[]},async readJson(e){try{return await e.json()}catch(e){return{}}},toObject(e){const t={};return e.forEach((e,n)=>{t[n]=n in t?[].concat(t[n],e):e}),t}};FormBackends.register("formspree",{vendor:"formspree",queueable:!0,async send(e,t){const n=await fetch(e,{method:"POST",body:t,headers:{Accept:"application/json"}});return{ok:n.ok,status:n.status,body:await FormBackends.readJson(n)}}}),FormBackends.register("json",{queueable:!0,async send(e,t){const n=await fetch(e,{method:"POST",body:JSON.stringify(FormBackends.toObject(t)),headers:{Accept:"application/json","Content-Type":"application/json"}});return{ok:n.ok,status:n.status,body:await FormBackends.readJson(n)}}}),FormBackends.register("mailto",{async send(e,t,n={}){const o=n.message||{to:e,subject:t.get("_subject")||document.title,body:Array.from(t.entries()).filter(([e])=>!e.startsWith("_")).map(([e,t])=>`${e}: ${t}`).join("\r\n")};return window.location.href=`mailto:${o.to}?subject=${encodeURIComponent(o.subject)}&body=${encodeURIComponent(o.body)}`,{ok:!0,status:0,body:{message:o}}}}),FormBackends.register("mock",{send(e,t,n={}){const o=n.form,s=o?o.dataset.mockResult:null,a=o&&parseInt(o.dataset.mockDelay,10)||800;return new Promise((e,t)=>{setTimeout(()=>{"network"===s?t(new TypeError("Mock network failure")):e("error"===s?{ok:!1,status:422,body:{errors:[{field:"email",code:"TYPE_EMAIL",message:"should be an email"}]}}:{ok:!0,status:200,body:{ok:!0}})},a)})}});const FormDrafts={keyPrefix:"formDraft:",forms:new Map,personalFields:["name","email","phone"],personalTypes:["email","tel"],personalAutocomplete:/^(name|given-name|family-name|email|tel)/,attach(e){if(!e.id||this.forms.has(e))return;this.forms.set(e,{pending:!1,save:debounce(()=>this.save(e),500)});const t=this.load(e);t&&Object.keys(t.fields).length>0&&this.showPrompt(e,t)},handleInput(e){const t=this.forms.get(e);t&&(t.pending&&this.removePrompt(e),t.save())},getKey(e){return`${this.keyPrefix}${e.id}`},getDraftFields(e){return Array.from(e.elements).filter(e=>e.name&&!e.name.startsWith("_")&&!["checkbox","radio","hidden","password","file","submit","button"].includes(e.type)&&!this.isPersonal(e)&&"off"!==e.dataset.draft&&!e.closest('[data-draft="off"]'))},isPersonal(e){return this.personalFields.includes(e.name)||this.personalTypes.includes(e.type)||this.personalAutocomplete.test(e.getAttribute("autocomplete")||"")},save(e){const t=this.forms.get(e);if(!t||t.pending)return;const n={};this.getDraftFields(e).forEach(e=>{e.value.trim()&&(n[e.name]=e.value)});try{0===Object.keys(n).length?sessionStorage.removeItem(this.getKey(e)):sessionStorage.setItem(this.getKey(e),JSON.stringify({savedAt:(new Date).toISOString(),fields:n}))}catch(e){}},load(e){try{return JSON.parse(sessionStorage.getItem(this.getKey(e)))}catch(e){return null}},restore(e){const t=this.load(e);this.removePrompt(e),t&&this.getDraftFields(e).forEach(e=>{e.name in t.fields&&(e.value=t.fields[e.name],e.dispatchEvent(new Event("change",{bubbles:!0})))})},clear(e){this.removePrompt(e);try{sessionStorage.removeItem(this.getKey(e))}catch(e){}},showPrompt(e,t){this.forms.get(e).pending=!0;const n=new Date(t.savedAt).toLocaleTimeString("en"===LanguageManager.currentLang?"en-GB":"ro-RO",{hour:"2-digit",minute:"2-digit"}),o=document.createElement("div");o.className="form-draft-prompt",o.setAttribute("role","status"),o.innerHTML=`\n            <p>${LanguageManager.markup("drafts.prompt",{time:n})}</p>\n            <div class="form-draft-actions">\n                <button type="button" class="form-retry-btn" data-draft-action="restore">\n                    ${LanguageManager.markup("drafts.restore")}\n                </button>\n                <button type="button" class="form-draft-discard" data-draft-action="discard">\n                    ${LanguageManager.markup("drafts.discard")}\n                </button>\n            </div>\n        `,o.addEventListener("click",t=>{const n=t.target.closest("[data-draft-action]");n&&("restore"===n.dataset.draftAction?this.restore(e):this.clear(e))}),e.insertBefore(o,e.firstChild)},removePrompt(e){const t=this.forms.get(e);t&&(t.pending=!1);const n=e.querySelector(".form-draft-prompt");n&&n.remove()}},SpamGuard={minFillTimeMs:3e3,rateLimit:{max:3,windowMs:36e5},rateLimitKey:"formSubmitAttempts",powDifficulty:12,powTimeoutMs:15e3,states:new WeakMap,powWorkerSource:"\n        self.onmessage = async (event) => {\n            const { challenge, difficulty } = event.data;\n            const encoder = new TextEncoder();\n            \n            const leadingZeroBits = (bytes) => {\n                let bits = 0;\n                for (const byte of bytes) {\n                    if (byte === 0) {\n                        bits += 8;\n                        continue;\n                    }\n                    bits += Math.clz32(byte) - 24;\n                    break;\n                }\n                return bits;\n            };\n            \n            try {\n                for (let nonce = 0; ; nonce++) {\n                    const digest = await crypto.subtle.digest('SHA-256', encoder.encode(challenge + ':' + nonce));\n                    if (leadingZeroBits(new Uint8Array(digest)) >= difficulty) {\n                        self.postMessage({ nonce: nonce });\n                        return;\n                    }\n                }\n            } catch (e) {\n                self.postMessage({ error: e.message });\n            }\n        };\n    ",protect(e){if(this.states.has(e))return;const t=document.createElement("div");t.className="form-honeypot",t.setAttribute("aria-hidden","true"),t.innerHTML='\n            <label>\n                Website\n                <input type="text" name="_gotcha" tabindex="-1" autocomplete="off">\n            </label>\n            <input type="hidden" name="_pow_challenge">\n            <input type="hidden" name="_pow_nonce">\n            <input type="hidden" name="_pow_difficulty">\n        ',e.appendChild(t),this.states.set(e,{readyAt:Date.now(),pow:null}),e.addEventListener("focusin",()=>this.startProofOfWork(e),{once:!0})},reset(e){const t=this.states.get(e);t&&(t.readyAt=Date.now(),t.pow=null,e.querySelector('[name="_pow_challenge"]').value="",e.querySelector('[name="_pow_nonce"]').value="",e.querySelector('[name="_pow_difficulty"]').value="",this.startProofOfWork(e))},startProofOfWork(e){const t=this.states.get(e);if(!t)return Promise.resolve(null);if(t.pow)return t.pow;const n=`${Date.now()}:${generateId()}`;return t.challenge=n,t.pow=new Promise(e=>{if("undefined"==typeof Worker)return void e(null);let t,o;try{o=URL.createObjectURL(new Blob([this.powWorkerSource],{type:"text/javascript"})),t=new Worker(o)}catch(t){return void e(null)}const s=n=>{clearTimeout(a),t.terminate(),URL.revokeObjectURL(o),e(n)},a=setTimeout(()=>s(null),this.powTimeoutMs);t.onmessage=e=>s(e.data.error?null:e.data.nonce),t.onerror=()=>s(null),t.postMessage({challenge:n,difficulty:this.powDifficulty})}).then(o=>(null!==o&&t.challenge===n&&(e.querySelector('[name="_pow_challenge"]').value=n,e.querySelector('[name="_pow_nonce"]').value=o,e.querySelector('[name="_pow_difficulty"]').value=this.powDifficulty),o)),t.pow},getAllAttempts(){try{const e=JSON.parse(localStorage.getItem(this.rateLimitKey)||"{}");return e&&!Array.isArray(e)&&"object"==typeof e?e:{}}catch(e){return{}}},getAttempts(e){const t=Date.now()-this.rateLimit.windowMs;return(this.getAllAttempts()[e.id]||[]).filter(e=>e>t)},recordAttempt(e){const t=Date.now()-this.rateLimit.windowMs,n=this.getAllAttempts();Object.keys(n).forEach(e=>{n[e]=(n[e]||[]).filter(e=>e>t),0===n[e].length&&delete n[e]}),n[e.id]=[...n[e.id]||[],Date.now()];try{localStorage.setItem(this.rateLimitKey,JSON.stringify(n))}catch(e){console.warn("Could not save submission attempt")}},async check(e){const t=this.states.get(e);if(!t)return null;const n=e.querySelector('[name="_gotcha"]');return n&&n.value?"spam_suspected":Date.now()-t.readyAt<this.minFillTimeMs?"too_fast":this.getAttempts(e).length>=this.rateLimit.max?"rate_limited":(await this.startProofOfWork(e),null)}},GDPRFormHandler={form:null,isInitialized:!1,emailMode:!1,waitlist:!1,backgroundSync:!1,syncTag:"event-registrations",tabId:null,init(){this.form=document.getElementById("eventRegistrationForm"),this.form&&(this.isInitialized=!0,this.checkThirdPartyCookies(),SpamGuard.protect(this.form),this.form.addEventListener("submit",e=>{e.preventDefault(),this.handleSubmit(this.form)}),FormValidator.attach(this.form),FormDrafts.attach(this.form),this.form.addEventListener("input",()=>FormDrafts.handleInput(this.form)),window.addEventListener("cookieConsentChanged",e=>{console.log("Cookie consent changed, updating form state...",e.detail),this.handleCookieConsentChange(e.detail)}),"serviceWorker"in navigator&&navigator.serviceWorker.addEventListener("message",e=>{this.handleWorkerMessage(e.data)}),window.addEventListener("online",()=>{this.backgroundSync||this.flushQueuedRegistrations()}),!("SyncManager"in window)&&navigator.onLine&&this.flushQueuedRegistrations())},handleCookieConsentChange(e){this.form&&FormBackends.isAllowed(this.form)?(console.log("Form backend allowed, enabling form..."),this.enableForm()):(console.log("Form backend not allowed, using email fallback..."),this.useEmailFallback())},checkThirdPartyCookies(){this.form&&(FormBackends.isAllowed(this.form)?this.enableForm():this.useEmailFallback())},enableForm(){if(!this.form)return;console.log("Enabling event registration form..."),this.emailMode=!1,this.setVendorConsentsActive(!0);this.form.querySelectorAll(".consent-notice").forEach(e=>e.remove()),this.form.classList.remove("consent-required"),this.form.style.opacity="1",this.form.style.pointerEvents="auto";this.form.querySelectorAll("input, textarea, select").forEach(e=>{e.disabled=!1,e.removeAttribute("disabled"),e.style.cursor="auto",e.style.opacity="1"});const e=this.form.querySelector('button[type="submit"]');e&&(e.disabled=!1,e.style.cursor="pointer",e.style.opacity="1"),this.updateSubmitLabel();const t=document.getElementById("formErrors");t&&(t.style.display="none",t.innerHTML=""),this.form.style.transition="all 0.3s ease",this.form.style.border="2px solid #4CAF50",setTimeout(()=>{this.form.style.border=""},2e3),console.log("Form enabled successfully")},useEmailFallback(){if(!this.form)return;if(this.emailMode=!0,!this.form.querySelector(".consent-notice")){const e=document.createElement("div");e.className="consent-notice",e.innerHTML=`\n                <p>\n                    ${LanguageManager.markup("registration.email_notice")}\n                    <button type="button" onclick="openCookieSettings()">\n                        ${LanguageManager.markup("registration.use_direct_form")}\n                    </button>\n                </p>\n            `,this.form.insertBefore(e,this.form.firstChild)}this.form.classList.remove("consent-required"),this.setVendorConsentsActive(!1);const e=this.form.querySelector('button[type="submit"]');e&&(e.disabled=!1,e.style.cursor="pointer",e.style.opacity="1"),this.updateSubmitLabel()},updateSubmitLabel(){const e=this.form&&this.form.querySelector('button[type="submit"]');if(!e)return;const t=this.emailMode?"email":"form",n=LanguageManager.markup(`registration.submit.${this.waitlist?`waitlist_${t}`:t}`);e.dataset.loadingText?e.dataset.loadingText=n:e.innerHTML=n},setWaitlistMode(e){if(!this.form)return;this.waitlist=e,this.form.classList.toggle("waitlist-mode",e);const t=this.form.querySelector("#registrationType");t&&(t.value=e?"waitlist":"registration");const n=document.getElementById("waitlistNotice");n&&(n.hidden=!e),this.updateSubmitLabel()},setVendorConsentsActive(e,t=this.form){t.querySelectorAll("input[data-consent-vendor]").forEach(t=>{(t.closest(".consent-item")||t.parentElement).hidden=!e,t.required=e,e||(t.checked=!1,FormValidator.clearFieldError(t))})},getConsentStatements:e=>Array.from(e.querySelectorAll('input[type="checkbox"][required]')).filter(e=>e.checked).map(t=>{const n=e.querySelector(`label[for="${t.id}"]`);return n?n.textContent.replace(/\*/g,"").replace(/\s+/g," ").trim():t.name}),buildEmailMessage(e){const n=LanguageManager.currentLang,o=new FormData(e),s=EventData.getEvent(o.get("event_id")),a=s?s.title[n]:"",i=this.waitlist?t("registration.email.waitlist_subject"):t("registration.email.subject"),r=[this.waitlist?t("registration.email.waitlist_heading"):t("registration.email.heading"),"",`${t("registration.email.event")}: ${a} (${o.get("event_id")||"-"})`,`${t("registration.email.date")}: ${s?EventData.formatDate(s,n):"-"}`,`${t("emails.name")}: ${o.get("name")||"-"}`,`${t("emails.email")}: ${o.get("email")}`,"",`${t("emails.consents")}:`,...this.getConsentStatements(e).map(e=>`- ${e}`),"",`${t("emails.policy")}: ${CookieConsent.policyVersion}`,`${t("emails.hash")}: ${o.get("consent_hash")||"-"}`,`${t("emails.channel")} (${o.get("consent_timestamp")||(new Date).toISOString()})`];return{to:e.dataset.mailto,subject:a?`${i}: ${a}`:i,body:r.join("\r\n")}},async submitByEmail(e){await this.stampConsent(e);const t=this.buildEmailMessage(e);await FormBackends.sendTo("mailto",t.to,new FormData(e),{message:t}),this.showEmailFallback(t)},downloadEml(e,t="inregistrare-eveniment.eml"){const n=(new TextEncoder).encode(e.subject),o=`=?UTF-8?B?${btoa(String.fromCharCode(...n))}?=`;downloadFile([`To: ${e.to}`,`Subject: ${o}`,"X-Unsent: 1","MIME-Version: 1.0","Content-Type: text/plain; charset=UTF-8","Content-Transfer-Encoding: 8bit","",e.body].join("\r\n"),t,"message/rfc822")},showEmailFallback(e){const t=document.getElementById("formSuccess");t&&(t.classList.remove("form-queued"),t.innerHTML=`\n            <strong>${LanguageManager.markup("registration.email_ready.title")}</strong>\n            <p>${LanguageManager.markup("registration.email_ready.text",{email:e.to})}</p>\n            <button type="button" class="form-retry-btn" data-download-eml>\n                ${LanguageManager.markup("emails.download_eml")}\n            </button>\n        `,t.querySelector("[data-download-eml]").addEventListener("click",()=>this.downloadEml(e)),t.hidden=!1,t.scrollIntoView({behavior:"smooth",block:"center"}))},async handleSubmit(e){if(this.hideMessages(),FormValidator.validateForm(e).length>0)return void this.showError("form","invalid_fields",{scroll:!1});if(!FormBackends.isAllowed(e))return void this.submitByEmail(e);const t=e.querySelector('button[type="submit"]');this.setLoading(t,!0);const n=await SpamGuard.check(e);this.setLoading(t,!1),n?this.showError("form",n):this.submitForm(e)},errorMessages:{invalid_fields:"errors.invalid_fields",rate_limited:"errors.rate_limited",too_fast:"errors.too_fast",spam_suspected:"errors.spam_suspected",server_error:"errors.server_error",network_error:"errors.network_error"},contactEmail:"razvanmischie@consiliereonline.com",serverErrorCodes:{TYPE_EMAIL:"email",REQUIRED_FIELD_EMPTY:"required",REQUIRED_FIELD_MISSING:"required"},showError(e,t,n={}){const o=this.errorMessages[`${e}_${t}`]||this.errorMessages[t];o&&this.displayErrors([o],n)},displayErrors(e,t={}){const n=t.container||document.getElementById("formErrors");if(!n)return;const o=e=>"string"==typeof e?LanguageManager.markup(e,{email:this.contactEmail}):escapeHtml(e.text);if(n.innerHTML=1===e.length?o(e[0]):`<ul>${e.map(e=>`<li>${o(e)}</li>`).join("")}</ul>`,t.onRetry){const e=document.createElement("button");e.type="button",e.className="form-retry-btn",e.innerHTML=LanguageManager.markup("errors.retry"),e.addEventListener("click",t.onRetry),n.appendChild(e)}n.style.display="block",!1!==t.scroll&&n.scrollIntoView({behavior:"smooth",block:"center"}),n.style.animation="shake 0.5s",setTimeout(()=>{n.style.animation=""},500)},showServerErrors(e,t=null,n={}){if(429===e.status)return void this.showError("form","rate_limited",n);const o=e.errors.map(e=>{const n=this.serverErrorCodes[e.code];if(!n)return e.message?{text:e.message}:null;const o=t&&e.field?t.elements.namedItem(e.field):null;return o&&1===o.nodeType&&FormValidator.showFieldError(o,n),`validation.${n}`}).filter(Boolean),s=Array.from(new Set(o));this.displayErrors(s.length>0?s:[this.errorMessages.server_error],n)},showSuccess(){const e=document.getElementById("formSuccess");if(!e)return;e.classList.remove("form-queued");const t=this.waitlist?"registration.waitlisted":"registration.sent";e.innerHTML=`\n            <strong>${LanguageManager.markup(`${t}.title`)}</strong>\n            <p>${LanguageManager.markup(`${t}.text`)}</p>\n        `,e.hidden=!1,e.scrollIntoView({behavior:"smooth",block:"center"})},hideMessages(){const e=document.getElementById("formErrors");e&&(e.style.display="none",e.innerHTML="");const t=document.getElementById("formSuccess");t&&(t.hidden=!0)},setLoading(e,t){if(!t)return e.disabled=!1,e.innerHTML=e.dataset.loadingText||e.innerHTML,void delete e.dataset.loadingText;e.dataset.loadingText=e.innerHTML,e.disabled=!0,e.innerHTML=LanguageManager.markup("forms.sending"),e.style.position="relative",e.style.overflow="hidden";const n=document.createElement("span");if(n.style.cssText="\n            position: absolute;\n            top: 50%;\n            left: 50%;\n            transform: translate(-50%, -50%);\n            width: 20px;\n            height: 20px;\n            border: 2px solid rgba(255, 255, 255, 0.3);\n            border-top-color: white;\n            border-radius: 50%;\n            animation: spin 1s linear infinite;\n        ",e.appendChild(n),!document.querySelector("style[data-spinner]")){const e=document.createElement("style");e.setAttribute("data-spinner","true"),e.textContent="\n                @keyframes spin {\n                    to { transform: translate(-50%, -50%) rotate(360deg); }\n                }\n                @keyframes shake {\n                    0%, 100% { transform: translateX(0); }\n                    10%, 30%, 50%, 70%, 90% { transform: translateX(-5px); }\n                    20%, 40%, 60%, 80% { transform: translateX(5px); }\n                }\n            ",document.head.appendChild(e)}},async submitForm(e){const t=e.querySelector('button[type="submit"]');let n;this.hideMessages(),this.setLoading(t,!0),await this.stampConsent(e);try{if(!navigator.onLine)throw new Error("Browser is offline");n=await FormBackends.send(e)}catch(n){return console.warn("Form submission failed:",n),this.setLoading(t,!1),void(FormBackends.resolve(e).queueable&&await this.queueSubmission(e)?(e.reset(),FormDrafts.clear(e),SpamGuard.reset(e),this.showQueued()):this.showError("form","network_error",{onRetry:()=>this.handleSubmit(e)}))}this.setLoading(t,!1),n.ok?(SpamGuard.recordAttempt(e),this.trackFormSubmission(this.buildConsentSnapshot(e)),e.reset(),FormDrafts.clear(e),SpamGuard.reset(e),this.showSuccess()):this.showServerErrors(n,e)},buildConsentSnapshot(e){const t={};e.querySelectorAll('input[type="checkbox"][required]').forEach(e=>{t[e.name||e.id]=e.checked});const n=e.querySelector('input[name="consent_hash"]');return{policyVersion:CookieConsent.policyVersion,formspree:CookieConsent.hasVendorConsent("formspree"),consents:t,textHash:n&&n.value||null,capturedAt:(new Date).toISOString()}},async stampConsent(e){const t=LanguageManager.currentLang,n=this.getConsentStatements(e).join("\n");let o=null;try{o=await sha256Hex(n)}catch(e){console.warn("Could not hash consent texts:",e)}const s={consent_texts:n,consent_hash:o?`sha256:${o}`:"",consent_language:t,consent_policy_version:CookieConsent.policyVersion,consent_timestamp:(new Date).toISOString()};return Object.entries(s).forEach(([t,n])=>{let o=e.querySelector(`input[type="hidden"][name="${t}"]`);o||(o=document.createElement("input"),o.type="hidden",o.name=t,e.appendChild(o)),o.value=n}),s},async queueSubmission(e){const t=FormBackends.resolve(e),n={id:generateId(),backend:t.name,action:FormBackends.getUrl(e,t),fields:Array.from(new FormData(e).entries()),consent:this.buildConsentSnapshot(e),tabId:this.getTabId(),queuedAt:(new Date).toISOString()};try{await OfflineStore.add("pendingRegistrations",n)}catch(e){return console.warn("Could not queue registration:",e),!1}return this.backgroundSync=await OfflineStore.requestSync(this.syncTag),!0},async flushQueuedRegistrations(){if(!await OfflineStore.exists())return;let e;try{e=await OfflineStore.getAll("pendingRegistrations")}catch(e){return}for(const t of e){const e=new FormData;let n;t.fields.forEach(([t,n])=>e.append(t,n));try{n=await FormBackends.sendTo(t.backend||"formspree",t.action,e)}catch(e){break}if(!n.ok&&n.status>=500)break;await OfflineStore.delete("pendingRegistrations",t.id),this.handleWorkerMessage({type:n.ok?"REGISTRATION_SENT":"REGISTRATION_REJECTED",id:t.id,tabId:t.tabId,consent:t.consent,status:n.status,errors:n.errors})}},handleWorkerMessage(e){e&&e.tabId===this.getTabId()&&("REGISTRATION_SENT"===e.type?(this.trackFormSubmission(e.consent),this.hideMessages(),this.showSuccess()):"REGISTRATION_REJECTED"===e.type&&(this.hideMessages(),this.showServerErrors({status:e.status,errors:e.errors||[]})))},getTabId(){if(!this.tabId)try{this.tabId=sessionStorage.getItem("tabId")||generateId(),sessionStorage.setItem("tabId",this.tabId)}catch(e){this.tabId=generateId()}return this.tabId},showQueued(){const e=document.getElementById("formSuccess");e&&(e.innerHTML=`\n            <strong>${LanguageManager.markup("registration.queued.title")}</strong>\n            <p>${LanguageManager.markup("registration.queued.text")}</p>\n        `,e.classList.add("form-queued"),e.hidden=!1,e.scrollIntoView({behavior:"smooth",block:"center"}))},trackFormSubmission(e){this.saveSubmissionAudit(e,"event_registration"),"undefined"!=typeof gtag&&CookieConsent.hasAccepted()&&gtag("event","form_submit",{event_category:"GDPR_Compliant_Form",event_label:"Event Registration",consents_given:!0})},saveSubmissionAudit(e,t){const n=e.consents||{},o={timestamp:(new Date).toISOString(),form:t,policyVersion:e.policyVersion,consentHash:e.textHash||null,consents:{dataProcessing:n.dataProcessingConsent||!1,internationalTransfer:n.internationalTransferConsent||!1,privacyPolicy:n.privacyPolicyConsent||!1}};try{const e=JSON.parse(localStorage.getItem("formSubmissions")||"[]");e.push(o),e.length>5&&e.shift(),localStorage.setItem("formSubmissions",JSON.stringify(e))}catch(e){console.warn("Could not save form submission data")}}},DSARFormHandler={form:null,select:null,deadlineDays:30,storageKey:"dsarRequests",requestTypes:["access","rectification","erasure","restriction","portability","objection","withdrawal"],shownReceipt:null,init(){this.form=document.getElementById("dsarForm"),this.form&&(this.select=document.getElementById("dsarType"),this.renderTypes(),window.addEventListener("languageChanged",()=>{this.renderTypes(),this.shownReceipt&&this.renderReceipt(this.shownReceipt.receipt,this.shownReceipt.message)}),SpamGuard.protect(this.form),this.form.addEventListener("submit",e=>{e.preventDefault(),this.handleSubmit()}),FormValidator.attach(this.form))},renderTypes(){if(!this.select)return;const e=this.select.value;this.select.innerHTML=`<option value="" disabled selected>${escapeHtml(t("dsar.choose_type"))}</option>`+this.requestTypes.map(e=>`<option value="${e}">${escapeHtml(t(`dsar.types.${e}`))}</option>`).join(""),this.select.value=e},showError(e,t={}){GDPRFormHandler.showError("form",e,{...t,container:document.getElementById("dsarErrors")})},hideMessages(){const e=document.getElementById("dsarErrors");e&&(e.style.display="none",e.innerHTML="")},async handleSubmit(){const e=this.form;if(this.hideMessages(),FormValidator.validateForm(e).length>0)return void this.showError("invalid_fields",{scroll:!1});const t=this.buildReceipt(),n=await GDPRFormHandler.stampConsent(e);if(t.consentHash=n.consent_hash||null,!FormBackends.isAllowed(e)){const e=this.buildFormData(t),n=this.buildEmailMessage(e,t);return await FormBackends.sendTo("mailto",n.to,e,{message:n}),void this.complete({...t,channel:"email"},n)}const o=e.querySelector('button[type="submit"]');GDPRFormHandler.setLoading(o,!0);const s=await SpamGuard.check(e);if(s)return GDPRFormHandler.setLoading(o,!1),void this.showError(s);let a;try{a=await FormBackends.send(e,this.buildFormData(t))}catch(e){return console.warn("DSAR submission failed:",e),GDPRFormHandler.setLoading(o,!1),void GDPRFormHandler.showError("form","network_error",{container:document.getElementById("dsarErrors"),onRetry:()=>this.handleSubmit()})}GDPRFormHandler.setLoading(o,!1),a.ok?(SpamGuard.recordAttempt(e),SpamGuard.reset(e),this.complete({...t,channel:"form"})):this.showError(429===a.status?"rate_limited":"server_error")},buildFormData(e){const n=new FormData(this.form);return n.append("reference",e.reference),n.append("due_by",e.dueBy),n.append("_subject",`Cerere GDPR ${e.reference}: ${t(`dsar.types.${e.type}`,{},"ro")}`),n},generateReference:(e=new Date)=>`DSAR-${e.toISOString().slice(0,10).replace(/-/g,"")}-${generateId().replace(/-/g,"").slice(0,6).toUpperCase()}`,buildReceipt(){const e=new Date,t=new Date(e.getTime()+24*this.deadlineDays*60*60*1e3);return{reference:this.generateReference(e),type:this.select.value,submittedAt:e.toISOString(),dueBy:t.toISOString(),policyVersion:CookieConsent.policyVersion}},buildEmailMessage(e,n){const o=LanguageManager.currentLang,s=GDPRFormHandler.getConsentStatements(this.form);return{to:this.form.dataset.mailto,subject:e.get("_subject"),body:[`${t("dsar.email.reference")}: ${n.reference}`,`${t("dsar.email.type")}: ${t(`dsar.types.${n.type}`)}`,`${t("emails.name")}: ${e.get("name")}`,`${t("emails.email")}: ${e.get("email")}`,`${t("dsar.email.details")}: ${e.get("details")||"-"}`,`${t("dsar.email.due")}: ${this.formatDate(n.dueBy,o)}`,"",...s.map(e=>`- ${e}`)].join("\r\n")}},formatDate:(e,t)=>new Intl.DateTimeFormat("ro"===t?"ro-RO":"en-GB",{dateStyle:"long"}).format(new Date(e)),saveReceipt(e){try{const t=JSON.parse(localStorage.getItem(this.storageKey)||"[]");t.push(e),t.length>10&&t.shift(),localStorage.setItem(this.storageKey,JSON.stringify(t))}catch(e){console.warn("Could not save DSAR receipt")}},complete(e,t=null){this.saveReceipt(e),this.form.reset(),this.showReceipt(e,t)},showReceipt(e,t){const n=document.getElementById("dsarReceipt");n&&(this.shownReceipt={receipt:e,message:t},this.renderReceipt(e,t),n.hidden=!1,n.scrollIntoView({behavior:"smooth",block:"center"}))},renderReceipt(e,n){const o=document.getElementById("dsarReceipt"),s=LanguageManager.currentLang,a=e=>escapeHtml(t(`dsar.receipt.${e}`));o.innerHTML=`\n            <strong>${a("title")}</strong>\n            <dl class="dsar-receipt-details">\n                <dt>${a("reference")}</dt>\n                <dd><code>${e.reference}</code></dd>\n                <dt>${a("type")}</dt>\n                <dd>${escapeHtml(t(`dsar.types.${e.type}`))}</dd>\n                <dt>${a("submitted")}</dt>\n                <dd>${this.formatDate(e.submittedAt,s)}</dd>\n                <dt>${a("due")}</dt>\n                <dd>${this.formatDate(e.dueBy,s)}</dd>\n            </dl>\n            ${n?`<p>${a("email_note")}</p>`:""}\n            <p>${a("keep")}</p>\n            <button type="button" class="form-retry-btn" data-download-receipt>${a("download")}</button>\n            ${n?`\n                <button type="button" class="form-retry-btn" data-download-eml>${escapeHtml(t("emails.download_eml"))}</button>\n            `:""}\n        `,o.querySelector("[data-download-receipt]").addEventListener("click",()=>this.downloadReceipt(e)),n&&o.querySelector("[data-download-eml]").addEventListener("click",()=>GDPRFormHandler.downloadEml(n))},downloadReceipt(e){downloadFile(JSON.stringify(e,null,2),`${e.reference}.json`,"application/json")}},LanguageManager={currentLang:"ro",defaultLang:"ro",supported:["ro","en"],dictionaryUrl:"./i18n/{lang}.json",dictionaries:{},loading:{},dictionaryTimeoutMs:5e3,init(){const e=this.getSavedLanguage(),t=navigator.language.toLowerCase();e&&this.supported.includes(e)?this.currentLang=e:t.startsWith("en")&&(this.currentLang="en"),this.setupLanguageButtons();const n=Promise.all([this.loadDictionary(this.defaultLang),this.setLanguage(this.currentLang)]),o=new Promise(e=>setTimeout(e,this.dictionaryTimeoutMs));return Promise.race([n,o])},getSavedLanguage(){try{return localStorage.getItem("language")}catch(e){return null}},setLanguage(e){if(!this.supported.includes(e))return Promise.resolve();this.currentLang=e,requestAnimationFrame(()=>{document.body.classList.toggle("lang-ro","ro"===e),document.documentElement.lang=e,document.querySelectorAll(".lang-btn").forEach(t=>{t.classList.toggle("active",t.dataset.lang===e),t.setAttribute("aria-pressed",t.dataset.lang===e)})});try{localStorage.setItem("language",e)}catch(e){console.warn("localStorage not available")}return this.loadDictionary(e).then(t=>{this.currentLang===e&&(t&&(this.applyTranslations(),this.updatePageMeta()),window.dispatchEvent(new CustomEvent("languageChanged",{detail:{language:e}})))})},loadDictionary(e){return this.dictionaries[e]?Promise.resolve(this.dictionaries[e]):(this.loading[e]||(this.loading[e]=fetch(this.dictionaryUrl.replace("{lang}",e)).then(e=>{if(!e.ok)throw new Error(`HTTP ${e.status}`);return e.json()}).then(t=>(this.dictionaries[e]=t,t)).catch(t=>(console.warn(`Translations for "${e}" could not be loaded:`,t),delete this.loading[e],null))),this.loading[e])},t(e,t={},n=this.currentLang){const o=[[this.dictionaries[n],n],[this.dictionaries[this.defaultLang],this.defaultLang]].map(([n,o])=>{const s=e.split(".").reduce((e,t)=>e&&"object"==typeof e?e[t]:void 0,n);return s&&"object"==typeof s&&"number"==typeof t.count?s[new Intl.PluralRules(o).select(t.count)]||s.other:s}).find(e=>"string"==typeof e);return void 0===o?e:o.replace(/\{(\w+)\}/g,(e,n)=>n in t?String(t[n]):e)},html(e,t={}){const n={};return Object.entries(t).forEach(([e,t])=>{n[e]=escapeHtml(String(t))}),this.t(e,n)},markup(e,t=null){return`<span data-i18n="${e}"${this.paramsAttr(t)}>${escapeHtml(this.t(e,t||{}))}</span>`},markupHtml(e,t=null){return`<span data-i18n-html="${e}"${this.paramsAttr(t)}>${this.html(e,t||{})}</span>`},paramsAttr:e=>e?` data-i18n-params="${escapeHtml(JSON.stringify(e))}"`:"",applyTranslations(e=document){e.querySelectorAll("[data-i18n], [data-i18n-html]").forEach(e=>{let t={};try{t=JSON.parse(e.dataset.i18nParams||"{}")}catch(e){}e.dataset.i18nHtml?e.innerHTML=this.html(e.dataset.i18nHtml,t):e.textContent=this.t(e.dataset.i18n,t)})},setupLanguageButtons(){document.querySelectorAll(".lang-btn").forEach(e=>{e.addEventListener("click",t=>{t.preventDefault(),this.setLanguage(e.dataset.lang)})})},updatePageMeta(){document.title=this.t("meta.title");const e=document.querySelector('meta[name="description"]');e&&(e.content=this.t("meta.description"))}},t=(e,t,n)=>LanguageManager.t(e,t,n),MobileMenu={isOpen:!1,menu:null,toggle:null,init(){this.menu=document.getElementById("navMenu"),this.toggle=document.querySelector(".mobile-menu-toggle"),this.toggle&&(this.toggle.addEventListener("click",()=>this.toggleMenu()),this.toggle.addEventListener("keydown",e=>{"Enter"!==e.key&&" "!==e.key||(e.preventDefault(),this.toggleMenu())})),document.addEventListener("click",e=>{this.isOpen&&!e.target.closest(".nav-container")&&this.closeMenu()}),document.addEventListener("keydown",e=>{"Escape"===e.key&&this.isOpen&&(this.closeMenu(),this.toggle.focus())}),this.menu?.addEventListener("click",e=>{e.target.classList.contains("nav-link")&&this.closeMenu()})},toggleMenu(){this.isOpen=!this.isOpen,requestAnimationFrame(()=>{this.menu.classList.toggle("active",this.isOpen),this.toggle.setAttribute("aria-expanded",this.isOpen),this.animateHamburger(this.isOpen)})},closeMenu(){this.isOpen=!1,requestAnimationFrame(()=>{this.menu.classList.remove("active"),this.toggle.setAttribute("aria-expanded","false"),this.animateHamburger(!1)})},animateHamburger(e){const t=this.toggle.querySelectorAll("span");e?(t[0].style.transform="rotate(45deg) translateY(8px)",t[1].style.opacity="0",t[2].style.transform="rotate(-45deg) translateY(-8px)"):t.forEach(e=>{e.style.transform="",e.style.opacity=""})}};class Carousel{constructor(){this.currentSlide=0,this.autoPlayInterval=null,this.touchStartX=0,this.touchEndX=0,this.track=null,this.slides=[],this.dots=[],this.isTransitioning=!1,this.slideWidth=0,this.trackWidth=0,this.eventImages=EventData.events.map(e=>e.image),this.eventCaptions=EventData.events.map(e=>({ro:EventData.formatCaption(e,"ro"),en:EventData.formatCaption(e,"en")}))}init(){this.track=document.getElementById("carouselTrack"),this.track&&(this.slides=Array.from(this.track.querySelectorAll(".carousel-slide")),this.cacheElementDimensions(),this.createDots(),this.setupEventListeners(),this.preloadImages(),window.matchMedia("(prefers-reduced-motion: reduce)").matches||this.startAutoPlay())}cacheElementDimensions(){if(this.slides.length>0){const e=this.slides[0];this.slideWidth=e.offsetWidth,this.trackWidth=this.slideWidth*this.slides.length}}setupEventListeners(){this.track.addEventListener("touchstart",e=>this.handleTouchStart(e),{passive:!0}),this.track.addEventListener("touchend",e=>this.handleTouchEnd(e),{passive:!0});let e=!1;this.track.addEventListener("mousedown",t=>{e=!0,this.touchStartX=t.clientX}),this.track.addEventListener("mouseup",t=>{e&&(this.touchEndX=t.clientX,this.handleSwipe()),e=!1}),this.track.addEventListener("mouseleave",()=>{e=!1});const t=document.querySelector(".carousel-nav.prev"),n=document.querySelector(".carousel-nav.next");t&&t.addEventListener("click",()=>this.move(-1)),n&&n.addEventListener("click",()=>this.move(1));const o=document.querySelector(".carousel-container");o&&(o.addEventListener("keydown",e=>{"ArrowLeft"===e.key?this.move(-1):"ArrowRight"===e.key&&this.move(1)}),o.addEventListener("mouseenter",()=>this.stopAutoPlay()),o.addEventListener("mouseleave",()=>this.startAutoPlay())),document.addEventListener("visibilitychange",()=>{document.hidden?this.stopAutoPlay():this.startAutoPlay()}),window.addEventListener("resize",debounce(()=>this.cacheElementDimensions(),250))}preloadImages(){this.eventImages.forEach((e,t)=>{if(t>0){(new Image).src=e}})}createDots(){const e=document.getElementById("carouselDots");e&&(e.innerHTML="",this.dots=[],this.slides.forEach((t,n)=>{const o=document.createElement("button");o.className="carousel-dot"+(0===n?" active":""),o.setAttribute("aria-label",`Mergi la slide ${n+1}`),o.setAttribute("aria-current",0===n?"true":"false"),o.addEventListener("click",()=>this.goToSlide(n)),e.appendChild(o),this.dots.push(o)}))}handleTouchStart(e){this.touchStartX=e.changedTouches[0].screenX}handleTouchEnd(e){this.touchEndX=e.changedTouches[0].screenX,this.handleSwipe()}handleSwipe(){const e=this.touchStartX-this.touchEndX;Math.abs(e)>50&&this.move(e>0?1:-1)}move(e){this.isTransitioning||(this.currentSlide=(this.currentSlide+e+this.slides.length)%this.slides.length,this.updateCarousel(),this.resetAutoPlay())}goToSlide(e){this.isTransitioning||e===this.currentSlide||(this.currentSlide=e,this.updateCarousel(),this.resetAutoPlay())}updateCarousel(){this.isTransitioning=!0,requestAnimationFrame(()=>{this.track.style.transform=`translateX(${100*-this.currentSlide}%)`,this.dots.forEach((e,t)=>{const n=t===this.currentSlide;e.classList.toggle("active",n),e.setAttribute("aria-current",n?"true":"false")})}),setTimeout(()=>{this.isTransitioning=!1},500),this.announceSlide()}announceSlide(){const e=document.createElement("div");e.setAttribute("role","status"),e.setAttribute("aria-live","polite"),e.className="sr-only",e.textContent=`Slide ${this.currentSlide+1} din ${this.slides.length}`,document.body.appendChild(e),setTimeout(()=>{e.parentNode&&document.body.removeChild(e)},1e3)}startAutoPlay(){this.autoPlayInterval||(this.autoPlayInterval=setInterval(()=>{this.move(1)},5e3))}stopAutoPlay(){this.autoPlayInterval&&(clearInterval(this.autoPlayInterval),this.autoPlayInterval=null)}resetAutoPlay(){this.stopAutoPlay(),this.startAutoPlay()}}const Modal={modal:null,modalImg:null,modalCaption:null,isOpen:!1,init(){this.modal=document.getElementById("imageModal"),this.modalImg=document.getElementById("modalImage"),this.modalCaption=document.getElementById("modalCaption"),this.modal&&(this.modal.addEventListener("click",e=>{(e.target===this.modal||e.target.classList.contains("modal-close"))&&this.close()}),document.addEventListener("keydown",e=>{"Escape"===e.key&&this.isOpen&&this.close()}))},open(e){if(!this.modal||!carousel)return;const t=LanguageManager.currentLang;requestAnimationFrame(()=>{this.modal.style.display="block",this.modal.offsetHeight,this.modal.classList.add("show"),this.modalImg.src=carousel.eventImages[e],this.modalImg.alt=`Imagine eveniment ${e+1}`,this.modalCaption.textContent=carousel.eventCaptions[e][t],document.body.style.overflow="hidden",this.isOpen=!0,this.modal.setAttribute("tabindex","-1"),this.modal.focus(),this.trapFocus()})},close(){this.modal&&(this.modal.classList.remove("show"),setTimeout(()=>{this.modal.style.display="none",document.body.style.overflow="",this.isOpen=!1;const e=document.querySelector(`#event${this.lastOpenedIndex+1}`);e&&e.focus()},300))},trapFocus(){const e=this.modal.querySelectorAll('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'),t=e[0],n=e[e.length-1];this.modal.addEventListener("keydown",e=>{"Tab"===e.key&&(e.shiftKey?document.activeElement===t&&(n.focus(),e.preventDefault()):document.activeElement===n&&(t.focus(),e.preventDefault()))})}},PrivacyModal={modal:null,isOpen:!1,init(){this.modal=document.getElementById("privacyModal"),this.modal&&(this.modal.addEventListener("click",e=>{e.target===this.modal&&this.close()}),document.addEventListener("keydown",e=>{"Escape"===e.key&&this.isOpen&&this.close()}))},open(){this.modal&&requestAnimationFrame(()=>{this.modal.style.display="block",this.modal.offsetHeight,this.modal.classList.add("show"),document.body.style.overflow="hidden",this.isOpen=!0,this.modal.setAttribute("tabindex","-1"),this.modal.focus(),this.trapFocus()})},close(){this.modal&&(this.modal.classList.remove("show"),setTimeout(()=>{this.modal.style.display="none",document.body.style.overflow="",this.isOpen=!1},300))},trapFocus(){const e=this.modal.querySelectorAll('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'),t=e[0],n=e[e.length-1];this.modal.addEventListener("keydown",e=>{"Tab"===e.key&&(e.shiftKey?document.activeElement===t&&(n.focus(),e.preventDefault()):document.activeElement===n&&(t.focus(),e.preventDefault()))})}},Navigation={sections:[],navLinks:[],sectionData:[],init(){this.sections=document.querySelectorAll("section[id]"),this.navLinks=document.querySelectorAll(".nav-link"),this.cacheSectionData(),this.navLinks.forEach(e=>{e.addEventListener("click",e=>this.smoothScroll(e))}),window.addEventListener("scroll",throttle(()=>this.updateActiveSection(),100),{passive:!0}),window.addEventListener("resize",debounce(()=>this.cacheSectionData(),250)),this.updateActiveSection()},cacheSectionData(){this.sectionData=Array.from(this.sections).map(e=>({id:e.getAttribute("id"),top:e.offsetTop,bottom:e.offsetTop+e.offsetHeight}))},smoothScroll(e){e.preventDefault();const t=e.currentTarget.getAttribute("href").slice(1),n=document.getElementById(t);if(n){const e=80,o=n.offsetTop-e;window.scrollTo({top:o,behavior:"smooth"}),MobileMenu.closeMenu(),history.pushState(null,null,`#${t}`)}},updateActiveSection(){const e=window.scrollY+100;for(const t of this.sectionData)if(e>=t.top&&e<t.bottom){requestAnimationFrame(()=>{this.navLinks.forEach(e=>{const n=e.getAttribute("href")===`#${t.id}`;e.classList.toggle("active",n),e.setAttribute("aria-current",n?"page":"false")})});break}}},AnimationObserver={init(){if(window.matchMedia("(prefers-reduced-motion: reduce)").matches)return;const e=new IntersectionObserver(t=>{t.forEach(t=>{t.isIntersecting&&(t.target.classList.add("fade-in"),e.unobserve(t.target))})},{threshold:.1,rootMargin:"0px 0px -50px 0px"});document.querySelectorAll(".section-paragraph, .faq-item, .service-card, .stat-item").forEach(t=>e.observe(t))}},FormHandler={form:null,emailMode:!1,topics:["individual","coaching","relationships","workshops","other"],contactMethods:["email","phone","whatsapp"],contactTimes:["morning","afternoon","evening","anytime"],init(){if(this.form=document.getElementById("contactForm"),!this.form)return;const e=this.form;this.renderOptions(),window.addEventListener("languageChanged",()=>this.renderOptions()),SpamGuard.protect(e),e.addEventListener("submit",e=>{e.preventDefault(),this.handleSubmit()}),FormValidator.attach(e),FormDrafts.attach(e),e.addEventListener("input",()=>FormDrafts.handleInput(e)),e.querySelectorAll('input[name="contact_method"]').forEach(e=>{e.addEventListener("change",()=>this.updatePhoneRequirement())}),e.addEventListener("reset",()=>setTimeout(()=>this.updatePhoneRequirement())),this.updateMode(),window.addEventListener("cookieConsentChanged",()=>this.updateMode())},renderOptions(){this.renderSelect(this.form.querySelector("#contactTopic"),"topics",this.topics),this.renderSelect(this.form.querySelector("#contactTime"),"contactTimes",this.contactTimes)},renderSelect(e,n,o){if(!e)return;const s=e.value;e.innerHTML=`<option value="" disabled selected>${escapeHtml(t(`contact.${n}.placeholder`))}</option>`+o.map(e=>`<option value="${e}">${escapeHtml(t(`contact.${n}.${e}`))}</option>`).join(""),e.value=s},optionLabel(e,n){return this[e].includes(n)?t(`contact.${e}.${n}`):"-"},updatePhoneRequirement(){const e=this.form.querySelector('input[name="contact_method"]:checked'),t=this.form.querySelector("#contactPhone"),n=Boolean(e)&&"email"!==e.value;t.required=n,this.form.querySelectorAll("[data-phone-required]").forEach(e=>{e.hidden=!n}),n||t.value||FormValidator.clearFieldError(t)},updateMode(){this.emailMode=!FormBackends.isAllowed(this.form),GDPRFormHandler.setVendorConsentsActive(!this.emailMode,this.form);const e=this.form.querySelector(".contact-email-notice");e&&(e.hidden=!this.emailMode);const t=this.form.querySelector('button[type="submit"]'),n=LanguageManager.markup("forms.submit."+(this.emailMode?"email":"form"));t.dataset.loadingText?t.dataset.loadingText=n:t.innerHTML=n},showError(e,t={}){GDPRFormHandler.showError("form",e,{...t,container:document.getElementById("contactErrors")})},hideMessages(){const e=document.getElementById("contactErrors");e&&(e.style.display="none",e.innerHTML="");const t=document.getElementById("contactSuccess");t&&(t.hidden=!0)},async handleSubmit(){const e=this.form;if(this.hideMessages(),FormValidator.validateForm(e).length>0)return void this.showError("invalid_fields",{scroll:!1});if(!FormBackends.isAllowed(e)){await GDPRFormHandler.stampConsent(e);const t=this.buildEmailMessage(e);return await FormBackends.sendTo("mailto",t.to,new FormData(e),{message:t}),void this.complete(t)}const t=e.querySelector('button[type="submit"]');GDPRFormHandler.setLoading(t,!0);const n=await SpamGuard.check(e);if(n)return GDPRFormHandler.setLoading(t,!1),void this.showError(n);let o;await GDPRFormHandler.stampConsent(e);try{o=await FormBackends.send(e)}catch(e){return console.warn("Contact request failed:",e),GDPRFormHandler.setLoading(t,!1),void this.showError("network_error",{onRetry:()=>this.handleSubmit()})}GDPRFormHandler.setLoading(t,!1),o.ok?(SpamGuard.recordAttempt(e),this.complete()):GDPRFormHandler.showServerErrors(o,e,{container:document.getElementById("contactErrors")})},complete(e=null){const t=this.form;GDPRFormHandler.saveSubmissionAudit(GDPRFormHandler.buildConsentSnapshot(t),"consultation_request"),AvailabilityCalendar.markRequested(t),t.reset(),FormDrafts.clear(t),SpamGuard.reset(t),this.showSuccess(e),"undefined"!=typeof gtag&&CookieConsent.hasAccepted()&&gtag("event","form_submit",{event_category:"Contact",event_label:"Consultation Request"})},buildEmailMessage(e){const n=LanguageManager.currentLang,o=new FormData(e),s=this.optionLabel("topics",o.get("topic")),a=[t("contact.email.heading"),"",`${t("contact.email.topic")}: ${s}`,`${t("emails.name")}: ${o.get("name")}`,`${t("emails.email")}: ${o.get("email")}`,`${t("emails.phone")}: ${o.get("phone")||"-"}`,`${t("contact.email.method")}: ${this.optionLabel("contactMethods",o.get("contact_method"))}`,`${t("contact.email.time")}: ${this.optionLabel("contactTimes",o.get("preferred_time"))}`,...o.get("requested_slot")?[`${t("contact.email.slot")}: ${AvailabilityCalendar.describeSlot(o.get("requested_slot"),n)}`]:[],"",`${t("contact.email.message")}:`,o.get("message")||"-","",`${t("emails.consents")}:`,...GDPRFormHandler.getConsentStatements(e).map(e=>`- ${e}`),"",`${t("emails.policy")}: ${CookieConsent.policyVersion}`,`${t("emails.hash")}: ${o.get("consent_hash")||"-"} (${o.get("consent_timestamp")})`];return{to:e.dataset.mailto,subject:`${t("contact.email.subject")}: ${s}`,body:a.join("\r\n")}},showSuccess(e){const t=document.getElementById("contactSuccess");t&&(t.innerHTML=e?`\n            <strong>${LanguageManager.markup("forms.email_ready.title")}</strong>\n            <p>${LanguageManager.markup("forms.email_ready.text",{email:e.to})}</p>\n            <button type="button" class="form-retry-btn" data-download-eml>\n                ${LanguageManager.markup("emails.download_eml")}\n            </button>\n        `:`\n            <strong>${LanguageManager.markup("contact.sent.title")}</strong>\n            <p>${LanguageManager.markup("contact.sent.text")}</p>\n        `,e&&t.querySelector("[data-download-eml]").addEventListener("click",()=>{GDPRFormHandler.downloadEml(e,"cerere-consultatie.eml")}),t.hidden=!1,t.scrollIntoView({behavior:"smooth",block:"center"}))}},BookingWizard={modal:null,form:null,step:1,totalSteps:4,emailMode:!1,storageKey:"bookingProgress",savedHiddenFields:["requested_slot"],timeZone:"Europe/Bucharest",services:["individual","workshop"],packages:["intro","single","pack4","seat","private"],days:["mon","tue","wed","thu","fri","sat"],times:{morning:{start:9,end:12},afternoon:{start:12,end:17},evening:{start:17,end:21}},formats:["online","in_person"],init(){if(this.modal=document.getElementById("bookingModal"),this.form=document.getElementById("bookingForm"),!this.modal||!this.form)return;const e=this.form,t=this.getVisitorTimeZone();e.querySelector("#bookingTimezone").value=t,this.modal.querySelectorAll("[data-booking-timezone]").forEach(e=>{e.textContent=t}),document.querySelectorAll("[data-book-service]").forEach(e=>{e.addEventListener("click",()=>this.open(e.dataset.bookService))}),this.modal.addEventListener("click",e=>{e.target===this.modal&&this.close()}),this.modal.addEventListener("keydown",e=>{"Escape"===e.key&&(e.stopPropagation(),this.close())}),e.querySelector("[data-booking-back]").addEventListener("click",()=>this.showStep(this.step-1)),e.querySelector("[data-booking-next]").addEventListener("click",()=>this.next()),e.addEventListener("submit",e=>{e.preventDefault(),this.handleSubmit()}),e.querySelectorAll('input[name="service"]').forEach(e=>{e.addEventListener("change",()=>this.updatePackages())}),FormValidator.attach(e),SpamGuard.protect(e),e.addEventListener("change",()=>this.saveProgress()),e.addEventListener("input",debounce(()=>this.saveProgress(),500)),this.updateMode(),window.addEventListener("cookieConsentChanged",()=>this.updateMode()),this.updatePackages(),this.restoreProgress(),window.addEventListener("languageChanged",()=>{this.step===this.totalSteps&&this.renderSummary()})},open(e){if(!this.modal)return;document.getElementById("bookingSuccess").hidden||this.reset();const t=this.form.querySelector(`input[name="service"][value="${e}"]`);t&&!this.form.querySelector('input[name="service"]:checked')&&(t.checked=!0,this.updatePackages()),this.showStep(this.step,!1),requestAnimationFrame(()=>{this.modal.style.display="block",this.modal.offsetHeight,this.modal.classList.add("show"),document.body.style.overflow="hidden",this.modal.setAttribute("tabindex","-1"),this.modal.focus()})},close(){this.modal&&(this.modal.classList.remove("show"),setTimeout(()=>{this.modal.style.display="none",document.querySelector(".modal.show")||(document.body.style.overflow="")},300))},getStepElement(e){return this.form.querySelector(`.booking-step[data-step="${e}"]`)},showStep(e,t=!0){this.step=Math.min(Math.max(e,1),this.totalSteps),this.form.querySelectorAll(".booking-step").forEach(e=>{e.hidden=Number(e.dataset.step)!==this.step}),this.modal.querySelectorAll(".booking-progress li").forEach(e=>{const t=Number(e.dataset.step);e.classList.toggle("is-done",t<this.step),e.classList.toggle("is-active",t===this.step),t===this.step?e.setAttribute("aria-current","step"):e.removeAttribute("aria-current")});const n=this.step===this.totalSteps;if(this.form.querySelector("[data-booking-back]").hidden=1===this.step,this.form.querySelector("[data-booking-next]").hidden=n,this.form.querySelector("[data-booking-submit]").hidden=!n,n&&this.renderSummary(),this.hideErrors(),this.saveProgress(),t){const e=FormValidator.getFields(this.getStepElement(this.step))[0];e&&e.focus({preventScroll:!0})}},next(){FormValidator.validateForm(this.getStepElement(this.step)).length>0||this.showStep(this.step+1)},updatePackages(){const e=this.form.querySelector('input[name="service"]:checked');this.form.querySelectorAll("[data-service]").forEach(t=>{const n=t.querySelector("input"),o=!e||t.dataset.service!==e.value;t.hidden=o,n.disabled=o,o&&(n.checked=!1)})},updateMode(){this.emailMode=!FormBackends.isAllowed(this.form),GDPRFormHandler.setVendorConsentsActive(!this.emailMode,this.form);const e=this.form.querySelector(".contact-email-notice");e&&(e.hidden=!this.emailMode);const t=this.form.querySelector("[data-booking-submit]"),n=LanguageManager.markup("forms.submit."+(this.emailMode?"email":"form"));t.dataset.loadingText?t.dataset.loadingText=n:t.innerHTML=n},saveProgress(){const e=Array.from(this.form.elements).filter(e=>e.name&&!e.name.startsWith("_")).filter(e=>!FormDrafts.isPersonal(e)&&!e.closest('[data-draft="off"]')).filter(e=>"hidden"!==e.type||this.savedHiddenFields.includes(e.name)).filter(e=>!("checkbox"===e.type&&!FormValidator.isGroup(e))).filter(e=>"checkbox"===e.type||"radio"===e.type?e.checked:e.value).map(e=>[e.name,e.value]);try{sessionStorage.setItem(this.storageKey,JSON.stringify({step:this.step,fields:e}))}catch(e){}},restoreProgress(){let e;try{e=JSON.parse(sessionStorage.getItem(this.storageKey))}catch(t){e=null}e&&Array.isArray(e.fields)&&(e.fields.forEach(([e,t])=>{this.form.querySelectorAll(`[name="${e}"]`).forEach(e=>{"checkbox"===e.type||"radio"===e.type?e.value===t&&(e.checked=!0):e.value=t}),"service"===e&&this.updatePackages()}),this.step=e.step||1)},clearProgress(){try{sessionStorage.removeItem(this.storageKey)}catch(e){}},reset(){this.form.reset(),this.updatePackages(),this.clearProgress(),this.form.hidden=!1,document.getElementById("bookingSuccess").hidden=!0,this.showStep(1,!1)},getVisitorTimeZone(){try{return Intl.DateTimeFormat().resolvedOptions().timeZone||this.timeZone}catch(e){return this.timeZone}},getOffsetMinutes(e,t=new Date){const n=((new Intl.DateTimeFormat("en-US",{timeZone:e,timeZoneName:"shortOffset"}).formatToParts(t).find(e=>"timeZoneName"===e.type)||{}).value||"").match(/GMT([+-])(\d{1,2})(?::(\d{2}))?/);if(!n)return 0;const o=60*Number(n[2])+Number(n[3]||0);return"-"===n[1]?-o:o},formatHour(e){const t=1440,n=(e%t+t)%t;return`${String(Math.floor(n/60)).padStart(2,"0")}:${String(n%60).padStart(2,"0")}`},describeTime(e,t){const n=this.getOffsetMinutes(this.timeZone)-this.getOffsetMinutes(t),o=t=>`${this.formatHour(60*e.start+t)} - ${this.formatHour(60*e.end+t)}`;return{local:o(0),bucharest:o(n)}},buildRequest(){const e=new FormData(this.form),t=e.get("timezone");return{type:"booking_request",service:e.get("service"),package:e.get("package"),preferredDays:e.getAll("preferred_days"),preferredTimes:e.getAll("preferred_times").map(e=>({slot:e,...this.describeTime(this.times[e],t)})),timeZone:t,requestedSlot:e.get("requested_slot")||null,format:e.get("format"),contact:{name:e.get("name"),email:e.get("email"),phone:e.get("phone")||null},notes:e.get("notes")||null,language:LanguageManager.currentLang,requestedAt:(new Date).toISOString()}},buildFormData(e){const t=new FormData(this.form);return t.append("booking_request",JSON.stringify(e)),t.append("preferred_times_bucharest",e.preferredTimes.map(e=>`${e.slot}: ${e.bucharest}`).join(", ")),t},optionLabel(e,n,o=LanguageManager.currentLang){return(Array.isArray(this[e])?this[e]:Object.keys(this[e])).includes(n)?t(`booking.${e}.${n}`,{},o):"-"},describeRequest(e,n){const o=e=>t(`booking.summary.${e}`,{},n),s=e.preferredTimes.map(o=>{const s=e.timeZone===this.timeZone?"":` = ${o.bucharest} ${t("calendar.romanian_time",{},n)}`;return`${this.optionLabel("times",o.slot,n)} ${o.local} (${e.timeZone}${s})`}),a=e.requestedSlot?[[o("slot"),AvailabilityCalendar.describeSlot(e.requestedSlot,n,e.timeZone)]]:[];return[[o("service"),this.optionLabel("services",e.service,n)],[o("package"),this.optionLabel("packages",e.package,n)],...a,[o("days"),e.preferredDays.map(e=>this.optionLabel("days",e,n)).join(", ")||"-"],[o("times"),s.join("; ")||"-"],[o("format"),this.optionLabel("formats",e.format,n)]]},renderSummary(){const e=this.form.querySelector("[data-booking-summary]");if(!e)return;const t=this.describeRequest(this.buildRequest(),LanguageManager.currentLang).map(([e,t])=>`<dt>${escapeHtml(e)}</dt><dd>${escapeHtml(t)}</dd>`).join("");e.innerHTML=`<dl>${t}</dl>`},buildEmailMessage(e){const n=LanguageManager.currentLang,o=new FormData(this.form),s=this.services.includes(e.service)?this.optionLabel("services",e.service):null,a=[t("booking.email.heading"),"",...this.describeRequest(e,n).map(([e,t])=>`${e}: ${t}`),"",`${t("emails.name")}: ${e.contact.name}`,`${t("emails.email")}: ${e.contact.email}`,`${t("emails.phone")}: ${e.contact.phone||"-"}`,`${t("booking.email.notes")}: ${e.notes||"-"}`,"",`${t("emails.consents")}:`,...GDPRFormHandler.getConsentStatements(this.form).map(e=>`- ${e}`),"",`${t("emails.policy")}: ${CookieConsent.policyVersion}`,`${t("emails.hash")}: ${o.get("consent_hash")||"-"} (${o.get("consent_timestamp")})`];return{to:this.form.dataset.mailto,subject:s?`${t("booking.email.subject")}: ${s}`:t("booking.email.subject"),body:a.join("\r\n")}},showError(e,t={}){GDPRFormHandler.showError("form",e,{...t,container:document.getElementById("bookingErrors")})},hideErrors(){const e=document.getElementById("bookingErrors");e&&(e.style.display="none",e.innerHTML="")},async handleSubmit(){if(this.step<this.totalSteps)return void this.next();const e=this.form;this.hideErrors();const t=FormValidator.validateForm(e);if(t.length>0){const e=Number(t[0].closest(".booking-step").dataset.step);return e!==this.step&&this.showStep(e),void this.showError("invalid_fields",{scroll:!1})}const n=this.buildRequest();if(!FormBackends.isAllowed(e)){await GDPRFormHandler.stampConsent(e);const t=this.buildEmailMessage(n);return await FormBackends.sendTo("mailto",t.to,this.buildFormData(n),{message:t}),void this.complete(n,t)}const o=e.querySelector("[data-booking-submit]");GDPRFormHandler.setLoading(o,!0);const s=await SpamGuard.check(e);if(s)return GDPRFormHandler.setLoading(o,!1),void this.showError(s);let a;await GDPRFormHandler.stampConsent(e);try{a=await FormBackends.send(e,this.buildFormData(n))}catch(e){return console.warn("Booking request failed:",e),GDPRFormHandler.setLoading(o,!1),void this.showError("network_error",{onRetry:()=>this.handleSubmit()})}GDPRFormHandler.setLoading(o,!1),a.ok?(SpamGuard.recordAttempt(e),this.complete(n)):GDPRFormHandler.showServerErrors(a,e,{container:document.getElementById("bookingErrors")})},complete(e,t=null){GDPRFormHandler.saveSubmissionAudit(GDPRFormHandler.buildConsentSnapshot(this.form),"booking_request"),this.trackBooking(e,null!==t),AvailabilityCalendar.markRequested(this.form),this.form.reset(),this.updatePackages(),this.clearProgress(),SpamGuard.reset(this.form),this.showSuccess(t)},trackBooking(e,t){"undefined"!=typeof gtag&&CookieConsent.hasAccepted()&&gtag("event",t?"appointment_booking_email":"appointment_booking",{event_category:"Booking",service:e.service,package:e.package,format:e.format})},showSuccess(e){const t=document.getElementById("bookingSuccess");t&&(this.form.hidden=!0,this.modal.querySelectorAll(".booking-progress li").forEach(e=>{e.classList.add("is-done"),e.classList.remove("is-active"),e.removeAttribute("aria-current")}),t.innerHTML=e?`\n            <strong>${LanguageManager.markup("forms.email_ready.title")}</strong>\n            <p>${LanguageManager.markup("forms.email_ready.text",{email:e.to})}</p>\n            <button type="button" class="form-retry-btn" data-download-eml>\n                ${LanguageManager.markup("emails.download_eml")}\n            </button>\n        `:`\n            <strong>${LanguageManager.markup("booking.sent.title")}</strong>\n            <p>${LanguageManager.markup("booking.sent.text")}</p>\n        `,e&&t.querySelector("[data-download-eml]").addEventListener("click",()=>{GDPRFormHandler.downloadEml(e,"cerere-programare.eml")}),t.hidden=!1)}},AvailabilityCalendar={container:null,slotsUrl:"./data/slots.json",storageKey:"requestedSlots",slots:[],weekStart:null,selected:null,init(){this.container=document.getElementById("availabilityCalendar"),this.container&&(this.container.querySelector("[data-calendar-timezone]").textContent=BookingWizard.getVisitorTimeZone(),this.container.querySelector("[data-calendar-prev]").addEventListener("click",()=>this.moveWeek(-1)),this.container.querySelector("[data-calendar-next]").addEventListener("click",()=>this.moveWeek(1)),this.container.querySelector("[data-calendar-book]").addEventListener("click",()=>this.bookSelected()),this.container.querySelector("[data-calendar-contact]").addEventListener("click",()=>this.askSelected()),window.addEventListener("languageChanged",()=>{this.render(),[BookingWizard.form,FormHandler.form].forEach(e=>this.renderNote(e))}),this.renderNote(BookingWizard.form),this.load())},async load(){let e;try{const t=await fetch(this.slotsUrl,{cache:"no-cache"});if(!t.ok)throw new Error(`HTTP ${t.status}`);e=await t.json()}catch(e){return void console.warn("Availability could not be loaded:",e)}const t=e.timeZone||BookingWizard.timeZone,n=e.durationMinutes||50;this.slots=(e.slots||[]).map(e=>{const o=this.parseZoned(e.start,t),s=e.durationMinutes||n;return o?{start:o,end:new Date(o.getTime()+6e4*s)}:null}).filter(Boolean).sort((e,t)=>e.start-t.start);const o=this.getAvailable()[0];this.weekStart=this.getWeekStart(o?o.start:new Date),this.container.hidden=!1,this.render()},parseZoned(e,t){if("string"!=typeof e)return null;if(/(Z|[+-]\d{2}:?\d{2})$/.test(e)){const t=new Date(e);return isNaN(t)?null:t}const n=e.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/);if(!n)return null;const[,o,s,a,i,r]=n.map(Number),l=Date.UTC(o,s-1,a,i,r);let c=l-6e4*BookingWizard.getOffsetMinutes(t,new Date(l));return c=l-6e4*BookingWizard.getOffsetMinutes(t,new Date(c)),new Date(c)},getRequested(){try{return JSON.parse(localStorage.getItem(this.storageKey)||"[]")}catch(e){return[]}},getAvailable(e=new Date){const t=this.getRequested().map(e=>e.start);return this.slots.filter(n=>n.start>e&&!t.includes(n.start.toISOString()))},getWeekStart(e){const t=new Date(e);return t.setHours(0,0,0,0),t.setDate(t.getDate()-(t.getDay()+6)%7),t},addDays(e,t){const n=new Date(e);return n.setDate(n.getDate()+t),n},moveWeek(e){this.weekStart=this.addDays(this.weekStart,7*e),this.render()},getLocale:()=>EventData.locales[LanguageManager.currentLang]||EventData.locales.ro,formatSlot(e,t={}){return new Intl.DateTimeFormat(this.getLocale(),{weekday:"long",day:"numeric",month:"long",hour:"2-digit",minute:"2-digit",...t}).format(e.start)},render(){if(!this.container||!this.weekStart)return;const e=this.getLocale(),n=this.getAvailable(),o=this.addDays(this.weekStart,7),s=new Intl.DateTimeFormat(e,{weekday:"short",day:"numeric",month:"short"}),a=new Intl.DateTimeFormat(e,{hour:"2-digit",minute:"2-digit"}),i=new Intl.DateTimeFormat(e,{day:"numeric",month:"long",year:"numeric"}),r=Array.from({length:7},(e,t)=>{const o=this.addDays(this.weekStart,t),i=this.addDays(o,1),r=n.filter(e=>e.start>=o&&e.start<i),l=r.map(e=>{const t=e.start.toISOString();return`<button type="button" class="availability-slot" data-slot="${t}" aria-pressed="${this.selected&&this.selected.start.toISOString()===t?"true":"false"}" aria-label="${escapeHtml(this.formatSlot(e))}">${a.format(e.start)}</button>`}).join("");return`\n                <div class="availability-day${0===r.length?" is-empty":""}">\n                    <h4>${escapeHtml(s.format(o))}</h4>\n                    ${l||'<span class="availability-none" aria-hidden="true">—</span>'}\n                </div>\n            `}).join(""),l=this.container.querySelector("[data-calendar-grid]");l.innerHTML=r,l.querySelectorAll("[data-slot]").forEach(e=>{e.addEventListener("click",()=>this.select(e.dataset.slot))}),this.container.querySelector("[data-calendar-week]").textContent=`${i.format(this.weekStart)} – ${i.format(this.addDays(o,-1))}`;const c=this.getWeekStart(new Date),d=n[n.length-1];this.container.querySelector("[data-calendar-prev]").disabled=this.weekStart<=c,this.container.querySelector("[data-calendar-next]").disabled=!d||o>d.start;const h=n.some(e=>e.start>=this.weekStart&&e.start<o),u=this.container.querySelector("[data-calendar-empty]");u.hidden=h,u.textContent=t(n.length>0?"calendar.none_this_week":"calendar.none"),this.renderSelection()},select(e){this.selected=this.slots.find(t=>t.start.toISOString()===e)||null,this.render()},renderSelection(){this.container.querySelector("[data-calendar-selection]").hidden=!this.selected,this.selected&&(this.container.querySelector("[data-calendar-selected]").textContent=this.formatSlot(this.selected))},bookSelected(){const e=BookingWizard.form;if(!this.selected||!e)return;BookingWizard.open(),this.prefill(e,this.selected);const t=this.selected.start,n=["sun","mon","tue","wed","thu","fri","sat"][t.getDay()],o=t.getHours();[["preferred_days",n],["preferred_times",Object.keys(BookingWizard.times).find(e=>o>=BookingWizard.times[e].start&&o<BookingWizard.times[e].end)]].forEach(([t,n])=>{const o=e.querySelector(`input[name="${t}"][value="${n}"]`);o&&(o.checked=!0,FormValidator.clearFieldError(o))}),BookingWizard.saveProgress()},askSelected(){const e=FormHandler.form;if(!this.selected||!e)return;this.prefill(e,this.selected);const t=Number(new Intl.DateTimeFormat("en-GB",{hour:"2-digit",hourCycle:"h23",timeZone:BookingWizard.timeZone}).format(this.selected.start)),n=e.querySelector("#contactTime");n&&(n.value=t<12?"morning":t<17?"afternoon":"evening",FormValidator.clearFieldError(n)),e.scrollIntoView({behavior:"smooth",block:"start"})},prefill(e,t){const n=e.querySelector('input[name="requested_slot"]');n&&(n.value=t.start.toISOString()),this.renderNote(e)},clearPrefill(e){const t=e&&e.querySelector('input[name="requested_slot"]');t&&(t.value="",this.renderNote(e),e===BookingWizard.form&&BookingWizard.saveProgress())},getPrefilled(e){const t=e&&e.querySelector('input[name="requested_slot"]');return t&&t.value?t.value:null},describeSlot(e,n,o=BookingWizard.getVisitorTimeZone()){const s=new Date(e);if(isNaN(s))return"-";const a=EventData.locales[n]||EventData.locales.ro,i=t("calendar.romanian_time",{},n),r=new Intl.DateTimeFormat(a,{weekday:"long",day:"numeric",month:"long",hour:"2-digit",minute:"2-digit",timeZone:o}).format(s);if(o===BookingWizard.timeZone)return`${r} (${i})`;return`${r} (${o} = ${new Intl.DateTimeFormat(a,{hour:"2-digit",minute:"2-digit",timeZone:BookingWizard.timeZone}).format(s)} ${i})`},renderNote(e){const n=e&&e.querySelector("[data-requested-slot]");if(!n)return;const o=this.getPrefilled(e);n.hidden=!o,o?(n.innerHTML=`\n            ${escapeHtml(t("calendar.chosen"))}: <strong>${escapeHtml(this.describeSlot(o,LanguageManager.currentLang))}</strong>\n            <button type="button" class="form-retry-btn" data-clear-slot>${escapeHtml(t("calendar.remove"))}</button>\n        `,n.querySelector("[data-clear-slot]").addEventListener("click",()=>this.clearPrefill(e))):n.innerHTML=""},markRequested(e){const t=this.getPrefilled(e);if(!t)return;const n=new Date,o=this.getRequested().filter(e=>new Date(e.start)>n);o.push({start:t,requestedAt:n.toISOString()});try{localStorage.setItem(this.storageKey,JSON.stringify(o))}catch(e){console.warn("Could not remember the requested slot")}this.selected&&this.selected.start.toISOString()===t&&(this.selected=null),this.clearPrefill(e),this.render()}},PerformanceMonitor={init(){if("PerformanceObserver"in window){const e=new PerformanceObserver(e=>{for(const t of e.getEntries())t.duration>50&&console.warn("Long task detected:",t)});try{e.observe({entryTypes:["longtask"]})}catch(e){}}this.observeWebVitals()},observeWebVitals(){if("PerformanceObserver"in window)try{new PerformanceObserver(e=>{const t=e.getEntries(),n=t[t.length-1];console.log("LCP:",n.startTime)}).observe({entryTypes:["largest-contentful-paint"]})}catch(e){}}},EventData={upcomingEvents:{"@context":"https://schema.org","@type":"EventSeries",name:"Ateliere de Dezvoltare Personală",description:"Serie de workshop-uri pentru dezvoltare personală și creștere interioară",organizer:{"@type":"Person",name:"Răzvan Mischie"},location:{"@type":"VirtualLocation",url:"https://consiliereonline.com/events"}},timeZone:"Europe/Bucharest",eventsUrl:"./data/events.json",lowSeatsThreshold:5,events:[{id:"event1",image:"./consiliere-online-razvan-mischie-event-1.webp",title:{ro:"Atelier de Re-cunoaștere",en:"Recognition Workshop"},start:"2025-06-25T19:00:00+03:00",end:"2025-06-25T22:00:00+03:00",price:35,currency:"RON",capacity:null,seatsTaken:null},{id:"event2",image:"./consiliere-online-razvan-mischie-event-2.webp",title:{ro:"Atelier: Interese Specifice",en:"Workshop: Specific Interests"},start:"2025-07-26T18:00:00+03:00",end:"2025-07-26T20:00:00+03:00",price:35,currency:"RON",capacity:null,seatsTaken:null},{id:"event3",image:"./consiliere-online-razvan-mischie-event-3.webp",title:{ro:"Comunicarea și Nuanțele ei",en:"Communication and its Nuances"},start:"2025-07-10T18:30:00+03:00",end:"2025-07-10T21:30:00+03:00",price:35,currency:"RON",capacity:null,seatsTaken:null},{id:"event4",image:"./consiliere-online-razvan-mischie-event-4.webp",title:{ro:"Medicație vs Terapie",en:"Medication vs Therapy"},start:"2025-08-27T19:00:00+03:00",end:"2025-08-27T21:00:00+03:00",price:35,currency:"RON",capacity:null,seatsTaken:null},{id:"event5",image:"./consiliere-online-razvan-mischie-event-5.webp",title:{ro:"Medicație vs Terapie",en:"Medication vs Therapy"},start:"2025-09-12T19:00:00+03:00",end:"2025-09-12T21:00:00+03:00",price:35,currency:"RON",capacity:null,seatsTaken:null}],locales:{ro:"ro-RO",en:"en-US"},init(){this.updateEventVisibility(),this.loadEvents()},updateEventVisibility(){const e=document.getElementById("noEventsNotice");e&&(e.hidden=this.getUpcoming().length>0)},async loadEvents(){try{const e=await fetch(this.eventsUrl,{cache:"no-cache"});if(!e.ok)throw new Error(`HTTP ${e.status}`);const t=await e.json();Object.entries(t.events||{}).forEach(([e,t])=>this.mergeEvent(e,t))}catch(e){return void console.warn("Events could not be loaded:",e)}this.updateEventVisibility(),this.updateStructuredData(),window.dispatchEvent(new CustomEvent("eventAvailabilityChanged"))},mergeEvent(e,t){let n=this.getEvent(e);if(!n){if(!(t.title&&t.start&&t.end&&Number.isFinite(t.price)))return void console.warn(`Event "${e}" in ${this.eventsUrl} is missing its title, dates or price`);n={id:e,image:null,currency:"RON",capacity:null,seatsTaken:null},this.events.push(n)}["title","start","end","price","currency","image"].forEach(e=>{void 0!==t[e]&&(n[e]=t[e])}),"capacity"in t&&(n.capacity=Number.isFinite(t.capacity)?t.capacity:null,n.seatsTaken=Number.isFinite(t.seatsTaken)?t.seatsTaken:0)},getAvailability(e){if(!e||null===e.capacity)return{status:"open",seatsLeft:null};const t=Math.max(0,e.capacity-(e.seatsTaken||0));let n="available";return 0===t?n="full":t<=this.lowSeatsThreshold&&(n="limited"),{status:n,seatsLeft:t}},isFull(e){return"full"===this.getAvailability(this.getEvent(e)).status},updateStructuredData(){const e={available:"https://schema.org/InStock",limited:"https://schema.org/LimitedAvailability",full:"https://schema.org/SoldOut"};this.events.forEach(t=>{const n=document.querySelector(`script[type="application/ld+json"][data-event-id="${t.id}"]`),{status:o,seatsLeft:s}=this.getAvailability(t);if(n&&"open"!==o)try{const a=JSON.parse(n.textContent);a.maximumAttendeeCapacity=t.capacity,a.remainingAttendeeCapacity=s,a.offers&&(a.offers.availability=e[o]),n.textContent=JSON.stringify(a,null,4)}catch(e){console.warn(`Invalid JSON-LD for ${t.id}:`,e)}})},getEvent(e){return this.events.find(t=>t.id===e)||null},getUpcoming(e=new Date){return this.events.filter(t=>new Date(t.start)>e).sort((e,t)=>new Date(e.start)-new Date(t.start))},formatDate(e,t){const n=this.locales[t]||this.locales.ro,o=new Intl.DateTimeFormat(n,{day:"numeric",month:"long",year:"numeric",timeZone:this.timeZone}).format(new Date(e.start)),s=new Intl.DateTimeFormat(n,{hour:"numeric",minute:"2-digit",timeZone:this.timeZone});return`${o}, ${s.format(new Date(e.start))} - ${s.format(new Date(e.end))}`},formatPrice:e=>`${e.price} ${e.currency}`,formatCaption(e,t){return`${e.title[t]} - ${this.formatDate(e,t)} - ${this.formatPrice(e)}`}},EventPicker={select:null,titleInput:null,init(){this.select=document.getElementById("eventSelect"),this.titleInput=document.getElementById("eventTitle"),this.select&&(this.render(),this.choose(new URLSearchParams(window.location.search).get("event")),this.select.addEventListener("change",()=>this.handleSelection()),this.select.form&&this.select.form.addEventListener("reset",()=>setTimeout(()=>this.handleSelection())),window.addEventListener("languageChanged",()=>this.render()),window.addEventListener("eventAvailabilityChanged",()=>{this.render(),this.renderAvailability()}),this.renderAvailability(),document.querySelectorAll("[data-register-event]").forEach(e=>{e.addEventListener("click",t=>{t.preventDefault(),t.stopPropagation(),this.choose(e.dataset.registerEvent,!0)})}))},render(){const e=LanguageManager.currentLang,n=this.select.value,o=EventData.getUpcoming(),s=t(o.length>0?"events.choose":"events.none_scheduled");this.select.innerHTML=`<option value="" disabled selected>${escapeHtml(s)}</option>`+o.map(n=>{const o=EventData.isFull(n.id)?` (${escapeHtml(t("events.waitlist"))})`:"";return`<option value="${n.id}">${escapeHtml(n.title[e])} — ${EventData.formatDate(n,e)} — ${EventData.formatPrice(n)}${o}</option>`}).join(""),this.select.value=o.some(e=>e.id===n)?n:"",this.handleSelection()},renderAvailability(){const e=EventData.getUpcoming().map(e=>e.id);document.querySelectorAll("[data-register-event]").forEach(t=>{const n=EventData.getEvent(t.dataset.registerEvent),{status:o,seatsLeft:s}=EventData.getAvailability(n);t.hidden=!e.includes(t.dataset.registerEvent),t.classList.toggle("is-waitlist","full"===o),t.innerHTML=LanguageManager.markup("full"===o?"events.join_waitlist":"events.register");let a=t.parentElement.querySelector(".event-availability");t.hidden||"open"===o?a?.remove():(a||(a=document.createElement("p"),a.className="event-availability",t.insertAdjacentElement("beforebegin",a)),a.dataset.status=o,a.innerHTML="full"===o?LanguageManager.markup("events.sold_out"):LanguageManager.markup("events.seats_left",{count:s}))})},handleSelection(){this.updateTitle(),GDPRFormHandler.setWaitlistMode(EventData.isFull(this.select.value))},choose(e,t=!1){if(EventData.getUpcoming().some(t=>t.id===e)&&(this.select.value=e,this.handleSelection()),t){const t=new URL(window.location.href);t.searchParams.set("event",e),history.replaceState(null,"",t),this.select.scrollIntoView({behavior:"smooth",block:"center"}),this.select.focus({preventScroll:!0})}},updateTitle(){if(!this.titleInput)return;const e=EventData.getEvent(this.select.value);this.titleInput.value=e?e.title.ro:""}};let carousel;window.openModal=e=>{Modal.lastOpenedIndex=e,Modal.open(e)},window.closeModal=()=>Modal.close(),window.openPrivacyModal=()=>PrivacyModal.open(),window.closePrivacyModal=()=>PrivacyModal.close(),window.moveCarousel=e=>carousel&&carousel.move(e),window.setLanguage=e=>LanguageManager.setLanguage(e),window.t=t,window.toggleMobileMenu=()=>MobileMenu.toggleMenu(),window.openCookieSettings=()=>{CookieConsent.openSettings(),CookieConsent.hasVendorConsent("formspree")||setTimeout(()=>{const e=document.querySelector('.cookie-vendor[data-vendor-id="formspree"]')||document.querySelector("#thirdPartyCookies")?.closest(".cookie-category");if(e&&(e.style.border="2px solid #4CAF50",e.style.backgroundColor="#f0fff0",e.scrollIntoView({behavior:"smooth",block:"center"}),e.style.animation="pulse 2s ease-in-out 3",!document.querySelector("style[data-pulse-animation]"))){const e=document.createElement("style");e.setAttribute("data-pulse-animation","true"),e.textContent="\n                        @keyframes pulse {\n                            0%, 100% { transform: scale(1); }\n                            50% { transform: scale(1.02); }\n                        }\n                    ",document.head.appendChild(e)}},300)},window.closeCookieSettings=()=>CookieConsent.closeSettings(),window.openDeviceData=()=>DeviceData.open(),window.closeDeviceData=()=>DeviceData.close(),window.exportDeviceData=()=>DeviceData.exportData(),window.eraseDeviceData=()=>DeviceData.eraseAll(),window.openBooking=e=>BookingWizard.open(e),window.closeBooking=()=>BookingWizard.close(),window.acceptAllCookies=()=>{CookieConsent.acceptAllCookies("settings"),CookieConsent.syncSettingsToggles()},window.rejectAllCookies=()=>{CookieConsent.rejectAllCookies("settings"),CookieConsent.syncSettingsToggles()},window.savePreferences=()=>{const e=document.querySelector(".cookie-btn-primary");if(e){const t=e.innerHTML;e.innerHTML=LanguageManager.markup("cookies.saved"),setTimeout(()=>{e.innerHTML=t},2e3)}CookieConsent.saveCustomPreferences()};const ServiceWorkerManager={registration:null,updateAvailable:!1,init(){"serviceWorker"in navigator&&"file:"!==window.location.protocol&&(window.addEventListener("load",()=>{navigator.serviceWorker.register("./sw.min.js",{scope:"./",updateViaCache:"none"}).then(e=>{this.registration=e,console.log("ServiceWorker registration successful with scope:",e.scope),e.update(),e.addEventListener("updatefound",()=>{console.log("Service Worker update found!");const t=e.installing;t&&t.addEventListener("statechange",()=>{console.log("Service Worker state changed to:",t.state),"installed"===t.state&&(navigator.serviceWorker.controller?(console.log("New service worker available!"),this.updateAvailable=!0,this.showUpdateNotification(t)):console.log("Service Worker installed for the first time"))})}),navigator.serviceWorker.addEventListener("controllerchange",()=>{console.log("Controller changed, reloading page..."),this.updateAvailable&&window.location.reload()}),setInterval(()=>{e.update()},36e5)}).catch(e=>{console.log("ServiceWorker registration failed:",e)})}),document.addEventListener("visibilitychange",()=>{!document.hidden&&this.registration&&this.registration.update()}))},showUpdateNotification(e){const t=document.querySelector(".update-notification");t&&t.remove();const n=document.createElement("div");if(n.className="update-notification",n.innerHTML=`\n            <div class="update-notification-content">\n                <p>${LanguageManager.markup("update.available")}</p>\n                <div class="update-notification-actions">\n                    <button class="update-btn update-btn-primary" onclick="ServiceWorkerManager.applyUpdate()">\n                        ${LanguageManager.markup("update.apply")}\n                    </button>\n                    <button class="update-btn update-btn-secondary" onclick="ServiceWorkerManager.dismissUpdate()">\n                        ${LanguageManager.markup("update.later")}\n                    </button>\n                </div>\n            </div>\n        `,n.style.cssText="\n            position: fixed;\n            top: 20px;\n            right: 20px;\n            background: white;\n            color: #333;\n            padding: 1.5rem;\n            border-radius: 12px;\n            z-index: 9999;\n            box-shadow: 0 10px 40px rgba(0,0,0,0.2);\n            max-width: 350px;\n            animation: slideIn 0.3s ease;\n            border: 2px solid #4CAF50;\n        ",!document.querySelector("style[data-update-notification]")){const e=document.createElement("style");e.setAttribute("data-update-notification","true"),e.textContent="\n                @keyframes slideIn {\n                    from {\n                        transform: translateX(400px);\n                        opacity: 0;\n                    }\n                    to {\n                        transform: translateX(0);\n                        opacity: 1;\n                    }\n                }\n                \n                .update-notification-content {\n                    display: flex;\n                    flex-direction: column;\n                    gap: 1rem;\n                }\n                \n                .update-notification-content p {\n                    margin: 0;\n                    font-size: 1rem;\n                    font-weight: 500;\n                    color: #333;\n                }\n                \n                .update-notification-actions {\n                    display: flex;\n                    gap: 0.75rem;\n                }\n                \n                .update-btn {\n                    padding: 0.5rem 1rem;\n                    border: none;\n                    border-radius: 6px;\n                    cursor: pointer;\n                    font-size: 0.9rem;\n                    font-weight: 500;\n                    transition: all 0.2s ease;\n                    font-family: inherit;\n                    flex: 1;\n                }\n                \n                .update-btn-primary {\n                    background: #4CAF50;\n                    color: white;\n                }\n                \n                .update-btn-primary:hover {\n                    background: #45a049;\n                    transform: translateY(-1px);\n                }\n                \n                .update-btn-secondary {\n                    background: #f0f0f0;\n                    color: #666;\n                }\n                \n                .update-btn-secondary:hover {\n                    background: #e0e0e0;\n                }\n            ",document.head.appendChild(e)}document.body.appendChild(n),this.newWorker=e,setTimeout(()=>{n.parentNode&&(n.style.animation="slideOut 0.3s ease forwards",setTimeout(()=>n.remove(),300))},3e4)},applyUpdate(){this.newWorker?this.newWorker.postMessage({type:"SKIP_WAITING"}):this.registration&&this.registration.waiting&&this.registration.waiting.postMessage({type:"SKIP_WAITING"})},dismissUpdate(){const e=document.querySelector(".update-notification");e&&(e.style.animation="slideOut 0.3s ease forwards",setTimeout(()=>e.remove(),300)),this.showUpdateIndicator()},showUpdateIndicator(){const e=document.createElement("div");if(e.className="update-indicator",e.innerHTML='\n            <button onclick="ServiceWorkerManager.showUpdateNotification(ServiceWorkerManager.newWorker)" \n                    title="Update Available" \n                    aria-label="Update Available">\n                🔄\n            </button>\n        ',e.style.cssText="\n            position: fixed;\n            bottom: 70px;\n            left: 20px;\n            background: #4CAF50;\n            color: white;\n            width: 40px;\n            height: 40px;\n            border-radius: 50%;\n            display: flex;\n            align-items: center;\n            justify-content: center;\n            cursor: pointer;\n            z-index: 1000;\n            box-shadow: 0 4px 12px rgba(76, 175, 80, 0.3);\n            animation: pulse 2s infinite;\n        ",!document.querySelector("style[data-update-indicator]")){const e=document.createElement("style");e.setAttribute("data-update-indicator","true"),e.textContent="\n                @keyframes pulse {\n                    0%, 100% { transform: scale(1); }\n                    50% { transform: scale(1.1); }\n                }\n                \n                .update-indicator button {\n                    background: transparent;\n                    border: none;\n                    color: white;\n                    cursor: pointer;\n                    font-size: 1.2rem;\n                    width: 100%;\n                    height: 100%;\n                    padding: 0;\n                }\n            ",document.head.appendChild(e)}document.body.appendChild(e)}};window.ServiceWorkerManager=ServiceWorkerManager,window.GDPRFormHandler=GDPRFormHandler,window.MarketingTags=MarketingTags,document.addEventListener("DOMContentLoaded",async()=>{console.log("🚀 Consiliere Online - Initializing with GDPR Compliance...");try{await LanguageManager.init(),CookieConsent.init(),ConsentPlaceholder.init(),GDPRFormHandler.init(),DSARFormHandler.init(),MobileMenu.init(),Navigation.init(),Modal.init(),PrivacyModal.init(),DeviceData.init(),AnimationObserver.init(),FormHandler.init(),BookingWizard.init(),AvailabilityCalendar.init(),EventData.init(),EventPicker.init(),ServiceWorkerManager.init(),PerformanceMonitor.init(),carousel=new Carousel,carousel.init(),console.log("✅ All modules initialized successfully with GDPR compliance"),window.dispatchEvent(new CustomEvent("consiliereonlineReady",{detail:{timestamp:Date.now(),gdprCompliant:!0}}))}catch(e){console.error("❌ Initialization error:",e),document.querySelectorAll(".lang-btn").forEach(e=>{e.addEventListener("click",()=>{const t=e.dataset.lang;document.body.classList.toggle("lang-ro","ro"===t)})})}}),window.addEventListener("error",e=>{console.error("Global error:",e.error),"undefined"!=typeof gtag&&CookieConsent.hasAccepted()&&gtag("event","exception",{description:e.error.message,fatal:!1})}),window.addEventListener("unhandledrejection",e=>{console.error("Unhandled promise rejection:",e.reason),"undefined"!=typeof gtag&&CookieConsent.hasAccepted()&&gtag("event","exception",{description:e.reason?.message||"Promise rejection",fatal:!1})}),"undefined"!=typeof module&&module.exports&&(module.exports={CookieConsent:CookieConsent,FormValidator:FormValidator,FormBackends:FormBackends,FormDrafts:FormDrafts,SpamGuard:SpamGuard,LanguageManager:LanguageManager,t:t,MobileMenu:MobileMenu,Carousel:Carousel,Modal:Modal,PrivacyModal:PrivacyModal,Navigation:Navigation,AnimationObserver:AnimationObserver,FormHandler:FormHandler,BookingWizard:BookingWizard,AvailabilityCalendar:AvailabilityCalendar,GDPRFormHandler:GDPRFormHandler,DSARFormHandler:DSARFormHandler,MarketingTags:MarketingTags,ConsentPlaceholder:ConsentPlaceholder,DeviceData:DeviceData,PerformanceMonitor:PerformanceMonitor,EventData:EventData,EventPicker:EventPicker,ServiceWorkerManager:ServiceWorkerManager});
+//# sourceMappingURL=script.min.js.map
\ No newline at end of file
@@ -1,6 +1,6 @@
 // Service Worker for consiliereonline.com
-// Version: 3.3 - Fixed navigation preload handling
-const CACHE_VERSION = '3.3'; // Increment version to trigger update
+// Version: 4.3 - Precache the minified builds the pages load
+const CACHE_VERSION = '4.3'; // Increment version to trigger update
 const CACHE_NAME = `consiliereonline-v${CACHE_VERSION}`;
 const OFFLINE_PAGE = '/404.html';
 
@@ -8,10 +8,11 @@ const OFFLINE_PAGE = '/404.html';
 const CORE_ASSETS = [
   '/',
   '/index.html',
-  '/styles.css',
-  '/script.js',
+  '/styles.min.css',
+  '/script.min.js',
   OFFLINE_PAGE,
-  '/manifest.json'
+  '/manifest.json',
+  '/i18n/ro.json'
 ];
 
 // Dynamic assets (workshop images)
@@ -100,7 +101,7 @@ self.addEventListener('fetch', (event) => {
   }
 
   // For service worker file itself, always fetch from network
-  if (url.pathname.endsWith('/sw.js')) {
+  if (/\/sw(\.min)?\.js$/.test(url.pathname)) {
     event.respondWith(fetch(request));
     return;
   }
@@ -111,8 +112,8 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
-  // Strategy 1: Network-first for API calls
-  if (url.pathname.startsWith('/api/')) {
+  // Strategy 1: Network-first for API calls and live data (seat counts)
+  if (url.pathname.startsWith('/api/') || url.pathname.startsWith('/data/')) {
     event.respondWith(
       fetch(request)
         .then(networkResponse => {
@@ -135,8 +136,9 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
-  // Strategy 3: Stale-while-revalidate for dynamic assets
-  if (DYNAMIC_ASSETS.includes(url.pathname)) {
+  // Strategy 3: Stale-while-revalidate for dynamic assets, and for the other
+  // translations so visitors who never switch language don't download them at install
+  if (DYNAMIC_ASSETS.includes(url.pathname) || url.pathname.startsWith('/i18n/')) {
     event.respondWith(
       caches.match(request).then(cached => {
         const networkFetch = fetch(request)
@@ -322,6 +324,10 @@ self.addEventListener('activate', (event) => {
 self.addEventListener('sync', (event) => {
   if (event.tag === 'update-content') {
     event.waitUntil(updateContent());
+  } else if (event.tag === 'consent-receipts') {
+    event.waitUntil(flushConsentReceipts());
+  } else if (event.tag === 'event-registrations') {
+    event.waitUntil(flushRegistrations());
   }
 });
 
@@ -337,4 +343,128 @@ async function updateContent() {
       }
     })
   );
-}
\ No newline at end of file
+}
+
+// ===== OFFLINE QUEUES (IndexedDB) =====
+// Must match OfflineStore in script.js
+const DB_NAME = 'consiliereonline';
+const DB_VERSION = 2;
+const DB_STORES = ['consentReceipts', 'pendingRegistrations'];
+
+function openOfflineStore() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      DB_STORES.forEach(name => {
+        if (!db.objectStoreNames.contains(name)) {
+          db.createObjectStore(name, { keyPath: 'id' });
+        }
+      });
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function runOfflineStore(storeName, mode, operation) {
+  const db = await openOfflineStore();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+// ===== CONSENT RECEIPTS =====
+async function flushConsentReceipts() {
+  const receipts = await runOfflineStore('consentReceipts', 'readonly', store => store.getAll());
+
+  for (const { endpoint, ...receipt } of receipts) {
+    // A network error rejects and leaves the queue for the next sync attempt
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(receipt)
+    });
+
+    if (!response.ok && response.status >= 500) {
+      throw new Error(`Consent log responded with ${response.status}`);
+    }
+
+    await runOfflineStore('consentReceipts', 'readwrite', store => store.delete(receipt.id));
+  }
+}
+
+// ===== QUEUED EVENT REGISTRATIONS =====
+// Mirrors the queueable adapters in FormBackends (script.js)
+function buildRegistrationRequest(record) {
+  if (record.backend === 'json') {
+    const data = {};
+    record.fields.forEach(([name, value]) => {
+      data[name] = name in data ? [].concat(data[name], value) : value;
+    });
+
+    return {
+      method: 'POST',
+      body: JSON.stringify(data),
+      headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' }
+    };
+  }
+
+  const formData = new FormData();
+  record.fields.forEach(([name, value]) => formData.append(name, value));
+
+  return {
+    method: 'POST',
+    body: formData,
+    headers: { 'Accept': 'application/json' }
+  };
+}
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  clients.forEach(client => client.postMessage(message));
+}
+
+async function flushRegistrations() {
+  const records = await runOfflineStore('pendingRegistrations', 'readonly', store => store.getAll());
+
+  for (const record of records) {
+    // A network error rejects and leaves the queue for the next sync attempt
+    const response = await fetch(record.action, buildRegistrationRequest(record));
+
+    if (response.status >= 500) {
+      throw new Error(`Form service responded with ${response.status}`);
+    }
+
+    let body = {};
+    try {
+      body = await response.json();
+    } catch (err) {
+      // Non-JSON reply
+    }
+
+    await runOfflineStore('pendingRegistrations', 'readwrite', store => store.delete(record.id));
+
+    await notifyClients({
+      type: response.ok ? 'REGISTRATION_SENT' : 'REGISTRATION_REJECTED',
+      id: record.id,
+      tabId: record.tabId,
+      consent: record.consent,
+      status: response.status,
+      errors: Array.isArray(body.errors) ? body.errors : (body.error ? [{ message: body.error }] : [])
+    });
+  }
+}